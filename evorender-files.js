@@ -0,0 +1,180 @@
+// evorender-files.js - Helpers for rendered WAV files in evorender folders
+// Renders are named <genome ULID>-<duration>_<pitch>_<velocity>.wav
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const RENDER_FILE_PATTERN = /^([A-Z0-9]{26})-(.+)\.wav$/;
+
+/**
+ * Parse the genome ULID and render parameters from a render file name
+ * @param {string} fileName - e.g. 01JVFMCEH3A5XB8Q2N7R9KSTEZ-1_60_100.wav
+ * @returns {Object|null} { ulid, duration, pitch, velocity }, or null if not a render file name
+ */
+function parseRenderFileName(fileName) {
+  const match = fileName.match(RENDER_FILE_PATTERN);
+  if (!match) return null;
+
+  const [, ulid, paramString] = match;
+  const paramParts = paramString.split('_');
+  if (paramParts.length !== 3) return null;
+
+  return {
+    ulid,
+    duration: parseFloat(paramParts[0]),
+    pitch: parseInt(paramParts[1]),
+    velocity: parseInt(paramParts[2])
+  };
+}
+
+/**
+ * Distance between two sets of render parameters: octaves of pitch, plus doublings of
+ * duration, plus velocity as a fraction of its range
+ * @param {Object} a - { duration, pitch, velocity }
+ * @param {Object} b - { duration, pitch, velocity }
+ * @returns {number}
+ */
+function renderParameterDistance(a, b) {
+  return Math.abs(a.pitch - b.pitch) / 12
+    + Math.abs(Math.log2(a.duration / b.duration))
+    + Math.abs(a.velocity - b.velocity) / 127;
+}
+
+/**
+ * Find the render closest to the requested parameters
+ * @param {Array} renders - Parsed renders ({ duration, pitch, velocity, ... })
+ * @param {Object} params - Requested { duration, pitch, velocity }
+ * @returns {Object|null} The closest render (ties go to the first), or null if there are none
+ */
+function findNearestRender(renders, params) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const render of renders) {
+    const distance = renderParameterDistance(render, params);
+    if (distance < nearestDistance) {
+      nearest = render;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Create an index of the renders in the evorender folders, by genome ULID.
+ * Each folder's listing is cached and read again when the folder's modification time changes
+ * (which it does when files are added or removed).
+ * @param {Object} options
+ * @param {Function} options.getEvorenderDirectory - Returns the evorenders root directory
+ * @returns {Object} Render index API
+ */
+function createRenderIndex({ getEvorenderDirectory }) {
+  const folders = new Map(); // folderName -> { mtimeMs, byUlid: Map(ulid -> [render]) }
+  let indexedDirectory = null;
+
+  async function readFolder(folderName) {
+    const folderPath = path.join(indexedDirectory, folderName);
+    let stats;
+    try {
+      stats = await fs.stat(folderPath);
+    } catch (error) {
+      folders.delete(folderName);
+      return null;
+    }
+    if (!stats.isDirectory()) return null;
+
+    const cached = folders.get(folderName);
+    if (cached && cached.mtimeMs === stats.mtimeMs) return cached;
+
+    const byUlid = new Map();
+    for (const fileName of await fs.readdir(folderPath)) {
+      const parameters = parseRenderFileName(fileName);
+      if (!parameters) continue;
+      if (!byUlid.has(parameters.ulid)) byUlid.set(parameters.ulid, []);
+      byUlid.get(parameters.ulid).push({ folderName, fileName, ...parameters });
+    }
+    const folder = { mtimeMs: stats.mtimeMs, byUlid };
+    folders.set(folderName, folder);
+    return folder;
+  }
+
+  function checkDirectory() {
+    const renderDir = path.resolve(getEvorenderDirectory());
+    if (renderDir !== indexedDirectory) {
+      folders.clear();
+      indexedDirectory = renderDir;
+    }
+  }
+
+  return {
+    /**
+     * Renders of a genome in one evorender folder
+     * @param {string} folderName
+     * @param {string} ulid
+     * @returns {Promise<Array>} [{ folderName, fileName, ulid, duration, pitch, velocity }]
+     */
+    async findInFolder(folderName, ulid) {
+      checkDirectory();
+      if (folderName !== path.basename(folderName) || folderName.startsWith('.')) return [];
+      const folder = await readFolder(folderName);
+      return folder ? (folder.byUlid.get(ulid) || []) : [];
+    },
+
+    /**
+     * All renders in one evorender folder, ordered by file name
+     * @param {string} folderName
+     * @returns {Promise<Array|null>} [{ folderName, fileName, ulid, duration, pitch, velocity }],
+     *   or null if there is no such folder
+     */
+    async listFolder(folderName) {
+      checkDirectory();
+      if (folderName !== path.basename(folderName) || folderName.startsWith('.')) return null;
+      const folder = await readFolder(folderName);
+      if (!folder) return null;
+      const renders = [];
+      for (const ulidRenders of folder.byUlid.values()) renders.push(...ulidRenders);
+      return renders.sort((a, b) => a.fileName.localeCompare(b.fileName));
+    },
+
+    /**
+     * Renders of a genome across all evorender folders, ordered by folder and file name
+     * @param {string} ulid
+     * @returns {Promise<Array>} [{ folderName, fileName, ulid, duration, pitch, velocity }]
+     */
+    async findAll(ulid) {
+      checkDirectory();
+      let entries;
+      try {
+        entries = await fs.readdir(indexedDirectory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const folderNames = entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+      const present = new Set(folderNames);
+      for (const folderName of Array.from(folders.keys())) {
+        if (!present.has(folderName)) folders.delete(folderName);
+      }
+
+      const renders = [];
+      for (const folderName of folderNames) {
+        const folder = await readFolder(folderName);
+        if (folder && folder.byUlid.has(ulid)) {
+          renders.push(...folder.byUlid.get(ulid).slice().sort((a, b) => a.fileName.localeCompare(b.fileName)));
+        }
+      }
+      return renders;
+    },
+
+    stats() {
+      return { indexedFolders: folders.size };
+    }
+  };
+}
+
+module.exports = {
+  parseRenderFileName,
+  renderParameterDistance,
+  findNearestRender,
+  createRenderIndex
+};
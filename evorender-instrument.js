@@ -0,0 +1,150 @@
+// evorender-instrument.js - Sampler instruments built from a genome's renders
+// Each render becomes a sample region played around its pitch and velocity: keys between two
+// rendered pitches go to the nearer one (ties to the lower), and likewise for velocity layers
+// within a pitch. Instruments are written as SFZ and, optionally, Decent Sampler presets.
+
+const MIDI_MAX = 127;
+
+/**
+ * Choose the renders for an instrument: one duration, one render per pitch and velocity
+ * @param {Array} renders - [{ folderName, fileName, duration, pitch, velocity }], in order of preference
+ * @param {number} [duration] - Duration to use (default: the one with the most renders, shortest on ties)
+ * @returns {Array} Selected renders, by pitch and velocity
+ */
+function selectInstrumentRenders(renders, duration) {
+  if (duration === undefined) {
+    const counts = new Map();
+    for (const render of renders) {
+      counts.set(render.duration, (counts.get(render.duration) || 0) + 1);
+    }
+    for (const [candidate, count] of counts) {
+      if (duration === undefined || count > counts.get(duration) || (count === counts.get(duration) && candidate < duration)) {
+        duration = candidate;
+      }
+    }
+  }
+
+  const selected = new Map(); // "pitch_velocity" -> render
+  for (const render of renders) {
+    if (render.duration !== duration) continue;
+    const key = `${render.pitch}_${render.velocity}`;
+    if (!selected.has(key)) selected.set(key, render);
+  }
+  return Array.from(selected.values()).sort((a, b) => a.pitch - b.pitch || a.velocity - b.velocity);
+}
+
+// Split 0-127 between sorted values: each value gets the range closest to it
+function splitRange(values) {
+  return values.map((value, index) => ({
+    value,
+    low: index === 0 ? 0 : Math.floor((values[index - 1] + value) / 2) + 1,
+    high: index === values.length - 1 ? MIDI_MAX : Math.floor((value + values[index + 1]) / 2)
+  }));
+}
+
+/**
+ * Map renders to key and velocity ranges
+ * @param {Array} renders - Renders with distinct (pitch, velocity), e.g. from selectInstrumentRenders
+ * @returns {Array} [{ render, pitchKeycenter, lokey, hikey, lovel, hivel }]
+ */
+function mapInstrumentRegions(renders) {
+  const byPitch = new Map();
+  for (const render of renders) {
+    if (!byPitch.has(render.pitch)) byPitch.set(render.pitch, []);
+    byPitch.get(render.pitch).push(render);
+  }
+
+  const regions = [];
+  const keyRanges = splitRange(Array.from(byPitch.keys()).sort((a, b) => a - b));
+  for (const keyRange of keyRanges) {
+    const layers = byPitch.get(keyRange.value).sort((a, b) => a.velocity - b.velocity);
+    const velocityRanges = splitRange(layers.map(render => render.velocity));
+    layers.forEach((render, index) => {
+      regions.push({
+        render,
+        pitchKeycenter: render.pitch,
+        lokey: keyRange.low,
+        hikey: keyRange.high,
+        lovel: velocityRanges[index].low,
+        hivel: velocityRanges[index].high
+      });
+    });
+  }
+  return regions;
+}
+
+// Renders are made at their velocity already, so only scale loudness by velocity without layers
+function hasVelocityLayers(regions) {
+  return regions.some(region => region.lovel > 0 || region.hivel < MIDI_MAX);
+}
+
+/**
+ * Write an SFZ instrument
+ * @param {Object} options
+ * @param {string} options.name - Instrument name (for the header comment)
+ * @param {Array} options.regions - From mapInstrumentRegions
+ * @param {Function} options.samplePath - Returns a region's sample path, relative to the SFZ file
+ * @returns {string}
+ */
+function buildSfz({ name, regions, samplePath }) {
+  const lines = [
+    `// ${name}`,
+    `// ${regions.length} regions, generated ${new Date().toISOString()}`,
+    '',
+    '<global>',
+    'loop_mode=one_shot'
+  ];
+  if (hasVelocityLayers(regions)) {
+    lines.push('amp_veltrack=0');
+  }
+  for (const region of regions) {
+    lines.push(
+      '',
+      '<region>',
+      `sample=${samplePath(region)}`,
+      `pitch_keycenter=${region.pitchKeycenter}`,
+      `lokey=${region.lokey} hikey=${region.hikey}`,
+      `lovel=${region.lovel} hivel=${region.hivel}`
+    );
+  }
+  return lines.join('\n') + '\n';
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, char => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&apos;'
+  })[char]);
+}
+
+/**
+ * Write a Decent Sampler preset (.dspreset)
+ * @param {Object} options - Same as buildSfz
+ * @returns {string}
+ */
+function buildDecentSamplerPreset({ name, regions, samplePath }) {
+  const groupAttributes = hasVelocityLayers(regions) ? ' ampVelTrack="0"' : '';
+  const samples = regions.map(region => '      <sample'
+    + ` path="${escapeXml(samplePath(region))}"`
+    + ` rootNote="${region.pitchKeycenter}"`
+    + ` loNote="${region.lokey}" hiNote="${region.hikey}"`
+    + ` loVel="${region.lovel}" hiVel="${region.hivel}"/>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<!-- ${escapeXml(name)} -->`,
+    '<DecentSampler minVersion="1.0.0">',
+    '  <groups>',
+    `    <group${groupAttributes}>`,
+    ...samples,
+    '    </group>',
+    '  </groups>',
+    '</DecentSampler>'
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  selectInstrumentRenders,
+  mapInstrumentRegions,
+  buildSfz,
+  buildDecentSamplerPreset
+};
@@ -0,0 +1,287 @@
+// evorender-spectrogram.js - Spectrograms and spectral features of rendered WAV files
+// A short-time Fourier transform (Hann window) of the channels mixed to mono, with magnitudes
+// quantized to 0-255 over MIN_DB..0 dB, and per-frame spectral centroid, rolloff and flatness.
+// Results are cached on disk next to the render; PNG images are encoded from the cached matrix.
+// FFT and hop sizes are limited to a few powers of two, so a render has a bounded number of
+// cache files (28 at most).
+
+const zlib = require('zlib');
+const { parseWavHeader, decodeWavChannels, getCachedWavAnalysis } = require('./evorender-wav');
+const { crc32 } = require('./evorender-zip');
+
+const MIN_FFT_SIZE = 256;
+const MAX_FFT_SIZE = 16384;
+const DEFAULT_FFT_SIZE = 2048;
+const HOP_DIVISORS = [1, 2, 4, 8]; // hopSize = fftSize / divisor
+const DEFAULT_HOP_DIVISOR = 4;
+const MAX_SPECTROGRAM_CELLS = 4 * 1024 * 1024; // frames x bins
+const MIN_DB = -100;
+const ROLLOFF_FRACTION = 0.85;
+
+/**
+ * Whether an FFT size is supported (a power of two between MIN_FFT_SIZE and MAX_FFT_SIZE)
+ * @param {number} fftSize
+ * @returns {boolean}
+ */
+function isValidFftSize(fftSize) {
+  return Number.isInteger(fftSize) && fftSize >= MIN_FFT_SIZE && fftSize <= MAX_FFT_SIZE && (fftSize & (fftSize - 1)) === 0;
+}
+
+/**
+ * Whether a hop size is supported for an FFT size (fftSize divided by one of HOP_DIVISORS)
+ * @param {number} fftSize
+ * @param {number} hopSize
+ * @returns {boolean}
+ */
+function isValidHopSize(fftSize, hopSize) {
+  return HOP_DIVISORS.some(divisor => hopSize === fftSize / divisor);
+}
+
+/**
+ * Number of STFT frames for a file; files shorter than one window get one zero-padded frame
+ * @param {number} sampleFrames - Length of the file in sample frames
+ * @param {number} fftSize
+ * @param {number} hopSize
+ * @returns {number}
+ */
+function countSpectrogramFrames(sampleFrames, fftSize, hopSize) {
+  return sampleFrames <= fftSize ? 1 : Math.floor((sampleFrames - fftSize) / hopSize) + 1;
+}
+
+// In-place iterative radix-2 FFT
+function fft(real, imag) {
+  const size = real.length;
+  for (let i = 1, j = 0; i < size; i++) {
+    let bit = size >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+  for (let length = 2; length <= size; length <<= 1) {
+    const angle = -2 * Math.PI / length;
+    const stepReal = Math.cos(angle);
+    const stepImag = Math.sin(angle);
+    for (let start = 0; start < size; start += length) {
+      let twiddleReal = 1;
+      let twiddleImag = 0;
+      for (let k = 0; k < length / 2; k++) {
+        const even = start + k;
+        const odd = even + length / 2;
+        const oddReal = real[odd] * twiddleReal - imag[odd] * twiddleImag;
+        const oddImag = real[odd] * twiddleImag + imag[odd] * twiddleReal;
+        real[odd] = real[even] - oddReal;
+        imag[odd] = imag[even] - oddImag;
+        real[even] += oddReal;
+        imag[even] += oddImag;
+        const nextReal = twiddleReal * stepReal - twiddleImag * stepImag;
+        twiddleImag = twiddleReal * stepImag + twiddleImag * stepReal;
+        twiddleReal = nextReal;
+      }
+    }
+  }
+}
+
+/**
+ * Compute the spectrogram and spectral features of decoded samples
+ * @param {Float32Array[]} channelData - Samples per channel (mixed to mono)
+ * @param {number} sampleRate
+ * @param {Object} options
+ * @param {number} options.fftSize - Window length, a power of two
+ * @param {number} options.hopSize - Samples between the starts of consecutive frames
+ * @returns {Object} { frameCount, binCount, binHz, magnitudes (Uint8Array, frame by frame),
+ *   centroid, rolloff, flatness } (feature arrays have null for silent frames)
+ */
+function computeSpectrogram(channelData, sampleRate, { fftSize, hopSize }) {
+  const sampleFrames = channelData[0].length;
+  const mono = new Float32Array(sampleFrames);
+  for (const samples of channelData) {
+    for (let index = 0; index < sampleFrames; index++) {
+      mono[index] += samples[index] / channelData.length;
+    }
+  }
+
+  const window = new Float64Array(fftSize);
+  let windowSum = 0;
+  for (let index = 0; index < fftSize; index++) {
+    window[index] = 0.5 - 0.5 * Math.cos(2 * Math.PI * index / fftSize);
+    windowSum += window[index];
+  }
+
+  const frameCount = countSpectrogramFrames(sampleFrames, fftSize, hopSize);
+  const binCount = fftSize / 2 + 1;
+  const binHz = sampleRate / fftSize;
+  const magnitudes = new Uint8Array(frameCount * binCount);
+  const centroid = [];
+  const rolloff = [];
+  const flatness = [];
+
+  const real = new Float64Array(fftSize);
+  const imag = new Float64Array(fftSize);
+  const amplitude = new Float64Array(binCount);
+  for (let frame = 0; frame < frameCount; frame++) {
+    const start = frame * hopSize;
+    for (let index = 0; index < fftSize; index++) {
+      real[index] = start + index < sampleFrames ? mono[start + index] * window[index] : 0;
+      imag[index] = 0;
+    }
+    fft(real, imag);
+
+    let amplitudeSum = 0;
+    let weightedSum = 0;
+    let powerSum = 0;
+    let logPowerSum = 0;
+    for (let bin = 0; bin < binCount; bin++) {
+      // Scaled so a full-scale sine at the bin's frequency is 0 dB
+      const value = Math.hypot(real[bin], imag[bin]) * 2 / windowSum;
+      const power = value * value;
+      amplitude[bin] = value;
+      amplitudeSum += value;
+      weightedSum += value * bin * binHz;
+      powerSum += power;
+      logPowerSum += Math.log(Math.max(power, 1e-20));
+
+      const db = value > 0 ? 20 * Math.log10(value) : MIN_DB;
+      magnitudes[frame * binCount + bin] = Math.round(Math.min(Math.max((db - MIN_DB) / -MIN_DB, 0), 1) * 255);
+    }
+
+    if (powerSum === 0) {
+      centroid.push(null);
+      rolloff.push(null);
+      flatness.push(null);
+      continue;
+    }
+
+    centroid.push(Math.round(weightedSum / amplitudeSum * 10) / 10);
+
+    let cumulativePower = 0;
+    let rolloffBin = binCount - 1;
+    for (let bin = 0; bin < binCount; bin++) {
+      cumulativePower += amplitude[bin] * amplitude[bin];
+      if (cumulativePower >= ROLLOFF_FRACTION * powerSum) {
+        rolloffBin = bin;
+        break;
+      }
+    }
+    rolloff.push(Math.round(rolloffBin * binHz * 10) / 10);
+
+    // Geometric over arithmetic mean of the power spectrum: 1 for white noise, near 0 for tones
+    const value = Math.exp(logPowerSum / binCount) / (powerSum / binCount);
+    flatness.push(Math.round(Math.min(value, 1) * 10000) / 10000);
+  }
+
+  return { frameCount, binCount, binHz, magnitudes, centroid, rolloff, flatness };
+}
+
+/**
+ * Get the spectrogram of a WAV file, cached on disk per FFT and hop size
+ * @param {string} wavPath - Path to the WAV file
+ * @param {Object} options - { fftSize, hopSize }
+ * @returns {Promise<{ result: Object, cached: boolean }>} result: { sampleRate, duration, fftSize,
+ *   hopSize, hopSeconds, frameCount, binCount, binHz, minDb, magnitudes (base64), centroid,
+ *   rolloff, flatness }
+ */
+function getWavSpectrogram(wavPath, { fftSize, hopSize }) {
+  return getCachedWavAnalysis(wavPath, `spectrogram-${fftSize}-${hopSize}`, buffer => {
+    const info = parseWavHeader(buffer);
+    const spectrogram = computeSpectrogram(decodeWavChannels(buffer, info), info.sampleRate, { fftSize, hopSize });
+    return {
+      sampleRate: info.sampleRate,
+      duration: info.duration,
+      fftSize,
+      hopSize,
+      hopSeconds: hopSize / info.sampleRate,
+      frameCount: spectrogram.frameCount,
+      binCount: spectrogram.binCount,
+      binHz: spectrogram.binHz,
+      minDb: MIN_DB,
+      magnitudes: Buffer.from(spectrogram.magnitudes.buffer).toString('base64'),
+      centroid: spectrogram.centroid,
+      rolloff: spectrogram.rolloff,
+      flatness: spectrogram.flatness
+    };
+  });
+}
+
+// Dark to bright color map (close to matplotlib's "inferno"), as a 256-color PNG palette
+const COLOR_STOPS = [
+  [0, [0, 0, 4]],
+  [0.25, [87, 16, 110]],
+  [0.5, [188, 55, 84]],
+  [0.75, [249, 142, 9]],
+  [1, [252, 255, 164]]
+];
+
+const PALETTE = (() => {
+  const palette = Buffer.alloc(256 * 3);
+  for (let index = 0; index < 256; index++) {
+    const position = index / 255;
+    const upper = COLOR_STOPS.findIndex(([stop]) => stop >= position);
+    const [stopHigh, colorHigh] = COLOR_STOPS[upper];
+    const [stopLow, colorLow] = COLOR_STOPS[Math.max(upper - 1, 0)];
+    const fraction = stopHigh === stopLow ? 0 : (position - stopLow) / (stopHigh - stopLow);
+    for (let component = 0; component < 3; component++) {
+      palette[index * 3 + component] = Math.round(colorLow[component] + (colorHigh[component] - colorLow[component]) * fraction);
+    }
+  }
+  return palette;
+})();
+
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'ascii');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(0, chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+/**
+ * Encode a spectrogram as a PNG image: time from left to right, frequency from bottom to top
+ * @param {Buffer|Uint8Array} magnitudes - Quantized magnitudes, frame by frame
+ * @param {number} frameCount - Image width
+ * @param {number} binCount - Image height
+ * @returns {Buffer}
+ */
+function encodeSpectrogramPng(magnitudes, frameCount, binCount) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(frameCount, 0);
+  header.writeUInt32BE(binCount, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 3; // Color type: palette
+  // Compression, filter and interlace methods: 0
+
+  const rowLength = frameCount + 1; // Filter type byte, then one palette index per frame
+  const pixels = Buffer.alloc(rowLength * binCount);
+  for (let row = 0; row < binCount; row++) {
+    const bin = binCount - 1 - row;
+    for (let frame = 0; frame < frameCount; frame++) {
+      pixels[row * rowLength + 1 + frame] = magnitudes[frame * binCount + bin];
+    }
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('PLTE', PALETTE),
+    pngChunk('IDAT', zlib.deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  MIN_FFT_SIZE,
+  MAX_FFT_SIZE,
+  DEFAULT_FFT_SIZE,
+  HOP_DIVISORS,
+  DEFAULT_HOP_DIVISOR,
+  MAX_SPECTROGRAM_CELLS,
+  isValidFftSize,
+  isValidHopSize,
+  countSpectrogramFrames,
+  computeSpectrogram,
+  getWavSpectrogram,
+  encodeSpectrogramPng
+};
@@ -0,0 +1,338 @@
+// evorender-wav.js - Decoding and analysis of rendered WAV files
+// Supports PCM (8/16/24/32-bit integer) and IEEE float (32/64-bit) WAV files, including
+// WAVE_FORMAT_EXTENSIBLE. Analysis results are cached on disk next to the render.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+const MAX_PEAKS_RESOLUTION = 10000;
+// Resolutions whose peaks are cached; other resolutions are downsampled from the next larger one
+const CACHED_PEAKS_RESOLUTIONS = [100, 200, 400, 800, 1600, 3200, MAX_PEAKS_RESOLUTION];
+
+// A file is silent when its peak stays below this level
+const SILENCE_THRESHOLD_DB = -60;
+// A file is clipped when a channel has this many consecutive samples at (or beyond) full scale
+const CLIP_LEVEL = 0.999;
+const CLIP_RUN_LENGTH = 3;
+
+/**
+ * Parse the header of a WAV file
+ * @param {Buffer} buffer - Contents of the WAV file
+ * @returns {Object} { format: 'pcm' | 'float', sampleRate, channels, bitsPerSample, frameCount,
+ *   duration, dataOffset, dataLength }
+ * @throws {Error} If the file is not a supported WAV file
+ */
+function parseWavHeader(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let fmt = null;
+  let dataOffset = null;
+  let dataLength = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const chunkStart = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      let formatTag = buffer.readUInt16LE(chunkStart);
+      if (formatTag === WAVE_FORMAT_EXTENSIBLE && chunkSize >= 40) {
+        // The first two bytes of the sub-format GUID are the actual format tag
+        formatTag = buffer.readUInt16LE(chunkStart + 24);
+      }
+      fmt = {
+        formatTag,
+        channels: buffer.readUInt16LE(chunkStart + 2),
+        sampleRate: buffer.readUInt32LE(chunkStart + 4),
+        bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+      };
+    } else if (chunkId === 'data') {
+      dataOffset = chunkStart;
+      // Writers that never finalized the header leave the size at 0 or 0xFFFFFFFF
+      dataLength = Math.min(chunkSize || buffer.length, buffer.length - chunkStart);
+      if (fmt) break;
+    }
+
+    offset = chunkStart + chunkSize + (chunkSize % 2); // Chunks are word-aligned
+  }
+
+  if (!fmt) throw new Error('WAV file has no fmt chunk');
+  if (dataOffset === null) throw new Error('WAV file has no data chunk');
+
+  const { formatTag, channels, sampleRate, bitsPerSample } = fmt;
+  let format;
+  if (formatTag === WAVE_FORMAT_PCM && [8, 16, 24, 32].includes(bitsPerSample)) {
+    format = 'pcm';
+  } else if (formatTag === WAVE_FORMAT_IEEE_FLOAT && [32, 64].includes(bitsPerSample)) {
+    format = 'float';
+  } else {
+    throw new Error(`Unsupported WAV format: format tag ${formatTag}, ${bitsPerSample} bits per sample`);
+  }
+  if (channels === 0 || sampleRate === 0) {
+    throw new Error('Invalid WAV file: no channels or sample rate');
+  }
+
+  const frameCount = Math.floor(dataLength / (channels * bitsPerSample / 8));
+  return {
+    format,
+    sampleRate,
+    channels,
+    bitsPerSample,
+    frameCount,
+    duration: frameCount / sampleRate,
+    dataOffset,
+    dataLength
+  };
+}
+
+/**
+ * Decode the samples of a WAV file to floats in [-1, 1]
+ * @param {Buffer} buffer - Contents of the WAV file
+ * @param {Object} [info] - Header from parseWavHeader (parsed if not given)
+ * @returns {Float32Array[]} One array of samples per channel
+ */
+function decodeWavChannels(buffer, info = parseWavHeader(buffer)) {
+  const { format, channels, bitsPerSample, frameCount, dataOffset } = info;
+  const bytesPerSample = bitsPerSample / 8;
+  const readSample = {
+    pcm8: position => (buffer[position] - 128) / 128,
+    pcm16: position => buffer.readInt16LE(position) / 32768,
+    pcm24: position => buffer.readIntLE(position, 3) / 8388608,
+    pcm32: position => buffer.readInt32LE(position) / 2147483648,
+    float32: position => buffer.readFloatLE(position),
+    float64: position => buffer.readDoubleLE(position)
+  }[`${format}${bitsPerSample}`];
+
+  const decoded = [];
+  for (let channel = 0; channel < channels; channel++) {
+    decoded.push(new Float32Array(frameCount));
+  }
+  let position = dataOffset;
+  for (let frame = 0; frame < frameCount; frame++) {
+    for (let channel = 0; channel < channels; channel++) {
+      decoded[channel][frame] = readSample(position);
+      position += bytesPerSample;
+    }
+  }
+  return decoded;
+}
+
+/**
+ * Compute min/max pairs over equal-sized windows of the samples
+ * @param {Float32Array[]} channelData - Samples per channel
+ * @param {number} resolution - Number of min/max pairs
+ * @param {Object} [options]
+ * @param {boolean} [options.mix] - Combine all channels into one (min and max over all of them)
+ * @returns {number[][]} Per channel (one if mixed): [min0, max0, min1, max1, ...]
+ */
+function computePeaks(channelData, resolution, { mix = true } = {}) {
+  const frameCount = channelData.length > 0 ? channelData[0].length : 0;
+  const groups = mix ? [channelData] : channelData.map(samples => [samples]);
+  const round = value => Math.round(value * 10000) / 10000;
+
+  return groups.map(group => {
+    const peaks = [];
+    for (let index = 0; index < resolution; index++) {
+      const start = Math.floor(index * frameCount / resolution);
+      // Windows are at least one frame long, so short files repeat frames rather than leaving gaps
+      const end = Math.max(Math.floor((index + 1) * frameCount / resolution), Math.min(start + 1, frameCount));
+      let min = 0;
+      let max = 0;
+      for (const samples of group) {
+        for (let frame = start; frame < end; frame++) {
+          const sample = samples[frame];
+          if (sample < min) min = sample;
+          if (sample > max) max = sample;
+        }
+      }
+      peaks.push(round(min), round(max));
+    }
+    return peaks;
+  });
+}
+
+/**
+ * Reduce peaks to a lower resolution (min and max over the pairs each new pair covers)
+ * @param {number[]} peaks - Alternating min and max values, e.g. one channel from computePeaks
+ * @param {number} resolution - Number of min/max pairs, at most that of peaks
+ * @returns {number[]}
+ */
+function downsamplePeaks(peaks, resolution) {
+  const sourceResolution = peaks.length / 2;
+  const result = [];
+  for (let index = 0; index < resolution; index++) {
+    const start = Math.floor(index * sourceResolution / resolution);
+    const end = Math.max(Math.floor((index + 1) * sourceResolution / resolution), start + 1);
+    let min = 0;
+    let max = 0;
+    for (let pair = start; pair < end; pair++) {
+      if (peaks[pair * 2] < min) min = peaks[pair * 2];
+      if (peaks[pair * 2 + 1] > max) max = peaks[pair * 2 + 1];
+    }
+    result.push(min, max);
+  }
+  return result;
+}
+
+/**
+ * Measure the level of decoded samples
+ * @param {Float32Array[]} channelData - Samples per channel
+ * @returns {Object} { peak, peakDb, rms, rmsDb, silent, clipped, clippedRuns } (levels over all
+ *   channels; dB relative to full scale, null for digital silence)
+ */
+function measureLevels(channelData) {
+  let peak = 0;
+  let sumOfSquares = 0;
+  let sampleCount = 0;
+  let clippedRuns = 0;
+
+  for (const samples of channelData) {
+    let run = 0; // Consecutive full-scale samples of the same sign (negative run lengths below zero)
+    for (let index = 0; index < samples.length; index++) {
+      const sample = samples[index];
+      const level = Math.abs(sample);
+      if (level > peak) peak = level;
+      sumOfSquares += level * level;
+      if (level >= CLIP_LEVEL) {
+        run = sample > 0 ? Math.max(run, 0) + 1 : Math.min(run, 0) - 1;
+        if (Math.abs(run) === CLIP_RUN_LENGTH) clippedRuns++;
+      } else {
+        run = 0;
+      }
+    }
+    sampleCount += samples.length;
+  }
+
+  const rms = sampleCount > 0 ? Math.sqrt(sumOfSquares / sampleCount) : 0;
+  const toDb = level => level > 0 ? Math.round(20 * Math.log10(level) * 100) / 100 || 0 : null; // No -0
+  const peakDb = toDb(peak);
+  return {
+    peak: Math.round(peak * 10000) / 10000,
+    peakDb,
+    rms: Math.round(rms * 10000) / 10000,
+    rmsDb: toDb(rms),
+    silent: peakDb === null || peakDb < SILENCE_THRESHOLD_DB,
+    clipped: clippedRuns > 0,
+    clippedRuns
+  };
+}
+
+/**
+ * Get an analysis result of a WAV file, cached in a hidden JSON file next to it
+ * (.<wav file name>.<cacheName>.json). The cache is invalidated when the WAV file's size or
+ * modification time changes; if it can't be written (read-only volume), results are computed
+ * on every request.
+ * @param {string} wavPath - Path to the WAV file
+ * @param {string} cacheName - Name of the analysis (with its parameters), e.g. 'peaks-800'
+ * @param {Function} compute - Called with (buffer, stats) to compute the result
+ * @returns {Promise<{ result: Object, cached: boolean }>}
+ */
+async function getCachedWavAnalysis(wavPath, cacheName, compute) {
+  const stats = await fs.stat(wavPath);
+  const cachePath = path.join(path.dirname(wavPath), `.${path.basename(wavPath)}.${cacheName}.json`);
+
+  try {
+    const cache = JSON.parse(await fs.readFile(cachePath, 'utf8'));
+    if (cache.size === stats.size && cache.mtimeMs === stats.mtimeMs) {
+      return { result: cache.result, cached: true };
+    }
+  } catch (error) {
+    // Not cached yet (or unreadable cache): compute below
+  }
+
+  const result = await compute(await fs.readFile(wavPath), stats);
+
+  const tmpPath = `${cachePath}.${process.pid}.tmp`;
+  try {
+    await fs.writeFile(tmpPath, JSON.stringify({ size: stats.size, mtimeMs: stats.mtimeMs, result }));
+    await fs.rename(tmpPath, cachePath);
+  } catch (error) {
+    await fs.rm(tmpPath, { force: true }).catch(() => {});
+    console.warn(`Could not cache ${cacheName} of ${wavPath}:`, error.message);
+  }
+  return { result, cached: false };
+}
+
+/**
+ * Get the waveform peaks of a WAV file. Peaks are cached on disk at CACHED_PEAKS_RESOLUTIONS
+ * only, so clients can't add a cache file per resolution; other resolutions are downsampled
+ * from the next larger cached one.
+ * @param {string} wavPath - Path to the WAV file
+ * @param {Object} options
+ * @param {number} options.resolution - Number of min/max pairs (at most MAX_PEAKS_RESOLUTION)
+ * @param {boolean} [options.mix] - Combine all channels into one
+ * @returns {Promise<{ result: Object, cached: boolean }>} result: { sampleRate, channels,
+ *   bitsPerSample, format, duration, resolution, framesPerPeak, peaks }
+ */
+async function getWavPeaks(wavPath, { resolution, mix = true }) {
+  const cachedResolution = CACHED_PEAKS_RESOLUTIONS.find(candidate => candidate >= resolution);
+  const cacheName = `peaks-${cachedResolution}${mix ? '' : '-channels'}`;
+  const { result, cached } = await getCachedWavAnalysis(wavPath, cacheName, buffer => {
+    const info = parseWavHeader(buffer);
+    return {
+      sampleRate: info.sampleRate,
+      channels: info.channels,
+      bitsPerSample: info.bitsPerSample,
+      format: info.format,
+      duration: info.duration,
+      resolution: cachedResolution,
+      framesPerPeak: info.frameCount / cachedResolution,
+      peaks: computePeaks(decodeWavChannels(buffer, info), cachedResolution, { mix })
+    };
+  });
+  if (cachedResolution === resolution) {
+    return { result, cached };
+  }
+
+  return {
+    result: {
+      ...result,
+      resolution,
+      framesPerPeak: result.framesPerPeak * cachedResolution / resolution,
+      peaks: result.peaks.map(peaks => downsamplePeaks(peaks, resolution))
+    },
+    cached
+  };
+}
+
+/**
+ * Get the format and levels of a WAV file (cached on disk)
+ * @param {string} wavPath - Path to the WAV file
+ * @returns {Promise<{ result: Object, cached: boolean }>} result: { sampleRate, channels,
+ *   bitsPerSample, format, duration, frameCount, peak, peakDb, rms, rmsDb, silent, clipped,
+ *   clippedRuns }
+ */
+function getWavMetadata(wavPath) {
+  return getCachedWavAnalysis(wavPath, 'metadata', buffer => {
+    const info = parseWavHeader(buffer);
+    return {
+      sampleRate: info.sampleRate,
+      channels: info.channels,
+      bitsPerSample: info.bitsPerSample,
+      format: info.format,
+      duration: info.duration,
+      frameCount: info.frameCount,
+      ...measureLevels(decodeWavChannels(buffer, info))
+    };
+  });
+}
+
+module.exports = {
+  MAX_PEAKS_RESOLUTION,
+  CACHED_PEAKS_RESOLUTIONS,
+  SILENCE_THRESHOLD_DB,
+  parseWavHeader,
+  decodeWavChannels,
+  computePeaks,
+  downsamplePeaks,
+  measureLevels,
+  getCachedWavAnalysis,
+  getWavPeaks,
+  getWavMetadata
+};
@@ -0,0 +1,205 @@
+// evorender-zip.js - Streaming zip archives of rendered files
+// Entries are stored uncompressed (WAV audio barely compresses) and written straight to the
+// output stream with backpressure; file entries are followed by a data descriptor, so their
+// CRC-32 is computed while streaming and neither the archive nor a file is buffered whole.
+// Archives are limited to 4 GB and 65535 entries (no ZIP64).
+
+const fsSync = require('fs');
+const { writeWithBackpressure } = require('./evorun-streams');
+
+const MAX_ZIP_SIZE = 0xFFFFFFFF;
+const MAX_ZIP_ENTRIES = 0xFFFF;
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+const VERSION_NEEDED = 20; // 2.0
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORE = 0;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Update a CRC-32 with more data
+ * @param {number} crc - CRC so far (0 to start)
+ * @param {Buffer} data
+ * @returns {number}
+ */
+function crc32(crc, data) {
+  let c = crc ^ 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    c = CRC_TABLE[(c ^ data[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS time and date fields (local time, 2-second resolution, from 1980)
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Create a zip writer on a writable stream (e.g. an HTTP response)
+ * @param {Writable} writable - Stream to write the archive to
+ * @returns {Object} Zip writer API; entries must be added one after the other (await each)
+ */
+function createZipWriter(writable) {
+  const entries = []; // Central directory records
+  let offset = 0;
+
+  async function write(buffer) {
+    offset += buffer.length;
+    if (offset > MAX_ZIP_SIZE) {
+      throw new Error('Zip archive exceeds 4 GB');
+    }
+    await writeWithBackpressure(writable, buffer);
+  }
+
+  function localFileHeader(entry) {
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_FILE_HEADER_SIGNATURE, 0);
+    header.writeUInt16LE(VERSION_NEEDED, 4);
+    header.writeUInt16LE(entry.flags, 6);
+    header.writeUInt16LE(METHOD_STORE, 8);
+    header.writeUInt16LE(entry.dosTime, 10);
+    header.writeUInt16LE(entry.dosDate, 12);
+    // With a data descriptor, CRC and sizes follow the data and are zero here
+    header.writeUInt32LE(entry.flags & FLAG_DATA_DESCRIPTOR ? 0 : entry.crc, 14);
+    header.writeUInt32LE(entry.flags & FLAG_DATA_DESCRIPTOR ? 0 : entry.size, 18);
+    header.writeUInt32LE(entry.flags & FLAG_DATA_DESCRIPTOR ? 0 : entry.size, 22);
+    header.writeUInt16LE(entry.nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28); // Extra field length
+    return Buffer.concat([header, entry.nameBuffer]);
+  }
+
+  function centralDirectoryRecord(entry) {
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(CENTRAL_DIRECTORY_SIGNATURE, 0);
+    record.writeUInt16LE(VERSION_NEEDED, 4); // Version made by
+    record.writeUInt16LE(VERSION_NEEDED, 6);
+    record.writeUInt16LE(entry.flags, 8);
+    record.writeUInt16LE(METHOD_STORE, 10);
+    record.writeUInt16LE(entry.dosTime, 12);
+    record.writeUInt16LE(entry.dosDate, 14);
+    record.writeUInt32LE(entry.crc, 16);
+    record.writeUInt32LE(entry.size, 20);
+    record.writeUInt32LE(entry.size, 24);
+    record.writeUInt16LE(entry.nameBuffer.length, 28);
+    // Extra field, comment, disk number, internal attributes: 0
+    record.writeUInt32LE(0, 38); // External attributes
+    record.writeUInt32LE(entry.offset, 42);
+    return Buffer.concat([record, entry.nameBuffer]);
+  }
+
+  function startEntry(name, modified, flags) {
+    if (entries.length >= MAX_ZIP_ENTRIES) {
+      throw new Error(`Zip archive exceeds ${MAX_ZIP_ENTRIES} entries`);
+    }
+    const { time, date } = toDosDateTime(modified);
+    return {
+      nameBuffer: Buffer.from(name, 'utf8'),
+      flags: FLAG_UTF8 | flags,
+      dosTime: time,
+      dosDate: date,
+      offset,
+      crc: 0,
+      size: 0
+    };
+  }
+
+  return {
+    /**
+     * Add an entry with in-memory content
+     * @param {string} name - Path within the archive
+     * @param {Buffer|string} content
+     * @param {Date} [modified]
+     */
+    async addBuffer(name, content, modified = new Date()) {
+      const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+      const entry = startEntry(name, modified, 0);
+      entry.crc = crc32(0, data);
+      entry.size = data.length;
+      await write(localFileHeader(entry));
+      await write(data);
+      entries.push(entry);
+    },
+
+    /**
+     * Add a file, streamed from disk
+     * @param {string} name - Path within the archive
+     * @param {string} filePath - File to add
+     * @param {Date} [modified] - Modification time to record (default: now)
+     * @returns {Promise<{ size: number, crc: number }>}
+     */
+    async addFile(name, filePath, modified = new Date()) {
+      const entry = startEntry(name, modified, FLAG_DATA_DESCRIPTOR);
+      await write(localFileHeader(entry));
+
+      const input = fsSync.createReadStream(filePath);
+      try {
+        for await (const chunk of input) {
+          entry.crc = crc32(entry.crc, chunk);
+          entry.size += chunk.length;
+          await write(chunk);
+        }
+      } finally {
+        input.destroy();
+      }
+
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(DATA_DESCRIPTOR_SIGNATURE, 0);
+      descriptor.writeUInt32LE(entry.crc, 4);
+      descriptor.writeUInt32LE(entry.size, 8);
+      descriptor.writeUInt32LE(entry.size, 12);
+      await write(descriptor);
+      entries.push(entry);
+      return { size: entry.size, crc: entry.crc };
+    },
+
+    /**
+     * Write the central directory and end the stream
+     */
+    async finish() {
+      const centralDirectoryOffset = offset;
+      for (const entry of entries) {
+        await write(centralDirectoryRecord(entry));
+      }
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+      end.writeUInt16LE(entries.length, 8); // Entries on this disk
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - centralDirectoryOffset, 12);
+      end.writeUInt32LE(centralDirectoryOffset, 16);
+      await write(end);
+      writable.end();
+    },
+
+    get entryCount() {
+      return entries.length;
+    }
+  };
+}
+
+module.exports = {
+  MAX_ZIP_SIZE,
+  MAX_ZIP_ENTRIES,
+  crc32,
+  createZipWriter
+};
@@ -6,7 +6,54 @@ const cors = require('cors');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
-const { getRunDB } = require('./evorun-db');
+const crypto = require('crypto');
+const { getRunDB, closeRunDB, getRunWriteDB, closeRunWriteDB, decodeRowData } = require('./evorun-db');
+const { createEvorunIndex, extractEvorunName, isEvorunFolderName } = require('./evorun-index');
+const { METRICS, extractFeatureVector, getFeatureIndex, clearFeatureIndexes, findNearest } = require('./evorun-similarity');
+const {
+  hasEliteHistory,
+  getCommitIds,
+  getCommitCount,
+  getEliteMapAtCommit,
+  getCellElites,
+  getEliteGenomeIndex,
+  diffEliteMaps,
+  getQdMetricsSeries
+} = require('./evorun-elites');
+const { getReverseParentIndex, clearReverseParentIndex, buildLineageGraph } = require('./evorun-lineage');
+const { createEventHub } = require('./evorun-events');
+const { parseRenderFileName, findNearestRender, createRenderIndex } = require('./evorender-files');
+const { MAX_PEAKS_RESOLUTION, getWavPeaks, getWavMetadata } = require('./evorender-wav');
+const {
+  MIN_FFT_SIZE,
+  MAX_FFT_SIZE,
+  DEFAULT_FFT_SIZE,
+  HOP_DIVISORS,
+  DEFAULT_HOP_DIVISOR,
+  MAX_SPECTROGRAM_CELLS,
+  isValidFftSize,
+  isValidHopSize,
+  countSpectrogramFrames,
+  getWavSpectrogram,
+  encodeSpectrogramPng
+} = require('./evorender-spectrogram');
+const { MAX_ZIP_SIZE, MAX_ZIP_ENTRIES, createZipWriter } = require('./evorender-zip');
+const {
+  selectInstrumentRenders,
+  mapInstrumentRegions,
+  buildSfz,
+  buildDecentSamplerPreset
+} = require('./evorender-instrument');
+const { MAX_CHUNK_COUNT: MAX_UPLOAD_CHUNK_COUNT, createUploadStore } = require('./evorun-sync-uploads');
+const { createSyncAuth, keyAllowsRun } = require('./evorun-sync-auth');
+const { RUN_STATUSES, createRunStatusStore } = require('./evorun-sync-status');
+const { createRunLifecycle, isSafeFolderName } = require('./evorun-lifecycle');
+const {
+  FORMATS: PHYLOGENY_FORMATS,
+  CONTENT_TYPES: PHYLOGENY_CONTENT_TYPES,
+  FILE_EXTENSIONS: PHYLOGENY_FILE_EXTENSIONS,
+  writePhylogeny
+} = require('./evorun-phylogeny');
 
 const app = express();
 app.use(cors({
@@ -25,11 +72,107 @@ let CONFIG = {
   port: process.env.PORT || 3004,
   dateGranularity: process.env.DATE_GRANULARITY || 'month', // month, week, day
   syncApiKeys: (process.env.SYNC_API_KEYS || '').split(',').filter(Boolean),
+  syncApiKeysFile: process.env.SYNC_API_KEYS_FILE || null, // Optional JSON file with scoped sync API keys
+  syncAuditLog: process.env.SYNC_AUDIT_LOG || null, // Sync request audit log (default: .sync-audit.log in the sync directory)
+  syncAuditLogMaxMB: parseFloat(process.env.SYNC_AUDIT_LOG_MAX_MB || '10'), // The audit log is rotated to <log>.1 at this size
+  adminApiKeys: (process.env.ADMIN_API_KEYS || '').split(',').filter(Boolean),
+  indexFile: process.env.EVORUN_INDEX_FILE || null, // Optional JSON file to persist the evorun index across restarts
+  indexReconcileMinutes: parseFloat(process.env.EVORUN_INDEX_RECONCILE_MINUTES || '10'), // Full rescan interval (0 disables)
+  eventsPollSeconds: parseFloat(process.env.EVENTS_POLL_SECONDS || '5'), // genomes.sqlite check interval for /events (0 disables)
+  syncUploadDirectory: process.env.SYNC_UPLOAD_DIR || null, // Chunked upload sessions (default: .sync-uploads in the sync directory)
+  syncUploadSessionHours: parseFloat(process.env.SYNC_UPLOAD_SESSION_HOURS || '24'), // Inactive upload sessions are removed after this
+  syncStaleMinutes: parseFloat(process.env.SYNC_STALE_MINUTES || '10'), // Unfinished runs without a heartbeat for this long are stale
+  archiveDirectory: process.env.ARCHIVE_DIR || null, // Archived (compressed) runs; archiving is disabled if not set
+  trashDirectory: process.env.TRASH_DIR || null, // Deleted runs (default: .trash in the root directory)
+  trashRetentionDays: parseFloat(process.env.TRASH_RETENTION_DAYS || '30'), // Deleted runs are purged after this
 };
 
+// Directories to index: root + sync (if configured)
+function getEvorunSearchDirs() {
+  const searchDirs = [{ dir: path.resolve(CONFIG.rootDirectory), source: 'root' }];
+  if (CONFIG.syncDirectory) {
+    searchDirs.push({ dir: path.resolve(CONFIG.syncDirectory), source: 'sync' });
+  }
+  return searchDirs;
+}
+
+// Index of evorun folders (folderName / evorun name -> path), shared by all lookups
+const evorunIndex = createEvorunIndex({
+  getSearchDirs: getEvorunSearchDirs,
+  persistPath: CONFIG.indexFile,
+  reconcileInterval: CONFIG.indexReconcileMinutes * 60 * 1000,
+  onChange: (change, entry) => {
+    eventHub.publish({
+      type: change === 'added' ? 'evorun-added' : 'evorun-removed',
+      folderName: entry.folderName,
+      relativePath: entry.relativePath,
+      source: entry.source
+    });
+  }
+});
+
+// Change notifications streamed to /events clients
+const EVENT_TYPES = [
+  'evorun-added', 'evorun-removed', 'run-registered', 'run-progress', 'file-uploaded', 'genomes-updated', 'render-added'
+];
+const eventHub = createEventHub({
+  getRuns: () => evorunIndex.list(),
+  getEvorenderDirectory: () => path.resolve(CONFIG.evorenderDirectory),
+  pollInterval: CONFIG.eventsPollSeconds * 1000
+});
+
 // Middleware to parse JSON
 app.use(express.json());
 
+// Maximum number of ULIDs accepted by the batch endpoint
+const MAX_BATCH_SIZE = 1000;
+
+// Maximum number of neighbours returned by similarity search
+const MAX_SIMILAR_RESULTS = 1000;
+
+// Limits for lineage graphs
+const MAX_LINEAGE_DEPTH = 1000;
+const MAX_LINEAGE_NODES = 20000;
+
+// Maximum length of a summary name filter regex
+const MAX_NAME_REGEX_LENGTH = 256;
+
+// Runs whose files are checked at once for the hasGenomeDb / hasFeatureDb / hasRenders filters
+const SUMMARY_FILE_CHECK_BATCH = 64;
+
+// Maximum number of sync audit log entries per query
+const MAX_AUDIT_ENTRIES = 10000;
+
+// Genomes and features are addressed by ULID and never change once written
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Files are served with byte ranges and ETag/Last-Modified validators, and revalidated on every use
+const STATIC_FILE_OPTIONS = { acceptRanges: true, etag: true, lastModified: true, cacheControl: true, maxAge: 0 };
+
+// Helper function to send JSON with a content-hash ETag, answering conditional requests with 304.
+// With immutable set, clients may cache the response for good.
+function sendJsonWithETag(req, res, body, { immutable = false } = {}) {
+  const json = JSON.stringify(body);
+  res.setHeader('ETag', `"${crypto.createHash('sha1').update(json).digest('hex')}"`);
+  res.setHeader('Cache-Control', immutable ? IMMUTABLE_CACHE_CONTROL : 'no-cache');
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.type('application/json').send(json);
+}
+
+// Helper function to serve a file; range and conditional requests (Range, If-Range, If-None-Match,
+// If-Modified-Since) are answered with 206/304
+function sendStaticFile(res, filePath) {
+  res.sendFile(filePath, STATIC_FILE_OPTIONS, error => {
+    // Aborted requests are routine when audio players seek
+    if (!error || error.code === 'ECONNABORTED' || res.headersSent) return;
+    res.status(error.status || 500).json({
+      error: error.status === 404 ? 'File not found' : 'Failed to serve file: ' + error.message
+    });
+  });
+}
+
 // Helper function to decode ULID timestamp
 function decodeULIDTimestamp(ulid) {
   // ULID timestamp is first 10 characters (48 bits)
@@ -51,16 +194,6 @@ function decodeULIDTimestamp(ulid) {
   return new Date(timestamp);
 }
 
-// Helper function to extract evorun name from folder name
-function extractEvorunName(folderName) {
-  // Split by underscore and remove the first part (ULID)
-  const parts = folderName.split('_');
-  if (parts.length < 2) {
-    return folderName; // Return as-is if no underscore found
-  }
-  return parts.slice(1).join('_');
-}
-
 // Helper function to format date based on granularity
 function formatDateByGranularity(date, granularity) {
   const year = date.getFullYear();
@@ -81,57 +214,34 @@ function formatDateByGranularity(date, granularity) {
   }
 }
 
-// Helper function to scan directory recursively for evorun folders
-async function scanEvorunDirectories(rootDir) {
-  const evorunFolders = [];
+// Helper function to find an evorun folder by name within the root directory (and sync directory)
+async function findEvorunPath(rootDir, folderName) {
+  // Wait for the index if it hasn't been built yet
+  await evorunIndex.ready();
 
-  async function scanDirectory(currentDir) {
+  // Look up by full folder name, or by evorun name without the ULID prefix
+  const entry = evorunIndex.lookup(folderName);
+  if (entry) {
     try {
-      const entries = await fs.readdir(currentDir, { withFileTypes: true });
-
-      for (const entry of entries) {
-        if (entry.isDirectory()) {
-          const fullPath = path.join(currentDir, entry.name);
-
-          // Check if this directory name looks like an evorun (starts with ULID)
-          const ulidPattern = /^[0-9A-Z]{26}_/;
-          if (ulidPattern.test(entry.name)) {
-            // Skip folders with "_failed-genes" suffix
-            if (!entry.name.endsWith('_failed-genes')) {
-              evorunFolders.push({
-                fullPath,
-                folderName: entry.name,
-                relativePath: path.relative(rootDir, fullPath)
-              });
-            }
-          } else {
-            // Recursively scan subdirectories
-            await scanDirectory(fullPath);
-          }
-        }
+      const stats = await fs.stat(entry.fullPath);
+      if (stats.isDirectory()) {
+        return entry.fullPath;
       }
     } catch (error) {
-      console.warn(`Could not scan directory ${currentDir}:`, error.message);
+      // Folder was removed since it was indexed
     }
+    evorunIndex.remove(entry.folderName);
   }
 
-  await scanDirectory(rootDir);
-  return evorunFolders;
-}
-
-// Helper function to find an evorun folder by name within the root directory (and sync directory)
-async function findEvorunPath(rootDir, folderName) {
-  // Directories to search: root + sync (if configured)
+  // Fall back to the direct path (for backwards compatibility with folders not named by ULID)
   const searchDirs = [rootDir];
   if (CONFIG.syncDirectory) {
     searchDirs.push(CONFIG.syncDirectory);
   }
 
   for (const dir of searchDirs) {
-    // First try direct path (for backwards compatibility)
     const directPath = path.join(dir, folderName);
     try {
-      await fs.access(directPath);
       const stats = await fs.stat(directPath);
       if (stats.isDirectory()) {
         return directPath;
@@ -139,26 +249,22 @@ async function findEvorunPath(rootDir, folderName) {
     } catch (error) {
       // Directory doesn't exist at direct path
     }
-
-    // Search recursively for the folder
-    const evorunFolders = await scanEvorunDirectories(dir);
-
-    // First try exact match (full folder name including ULID)
-    let found = evorunFolders.find(folder => folder.folderName === folderName);
-
-    // If not found, try matching by suffix (evorun name without ULID prefix)
-    if (!found) {
-      found = evorunFolders.find(folder => extractEvorunName(folder.folderName) === folderName);
-    }
-
-    if (found) {
-      return found.fullPath;
-    }
   }
 
   return null;
 }
 
+/**
+ * Find which evorun directory (root or sync) contains a path
+ * @param {string} targetPath
+ * @returns {string|null} The resolved root or sync directory, or null if the path is outside both
+ */
+function getEvorunBaseDir(targetPath) {
+  const resolvedPath = path.resolve(targetPath);
+  const baseDirs = [CONFIG.rootDirectory, CONFIG.syncDirectory].filter(Boolean).map(dir => path.resolve(dir));
+  return baseDirs.find(dir => resolvedPath.startsWith(dir + path.sep)) || null;
+}
+
 // Helper function to validate and format render parameters
 function formatRenderParams(duration, pitch, velocity) {
   // Convert to numbers and validate
@@ -186,16 +292,267 @@ function formatRenderParams(duration, pitch, velocity) {
   return `${dur}_${pit}_${vel}`;
 }
 
+/**
+ * Locate a rendered WAV file from route parameters
+ * @param {Object} params - { folderName, ulid, duration, pitch, velocity }
+ * @returns {Promise<Object>} { wavFileName, wavFilePath, stats }, or { status, body } with the
+ *   HTTP error status and response body if the file can't be served
+ */
+async function findRenderFile({ folderName, ulid, duration, pitch, velocity }) {
+  // Validate and format render parameters
+  let renderParams;
+  try {
+    renderParams = formatRenderParams(duration, pitch, velocity);
+  } catch (error) {
+    return { status: 400, body: { error: error.message } };
+  }
+
+  // Construct the WAV filename
+  return findRenderFileByName(folderName, `${ulid}-${renderParams}.wav`);
+}
+
+/**
+ * Locate a rendered WAV file by its file name within an evorender folder
+ * @param {string} folderName
+ * @param {string} wavFileName
+ * @returns {Promise<Object>} As findRenderFile
+ */
+async function findRenderFileByName(folderName, wavFileName) {
+  // Construct the full path to the WAV file
+  const wavFilePath = path.join(CONFIG.evorenderDirectory, folderName, wavFileName);
+
+  // Security check: ensure the path is within the evorenders directory
+  const resolvedPath = path.resolve(wavFilePath);
+  const resolvedRoot = path.resolve(CONFIG.evorenderDirectory);
+
+  if (!resolvedPath.startsWith(resolvedRoot + path.sep)) {
+    return { status: 403, body: { error: 'Access denied: path outside evorenders directory' } };
+  }
+
+  // Check if file exists
+  let stats;
+  try {
+    stats = await fs.stat(resolvedPath);
+  } catch (error) {
+    return {
+      status: 404,
+      body: {
+        error: `Rendered WAV file not found: ${wavFileName}`,
+        expectedPath: path.relative(CONFIG.evorenderDirectory, wavFilePath)
+      }
+    };
+  }
+
+  // Check if it's a file (not a directory)
+  if (!stats.isFile()) {
+    return { status: 400, body: { error: 'Path is not a file' } };
+  }
+
+  return { wavFileName, wavFilePath: resolvedPath, stats };
+}
+
+// Helper function to parse a timestamp query parameter (milliseconds since epoch or ISO date)
+function parseTimestampParam(value, name) {
+  const timestamp = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  if (isNaN(timestamp)) {
+    throw new Error(`Invalid ${name} timestamp: ${value}`);
+  }
+  return timestamp;
+}
+
+// Helper function to validate pagination and time window parameters for genome/feature ID listings
+function parseIdListOptions(query) {
+  const { after, limit, order, from, to } = query;
+  const options = {};
+
+  if (after) {
+    if (!/^[0-9A-Z]{26}$/.test(after)) {
+      throw new Error('Invalid cursor: after must be a ULID');
+    }
+    options.after = after;
+  }
+
+  if (limit !== undefined) {
+    options.limit = parseInt(limit);
+    if (isNaN(options.limit) || options.limit <= 0) {
+      throw new Error('Invalid limit: must be a positive integer');
+    }
+  }
+
+  if (order !== undefined) {
+    if (!['asc', 'desc'].includes(order)) {
+      throw new Error('Invalid order. Must be one of: asc, desc');
+    }
+    options.order = order;
+  }
+
+  if (from !== undefined) options.from = parseTimestampParam(from, 'from');
+  if (to !== undefined) options.to = parseTimestampParam(to, 'to');
+
+  return options;
+}
+
+// Helper function to parse a boolean query parameter ('true' or 'false'); undefined if absent
+function parseBooleanParam(value, name) {
+  if (value === undefined) return undefined;
+  if (value !== 'true' && value !== 'false') {
+    throw new Error(`Invalid ${name}: must be true or false`);
+  }
+  return value === 'true';
+}
+
+// Helper function to find groups that contain a quantifier or alternation and are quantified themselves
+function hasNestedQuantifier(pattern) {
+  const groups = []; // Whether each open group contains a quantifier or alternation
+  let inClass = false;
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '\\') {
+      index++;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+      if (pattern[index + 1] === '?') index++; // (?: and lookarounds
+    } else if (char === ')') {
+      const repeating = groups.pop();
+      if (repeating && /[*+{]/.test(pattern[index + 1] || '')) return true;
+      if (repeating && groups.length > 0) groups[groups.length - 1] = true;
+    } else if (/[*+?{|]/.test(char) && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+// Helper function to validate the filter, sort and paging parameters of the evorun summary
+function parseSummaryOptions(query) {
+  const { name, nameRegex, from, to, source, sort = 'date', order, offset, limit } = query;
+  const options = { sort };
+
+  if (name) {
+    options.name = String(name).toLowerCase();
+  }
+
+  if (nameRegex) {
+    if (String(nameRegex).length > MAX_NAME_REGEX_LENGTH) {
+      throw new Error(`Invalid nameRegex: longer than ${MAX_NAME_REGEX_LENGTH} characters`);
+    }
+    // A quantified group that itself repeats (e.g. (a+)+) can keep RegExp backtracking for minutes
+    if (hasNestedQuantifier(String(nameRegex))) {
+      throw new Error('Invalid nameRegex: quantified groups must not contain quantifiers or alternation');
+    }
+    try {
+      options.nameRegex = new RegExp(String(nameRegex), 'i');
+    } catch (error) {
+      throw new Error(`Invalid nameRegex: ${error.message}`);
+    }
+  }
+
+  if (from !== undefined) options.from = parseTimestampParam(from, 'from');
+  if (to !== undefined) options.to = parseTimestampParam(to, 'to');
+
+  options.hasGenomeDb = parseBooleanParam(query.hasGenomeDb, 'hasGenomeDb');
+  options.hasFeatureDb = parseBooleanParam(query.hasFeatureDb, 'hasFeatureDb');
+  options.hasRenders = parseBooleanParam(query.hasRenders, 'hasRenders');
+
+  if (source !== undefined) {
+    if (!['root', 'sync'].includes(source)) {
+      throw new Error('Invalid source. Must be one of: root, sync');
+    }
+    options.source = source;
+  }
+
+  if (!['date', 'name', 'runs'].includes(sort)) {
+    throw new Error('Invalid sort. Must be one of: date, name, runs');
+  }
+
+  if (order !== undefined && !['asc', 'desc'].includes(order)) {
+    throw new Error('Invalid order. Must be one of: asc, desc');
+  }
+  // Most recent dates and largest groups first, names alphabetically
+  options.order = order || (sort === 'name' ? 'asc' : 'desc');
+
+  options.offset = offset === undefined ? 0 : parseInt(offset);
+  if (isNaN(options.offset) || options.offset < 0) {
+    throw new Error('Invalid offset: must be a non-negative integer');
+  }
+
+  if (limit !== undefined) {
+    options.limit = parseInt(limit);
+    if (isNaN(options.limit) || options.limit <= 0) {
+      throw new Error('Invalid limit: must be a positive integer');
+    }
+  }
+
+  return options;
+}
+
+// Helper function to check whether an evorun folder passes the name, date and source filters
+function matchesSummaryFilters(folder, evorunName, date, options) {
+  if (options.name && !evorunName.toLowerCase().includes(options.name)) return false;
+  if (options.nameRegex && !options.nameRegex.test(evorunName)) return false;
+  if (options.from !== undefined && date.getTime() < options.from) return false;
+  if (options.to !== undefined && date.getTime() > options.to) return false;
+  if (options.source && folder.source !== options.source) return false;
+  return true;
+}
+
+async function pathExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Helper function to check whether an evorun folder passes the hasGenomeDb, hasFeatureDb and hasRenders filters
+async function matchesSummaryFileFilters(folder, options) {
+  const checks = [
+    [options.hasGenomeDb, () => pathExists(path.join(folder.fullPath, 'genomes.sqlite'))],
+    [options.hasFeatureDb, () => pathExists(path.join(folder.fullPath, 'features.sqlite'))],
+    [options.hasRenders, () => pathExists(path.join(CONFIG.evorenderDirectory, folder.folderName))]
+  ];
+  for (const [expected, check] of checks) {
+    if (expected !== undefined && (await check()) !== expected) return false;
+  }
+  return true;
+}
+
+// Helper function to parse an iteration query parameter (0-based index into the elite map commits)
+function parseIterationParam(value, name = 'iteration') {
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`Invalid ${name}: must be a non-negative integer`);
+  }
+  return parseInt(value);
+}
+
+// Helper function to get the configuration without secrets, for responses
+function getPublicConfig() {
+  const describeKeys = keys => keys.length > 0 ? `${keys.length} key(s) configured` : 'none';
+  return {
+    ...CONFIG,
+    syncApiKeys: describeKeys(CONFIG.syncApiKeys),
+    adminApiKeys: describeKeys(CONFIG.adminApiKeys)
+  };
+}
+
 // Route to set configuration
 app.post('/config', (req, res) => {
   const { rootDirectory, evorenderDirectory, dateGranularity } = req.body;
 
   if (rootDirectory) {
     CONFIG.rootDirectory = rootDirectory;
+    // Re-index in the background; lookups wait for the rebuild to finish
+    evorunIndex.rebuild({ blocking: true }).catch(error => console.error('Error rebuilding evorun index:', error));
   }
 
   if (evorenderDirectory) {
     CONFIG.evorenderDirectory = evorenderDirectory;
+    eventHub.refreshRenderWatch();
   }
 
   if (dateGranularity && ['day', 'week', 'month'].includes(dateGranularity)) {
@@ -204,13 +561,13 @@ app.post('/config', (req, res) => {
 
   res.json({
     message: 'Configuration updated',
-    config: CONFIG
+    config: getPublicConfig()
   });
 });
 
 // Route to get current configuration
 app.get('/config', (req, res) => {
-  res.json(CONFIG);
+  res.json(getPublicConfig());
 });
 
 // Route to get evorun summary grouped by date and name
@@ -224,6 +581,13 @@ app.get('/evoruns/summary', async (req, res) => {
       });
     }
 
+    let options;
+    try {
+      options = parseSummaryOptions(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     // Check if root directory exists
     try {
       await fs.access(CONFIG.rootDirectory);
@@ -233,35 +597,45 @@ app.get('/evoruns/summary', async (req, res) => {
       });
     }
 
-    let evorunFolders = await scanEvorunDirectories(CONFIG.rootDirectory);
+    // Evorun folders from the root and sync directories, as kept by the index
+    await evorunIndex.ready();
+    const evorunFolders = evorunIndex.list();
 
-    // Also scan sync directory if configured
-    if (CONFIG.syncDirectory) {
-      try {
-        await fs.access(CONFIG.syncDirectory);
-        const syncFolders = await scanEvorunDirectories(CONFIG.syncDirectory);
-        evorunFolders = evorunFolders.concat(syncFolders);
-      } catch {
-        // Sync directory doesn't exist yet, skip
+    // Filter on names and dates first, so files are only checked for the runs left
+    const candidates = [];
+    for (const folder of evorunFolders) {
+      // Extract ULID from folder name
+      const ulidMatch = folder.folderName.match(/^([0-9A-Z]{26})_/);
+      if (!ulidMatch) {
+        console.warn(`Could not extract ULID from folder: ${folder.folderName}`);
+        continue;
+      }
+
+      const ulid = ulidMatch[1];
+      const date = decodeULIDTimestamp(ulid);
+      const evorunName = extractEvorunName(folder.folderName);
+      if (matchesSummaryFilters(folder, evorunName, date, options)) {
+        candidates.push({ folder, ulid, date, evorunName });
+      }
+    }
+
+    let matchingRuns = candidates;
+    if ([options.hasGenomeDb, options.hasFeatureDb, options.hasRenders].some(value => value !== undefined)) {
+      matchingRuns = [];
+      for (let start = 0; start < candidates.length; start += SUMMARY_FILE_CHECK_BATCH) {
+        const batch = candidates.slice(start, start + SUMMARY_FILE_CHECK_BATCH);
+        const matches = await Promise.all(batch.map(({ folder }) => matchesSummaryFileFilters(folder, options)));
+        matchingRuns.push(...batch.filter((candidate, index) => matches[index]));
       }
     }
 
     // Group by date and then by name
     const groupedRuns = {};
+    const matchedRuns = matchingRuns.length;
 
-    for (const folder of evorunFolders) {
+    for (const { folder, ulid, date, evorunName } of matchingRuns) {
       try {
-        // Extract ULID from folder name
-        const ulidMatch = folder.folderName.match(/^([0-9A-Z]{26})_/);
-        if (!ulidMatch) {
-          console.warn(`Could not extract ULID from folder: ${folder.folderName}`);
-          continue;
-        }
-
-        const ulid = ulidMatch[1];
-        const date = decodeULIDTimestamp(ulid);
         const dateKey = formatDateByGranularity(date, granularity);
-        const evorunName = extractEvorunName(folder.folderName);
 
         // Initialize date group if not exists
         if (!groupedRuns[dateKey]) {
@@ -278,6 +652,7 @@ app.get('/evoruns/summary', async (req, res) => {
           ulid,
           folderName: folder.folderName,
           relativePath: folder.relativePath,
+          source: folder.source,
           timestamp: date.toISOString()
         });
 
@@ -286,25 +661,52 @@ app.get('/evoruns/summary', async (req, res) => {
       }
     }
 
-    // Sort the results
-    const sortedResult = {};
-    const sortedDateKeys = Object.keys(groupedRuns).sort().reverse(); // Most recent first
+    // Sort the (date, name) groups
+    const groupList = [];
+    for (const dateKey of Object.keys(groupedRuns)) {
+      for (const nameKey of Object.keys(groupedRuns[dateKey])) {
+        groupList.push({ dateKey, nameKey, runs: groupedRuns[dateKey][nameKey] });
+      }
+    }
+
+    const direction = options.order === 'asc' ? 1 : -1;
+    const compareDate = (a, b) => a.dateKey.localeCompare(b.dateKey);
+    const compareName = (a, b) => a.nameKey.localeCompare(b.nameKey);
+    groupList.sort((a, b) => {
+      if (options.sort === 'name') {
+        return direction * compareName(a, b) || -compareDate(a, b);
+      }
+      if (options.sort === 'runs') {
+        return direction * (a.runs.length - b.runs.length) || -compareDate(a, b) || compareName(a, b);
+      }
+      return direction * compareDate(a, b) || compareName(a, b);
+    });
 
-    for (const dateKey of sortedDateKeys) {
-      sortedResult[dateKey] = {};
-      const sortedNameKeys = Object.keys(groupedRuns[dateKey]).sort();
+    // Page through the groups
+    const pageEnd = options.limit === undefined ? groupList.length : options.offset + options.limit;
+    const page = groupList.slice(options.offset, pageEnd);
 
-      for (const nameKey of sortedNameKeys) {
-        // Sort runs within each name group by timestamp (most recent first)
-        sortedResult[dateKey][nameKey] = groupedRuns[dateKey][nameKey]
-          .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const sortedResult = {};
+    for (const { dateKey, nameKey, runs } of page) {
+      if (!sortedResult[dateKey]) {
+        sortedResult[dateKey] = {};
       }
+      // Sort runs within each name group by timestamp (most recent first)
+      sortedResult[dateKey][nameKey] = runs
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
     }
 
     res.json({
       granularity,
       rootDirectory: CONFIG.rootDirectory,
       totalRuns: evorunFolders.length,
+      matchedRuns,
+      totalGroups: groupList.length,
+      offset: options.offset,
+      limit: options.limit === undefined ? null : options.limit,
+      nextOffset: pageEnd < groupList.length ? pageEnd : null,
+      // Nesting by date regroups the page, so the requested order is given separately
+      groupOrder: page.map(({ dateKey, nameKey }) => ({ dateKey, nameKey })),
       groups: sortedResult
     });
 
@@ -316,6 +718,24 @@ app.get('/evoruns/summary', async (req, res) => {
   }
 });
 
+// Route to stream change notifications (Server-Sent Events), optionally for a single run
+app.get('/events', (req, res) => {
+  const { folderName, types } = req.query;
+
+  let typeList = null;
+  if (types) {
+    typeList = String(types).split(',').map(type => type.trim()).filter(Boolean);
+    const unknown = typeList.filter(type => !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Invalid types: ${unknown.join(', ')}. Must be among: ${EVENT_TYPES.join(', ')}`
+      });
+    }
+  }
+
+  eventHub.addClient(req, res, { folderName: folderName || null, types: typeList });
+});
+
 // Route to serve static files from evorun directories
 app.get('/files/*', async (req, res) => {
   try {
@@ -360,19 +780,18 @@ app.get('/files/*', async (req, res) => {
       const ulidPattern = /^[0-9A-Z]{26}_/;
       if (ulidPattern.test(evorunFolderName)) {
         try {
-          // Use the same fast scanning logic as the summary endpoint
-          console.log(`Scanning for evorun folder: ${evorunFolderName}`);
-          const evorunFolders = await scanEvorunDirectories(CONFIG.rootDirectory);
-          const foundFolder = evorunFolders.find(folder => folder.folderName === evorunFolderName);
+          // Use the evorun index shared with the summary endpoint
+          await evorunIndex.ready();
+          const foundFolder = evorunIndex.lookup(evorunFolderName);
 
-          if (foundFolder) {
+          if (foundFolder && foundFolder.folderName === evorunFolderName) {
             // Construct the file path within the found evorun directory
             const remainingPath = pathParts.slice(1).join('/');
             const candidateFilePath = path.join(foundFolder.fullPath, remainingPath);
 
-            // Security check for the candidate path
+            // Security check for the candidate path (must stay within the evorun folder)
             const candidateResolved = path.resolve(candidateFilePath);
-            if (candidateResolved.startsWith(resolvedRoot)) {
+            if (candidateResolved.startsWith(path.resolve(foundFolder.fullPath) + path.sep)) {
               try {
                 const stats = await fs.stat(candidateFilePath);
                 if (stats.isFile()) {
@@ -402,7 +821,7 @@ app.get('/files/*', async (req, res) => {
     }
 
     // Serve the file
-    res.sendFile(resolvedPath);
+    sendStaticFile(res, resolvedPath);
 
   } catch (error) {
     console.error('Error serving file:', error);
@@ -482,6 +901,164 @@ app.get('/evoruns/:evorunPath/files', async (req, res) => {
   }
 });
 
+// Directory stats of runs, by run directory: { mtimeMs, computedAt, stats }
+const directoryStatsCache = new Map();
+// Files changing deeper in a run (e.g. growing databases) don't touch the run directory's mtime
+const DIRECTORY_STATS_MAX_AGE = 60 * 1000; // 1 minute
+
+// Helper function to total the size, file count and latest modification time of a run directory
+// (symbolic links are counted but not followed). The .git directory (elite map history) counts
+// towards the size, which it is often most of, and is also totalled separately; its object files
+// are left out of the file count and modification time. Results are cached until the run
+// directory's modification time changes or they are a minute old.
+async function getDirectoryStats(directory) {
+  const { mtimeMs } = await fs.stat(directory);
+  const cached = directoryStatsCache.get(directory);
+  if (cached && cached.mtimeMs === mtimeMs && Date.now() - cached.computedAt < DIRECTORY_STATS_MAX_AGE) {
+    return cached.stats;
+  }
+
+  let sizeBytes = 0;
+  let gitSizeBytes = 0;
+  let fileCount = 0;
+  let lastModifiedMs = 0;
+
+  async function walk(currentDir, inGit) {
+    let entries;
+    try {
+      entries = await fs.readdir(currentDir, { withFileTypes: true });
+    } catch (error) {
+      console.warn(`Could not read directory ${currentDir}:`, error.message);
+      return;
+    }
+
+    // The entries of a directory are read in parallel, its subdirectories one after the other
+    const subdirectories = [];
+    await Promise.all(entries.map(async entry => {
+      const entryPath = path.join(currentDir, entry.name);
+      const isGit = inGit || (currentDir === directory && entry.name === '.git');
+      try {
+        const stats = await fs.lstat(entryPath);
+        if (entry.isDirectory()) {
+          subdirectories.push({ entryPath, isGit });
+        } else if (isGit) {
+          sizeBytes += stats.size;
+          gitSizeBytes += stats.size;
+        } else {
+          sizeBytes += stats.size;
+          fileCount++;
+        }
+        if (!isGit) {
+          lastModifiedMs = Math.max(lastModifiedMs, stats.mtimeMs);
+        }
+      } catch (error) {
+        // Entry was removed while walking
+      }
+    }));
+    for (const subdirectory of subdirectories) {
+      await walk(subdirectory.entryPath, subdirectory.isGit);
+    }
+  }
+
+  await walk(directory, false);
+
+  const stats = {
+    sizeBytes,
+    gitSizeBytes,
+    fileCount,
+    lastModified: lastModifiedMs > 0 ? new Date(lastModifiedMs).toISOString() : null
+  };
+  directoryStatsCache.set(directory, { mtimeMs, computedAt: Date.now(), stats });
+  return stats;
+}
+
+// Route to get an overview of what an evorun contains
+app.get('/evoruns/:folderName/info', async (req, res) => {
+  try {
+    const { folderName } = req.params;
+
+    // Find the evorun directory path
+    const evorunPath = await findEvorunPath(CONFIG.rootDirectory, folderName);
+
+    if (!evorunPath) {
+      return res.status(404).json({ error: 'Evorun directory not found' });
+    }
+
+    // Security check: runs may live in the root or the sync directory
+    const resolvedPath = path.resolve(evorunPath);
+    const baseDir = getEvorunBaseDir(resolvedPath);
+
+    if (!baseDir) {
+      return res.status(403).json({ error: 'Access denied: path outside root directory' });
+    }
+
+    const runFolderName = path.basename(resolvedPath);
+    const ulidMatch = runFolderName.match(/^([0-9A-Z]{26})_/);
+    const ulid = ulidMatch ? ulidMatch[1] : null;
+    const indexEntry = evorunIndex.lookup(runFolderName);
+
+    const renderPath = path.join(CONFIG.evorenderDirectory, runFolderName);
+    const hasRenders = path.resolve(renderPath).startsWith(path.resolve(CONFIG.evorenderDirectory))
+      && fsSync.existsSync(renderPath);
+
+    // Genome and feature counts
+    const db = getRunDB(evorunPath);
+    const genomeCount = db ? db.countGenomes() : null;
+    const featureCount = db ? db.countFeatures() : null;
+
+    // Iteration count from the elite map history, without writing commit-ids.txt
+    const eliteHistory = hasEliteHistory(evorunPath);
+    let iterationCount = null;
+    if (eliteHistory) {
+      try {
+        iterationCount = await getCommitCount(evorunPath);
+      } catch (error) {
+        console.warn(`Could not read commit IDs for ${folderName}:`, error.message);
+      }
+    }
+
+    // Metadata stored when the run was registered by a worker
+    let syncMetadata = null;
+    try {
+      syncMetadata = JSON.parse(await fs.readFile(path.join(evorunPath, 'sync-metadata.json'), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not read sync metadata for ${folderName}:`, error.message);
+      }
+    }
+
+    const directoryStats = await getDirectoryStats(evorunPath);
+
+    res.json({
+      folderName: runFolderName,
+      ulid,
+      timestamp: ulid ? decodeULIDTimestamp(ulid).toISOString() : null,
+      evorunName: extractEvorunName(runFolderName),
+      relativePath: indexEntry ? indexEntry.relativePath : path.relative(baseDir, resolvedPath),
+      source: indexEntry ? indexEntry.source : (baseDir === path.resolve(CONFIG.rootDirectory) ? 'root' : 'sync'),
+      hasGenomeDb: !!(db && db.hasGenomeDb),
+      hasFeatureDb: !!(db && db.hasFeatureDb),
+      hasAnalysisResults: fsSync.existsSync(path.join(evorunPath, 'analysisResults')),
+      hasEliteHistory: eliteHistory,
+      hasRenders,
+      genomeCount,
+      featureCount,
+      iterationCount,
+      sizeBytes: directoryStats.sizeBytes,
+      gitSizeBytes: directoryStats.gitSizeBytes,
+      fileCount: directoryStats.fileCount,
+      lastModified: directoryStats.lastModified,
+      syncMetadata
+    });
+
+  } catch (error) {
+    console.error('Error getting evorun info:', error);
+    res.status(500).json({
+      error: 'Failed to get evorun info: ' + error.message
+    });
+  }
+});
+
 // Route to get genome data by ULID from SQLite database
 app.get('/evoruns/:folderName/genome/:ulid', async (req, res) => {
   try {
@@ -495,11 +1072,8 @@ app.get('/evoruns/:folderName/genome/:ulid', async (req, res) => {
       return res.status(404).json({ error: 'Evorun directory not found' });
     }
 
-    // Security check
-    const resolvedPath = path.resolve(evorunPath);
-    const resolvedRoot = path.resolve(CONFIG.rootDirectory);
-
-    if (!resolvedPath.startsWith(resolvedRoot)) {
+    // Security check: runs may live in the root or the sync directory
+    if (!getEvorunBaseDir(evorunPath)) {
       return res.status(403).json({ error: 'Access denied: path outside root directory' });
     }
 
@@ -517,14 +1091,14 @@ app.get('/evoruns/:folderName/genome/:ulid', async (req, res) => {
 
     // Return raw genome for rendering service compatibility
     if (format === 'raw') {
-      res.json(genomeData);
+      sendJsonWithETag(req, res, genomeData, { immutable: true });
     } else {
       // Return wrapped format for API consistency
-      res.json({
+      sendJsonWithETag(req, res, {
         ulid,
         folderName,
         genome: genomeData
-      });
+      }, { immutable: true });
     }
 
   } catch (error) {
@@ -535,10 +1109,34 @@ app.get('/evoruns/:folderName/genome/:ulid', async (req, res) => {
   }
 });
 
-// Route to get feature data by ULID from SQLite database
-app.get('/evoruns/:folderName/features/:ulid', async (req, res) => {
+// Helper function to index the elites of a run's latest elite map by genome ID
+async function getCurrentEliteInfo(evorunPath) {
+  const commitIds = await getCommitIds(evorunPath);
+  if (commitIds.length === 0) {
+    return new Map();
+  }
+  return getEliteGenomeIndex(await getEliteMapAtCommit(evorunPath, commitIds[commitIds.length - 1]));
+}
+
+// Route to get the lineage (ancestors or descendants) of a genome as a node/edge graph
+app.get('/evoruns/:folderName/genome/:ulid/lineage', async (req, res) => {
   try {
     const { folderName, ulid } = req.params;
+    const { mode = 'ancestors' } = req.query; // 'ancestors' or 'descendants'
+
+    if (!['ancestors', 'descendants'].includes(mode)) {
+      return res.status(400).json({ error: 'Invalid mode. Must be one of: ancestors, descendants' });
+    }
+
+    const depth = req.query.depth === undefined ? 10 : parseInt(req.query.depth);
+    if (isNaN(depth) || depth <= 0 || depth > MAX_LINEAGE_DEPTH) {
+      return res.status(400).json({ error: `Invalid depth: must be an integer between 1 and ${MAX_LINEAGE_DEPTH}` });
+    }
+
+    const maxNodes = req.query.maxNodes === undefined ? 5000 : parseInt(req.query.maxNodes);
+    if (isNaN(maxNodes) || maxNodes <= 0 || maxNodes > MAX_LINEAGE_NODES) {
+      return res.status(400).json({ error: `Invalid maxNodes: must be an integer between 1 and ${MAX_LINEAGE_NODES}` });
+    }
 
     // Find the evorun directory path
     const evorunPath = await findEvorunPath(CONFIG.rootDirectory, folderName);
@@ -547,11 +1145,149 @@ app.get('/evoruns/:folderName/features/:ulid', async (req, res) => {
       return res.status(404).json({ error: 'Evorun directory not found' });
     }
 
-    // Security check
-    const resolvedPath = path.resolve(evorunPath);
-    const resolvedRoot = path.resolve(CONFIG.rootDirectory);
-
-    if (!resolvedPath.startsWith(resolvedRoot)) {
+    // Security check: runs may live in the root or the sync directory
+    if (!getEvorunBaseDir(evorunPath)) {
+      return res.status(403).json({ error: 'Access denied: path outside root directory' });
+    }
+
+    // Get database connection
+    const db = getRunDB(evorunPath);
+    if (!db || !db.hasGenomeDb) {
+      return res.status(404).json({ error: 'Genome database not found for this evorun' });
+    }
+
+    // Classes and scores of the current elites, where known
+    let eliteInfo = new Map();
+    if (hasEliteHistory(evorunPath)) {
+      try {
+        eliteInfo = await getCurrentEliteInfo(evorunPath);
+      } catch (error) {
+        console.warn(`Could not read elite map for lineage of ${ulid}:`, error.message);
+      }
+    }
+
+    const reverseIndex = mode === 'descendants' ? await getReverseParentIndex(evorunPath, db) : null;
+
+    const graph = await buildLineageGraph(db, ulid, {
+      direction: mode,
+      depth,
+      maxNodes,
+      reverseIndex,
+      eliteInfo
+    });
+    if (!graph) {
+      return res.status(404).json({ error: `Genome not found: ${ulid}` });
+    }
+
+    res.json({
+      ulid,
+      folderName,
+      mode,
+      depth,
+      nodeCount: graph.nodes.length,
+      edgeCount: graph.edges.length,
+      truncated: graph.truncated,
+      nodes: graph.nodes,
+      edges: graph.edges
+    });
+
+  } catch (error) {
+    console.error('Error retrieving lineage:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve lineage: ' + error.message
+    });
+  }
+});
+
+// Route to stream the phylogeny (parent-child genome graph) of an evorun as Newick, GraphML or DOT
+app.get('/evoruns/:folderName/phylogeny', async (req, res) => {
+  try {
+    const { folderName } = req.params;
+    const { format = 'newick', elitesOnly } = req.query;
+
+    if (!PHYLOGENY_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Must be one of: ${PHYLOGENY_FORMATS.join(', ')}` });
+    }
+
+    // Find the evorun directory path
+    const evorunPath = await findEvorunPath(CONFIG.rootDirectory, folderName);
+
+    if (!evorunPath) {
+      return res.status(404).json({ error: 'Evorun directory not found' });
+    }
+
+    // Security check: runs may live in the root or the sync directory
+    if (!getEvorunBaseDir(evorunPath)) {
+      return res.status(403).json({ error: 'Access denied: path outside root directory' });
+    }
+
+    // Get database connection
+    const db = getRunDB(evorunPath);
+    if (!db || !db.hasGenomeDb) {
+      return res.status(404).json({ error: 'Genome database not found for this evorun' });
+    }
+
+    let eliteInfo = new Map();
+    if (elitesOnly === 'true') {
+      if (!hasEliteHistory(evorunPath)) {
+        return res.status(404).json({ error: 'Elite map history not found for this evorun' });
+      }
+      eliteInfo = await getCurrentEliteInfo(evorunPath);
+    } else if (hasEliteHistory(evorunPath)) {
+      try {
+        eliteInfo = await getCurrentEliteInfo(evorunPath);
+      } catch (error) {
+        console.warn(`Could not read elite map for phylogeny of ${folderName}:`, error.message);
+      }
+    }
+
+    const index = await getReverseParentIndex(evorunPath, db);
+
+    const suffix = elitesOnly === 'true' ? '-elites' : '';
+    res.setHeader('Content-Type', PHYLOGENY_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition',
+      `attachment; filename="${path.basename(evorunPath)}-phylogeny${suffix}.${PHYLOGENY_FILE_EXTENSIONS[format]}"`);
+
+    try {
+      const { nodeCount, edgeCount } = await writePhylogeny(res, index, {
+        format,
+        ancestryOf: elitesOnly === 'true' ? eliteInfo.keys() : null,
+        eliteInfo,
+        graphName: path.basename(evorunPath)
+      });
+      console.log(`Exported ${format} phylogeny of ${folderName}: ${nodeCount} genomes, ${edgeCount} edges`);
+      res.end();
+    } catch (error) {
+      // Headers are sent; all we can do is abort the response
+      console.warn(`Phylogeny export of ${folderName} aborted:`, error.message);
+      res.destroy();
+    }
+
+  } catch (error) {
+    console.error('Error exporting phylogeny:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      error: 'Failed to export phylogeny: ' + error.message
+    });
+  }
+});
+
+// Route to get feature data by ULID from SQLite database
+app.get('/evoruns/:folderName/features/:ulid', async (req, res) => {
+  try {
+    const { folderName, ulid } = req.params;
+
+    // Find the evorun directory path
+    const evorunPath = await findEvorunPath(CONFIG.rootDirectory, folderName);
+
+    if (!evorunPath) {
+      return res.status(404).json({ error: 'Evorun directory not found' });
+    }
+
+    // Security check: runs may live in the root or the sync directory
+    if (!getEvorunBaseDir(evorunPath)) {
       return res.status(403).json({ error: 'Access denied: path outside root directory' });
     }
 
@@ -567,11 +1303,11 @@ app.get('/evoruns/:folderName/features/:ulid', async (req, res) => {
       return res.status(404).json({ error: `Features not found: ${ulid}` });
     }
 
-    res.json({
+    sendJsonWithETag(req, res, {
       ulid,
       folderName,
       features: featureData
-    });
+    }, { immutable: true });
 
   } catch (error) {
     console.error('Error retrieving features:', error);
@@ -593,11 +1329,8 @@ app.get('/evoruns/:folderName/data/:ulid', async (req, res) => {
       return res.status(404).json({ error: 'Evorun directory not found' });
     }
 
-    // Security check
-    const resolvedPath = path.resolve(evorunPath);
-    const resolvedRoot = path.resolve(CONFIG.rootDirectory);
-
-    if (!resolvedPath.startsWith(resolvedRoot)) {
+    // Security check: runs may live in the root or the sync directory
+    if (!getEvorunBaseDir(evorunPath)) {
       return res.status(403).json({ error: 'Access denied: path outside root directory' });
     }
 
@@ -638,7 +1371,8 @@ app.get('/evoruns/:folderName/data/:ulid', async (req, res) => {
       return res.status(404).json({ error: `No data found for ULID: ${ulid}` });
     }
 
-    res.json(result);
+    // A genome's features may still arrive (e.g. through the sync API), so only cache complete results for good
+    sendJsonWithETag(req, res, result, { immutable: !!(result.genome && result.features) });
 
   } catch (error) {
     console.error('Error retrieving data:', error);
@@ -648,11 +1382,27 @@ app.get('/evoruns/:folderName/data/:ulid', async (req, res) => {
   }
 });
 
-// Route to list available genome/feature IDs for an evorun
-app.get('/evoruns/:folderName/ids', async (req, res) => {
+// Route to retrieve genomes and/or features for a list of ULIDs in one request
+app.post('/evoruns/:folderName/batch', async (req, res) => {
   try {
     const { folderName } = req.params;
-    const { type } = req.query; // 'genomes', 'features', or 'all' (default)
+    const { ulids, include = 'both' } = req.body || {}; // include: 'genome', 'features' or 'both'
+
+    if (!Array.isArray(ulids) || ulids.length === 0) {
+      return res.status(400).json({ error: 'Request body must contain a non-empty ulids array' });
+    }
+
+    if (ulids.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ error: `Too many ULIDs: at most ${MAX_BATCH_SIZE} per batch` });
+    }
+
+    if (ulids.some(ulid => typeof ulid !== 'string')) {
+      return res.status(400).json({ error: 'ulids must be strings' });
+    }
+
+    if (!['genome', 'features', 'both'].includes(include)) {
+      return res.status(400).json({ error: 'Invalid include. Must be one of: genome, features, both' });
+    }
 
     // Find the evorun directory path
     const evorunPath = await findEvorunPath(CONFIG.rootDirectory, folderName);
@@ -661,11 +1411,8 @@ app.get('/evoruns/:folderName/ids', async (req, res) => {
       return res.status(404).json({ error: 'Evorun directory not found' });
     }
 
-    // Security check
-    const resolvedPath = path.resolve(evorunPath);
-    const resolvedRoot = path.resolve(CONFIG.rootDirectory);
-
-    if (!resolvedPath.startsWith(resolvedRoot)) {
+    // Security check: runs may live in the root or the sync directory
+    if (!getEvorunBaseDir(evorunPath)) {
       return res.status(403).json({ error: 'Access denied: path outside root directory' });
     }
 
@@ -675,50 +1422,74 @@ app.get('/evoruns/:folderName/ids', async (req, res) => {
       return res.status(404).json({ error: 'No databases found for this evorun' });
     }
 
-    const result = { folderName };
-
-    // Get genome IDs if requested
-    if (!type || type === 'all' || type === 'genomes') {
-      if (db.hasGenomeDb) {
-        try {
-          result.genomeIds = await db.listAllGenomeIds();
-        } catch (error) {
-          console.warn(`Error listing genome IDs:`, error.message);
-          result.genomeIds = [];
-        }
-      } else {
-        result.genomeIds = [];
-      }
+    if (include === 'genome' && !db.hasGenomeDb) {
+      return res.status(404).json({ error: 'Genome database not found for this evorun' });
+    }
+    if (include === 'features' && !db.hasFeatureDb) {
+      return res.status(404).json({ error: 'Features database not found for this evorun' });
     }
 
-    // Get feature IDs if requested
-    if (!type || type === 'all' || type === 'features') {
-      if (db.hasFeatureDb) {
-        try {
-          result.featureIds = await db.listAllFeatureGenomeIds();
-        } catch (error) {
-          console.warn(`Error listing feature IDs:`, error.message);
-          result.featureIds = [];
-        }
-      } else {
-        result.featureIds = [];
+    const includeGenomes = include !== 'features';
+    const includeFeatures = include !== 'genome';
+
+    // Deduplicate while keeping the requested order
+    const uniqueUlids = Array.from(new Set(ulids));
+    const batch = await db.getBatch(uniqueUlids, {
+      genomes: includeGenomes,
+      features: includeFeatures
+    });
+
+    const results = {};
+    const notFound = [];
+    for (const ulid of uniqueUlids) {
+      const { genome, features } = batch[ulid];
+      const result = {};
+      if (includeGenomes) result.genome = genome;
+      if (includeFeatures) result.features = features;
+      if (!genome && !features) {
+        result.notFound = true;
+        notFound.push(ulid);
       }
+      results[ulid] = result;
     }
 
-    res.json(result);
+    res.json({
+      folderName,
+      include,
+      count: uniqueUlids.length,
+      found: uniqueUlids.length - notFound.length,
+      notFound,
+      results
+    });
 
   } catch (error) {
-    console.error('Error listing IDs:', error);
+    console.error('Error retrieving batch:', error);
     res.status(500).json({
-      error: 'Failed to list IDs: ' + error.message
+      error: 'Failed to retrieve batch: ' + error.message
     });
   }
 });
 
-// Route to list all genome IDs from SQLite database
-app.get('/evoruns/:folderName/genomes', async (req, res) => {
+// Route to stream all genomes and/or features of an evorun as newline-delimited JSON
+app.get('/evoruns/:folderName/export', async (req, res) => {
   try {
     const { folderName } = req.params;
+    const { include = 'both', from, to } = req.query; // include: 'genome', 'features' or 'both'
+
+    if (!['genome', 'features', 'both'].includes(include)) {
+      return res.status(400).json({ error: 'Invalid include. Must be one of: genome, features, both' });
+    }
+
+    const exportOptions = {
+      genomes: include !== 'features',
+      features: include !== 'genome'
+    };
+    try {
+      if (from !== undefined) exportOptions.from = parseTimestampParam(from, 'from');
+      if (to !== undefined) exportOptions.to = parseTimestampParam(to, 'to');
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
     // Find the evorun directory path
     const evorunPath = await findEvorunPath(CONFIG.rootDirectory, folderName);
@@ -727,49 +1498,199 @@ app.get('/evoruns/:folderName/genomes', async (req, res) => {
       return res.status(404).json({ error: 'Evorun directory not found' });
     }
 
-    // Security check
-    const resolvedPath = path.resolve(evorunPath);
-    const resolvedRoot = path.resolve(CONFIG.rootDirectory);
-
-    if (!resolvedPath.startsWith(resolvedRoot)) {
+    // Security check: runs may live in the root or the sync directory
+    if (!getEvorunBaseDir(evorunPath)) {
       return res.status(403).json({ error: 'Access denied: path outside root directory' });
     }
 
     // Get database connection
     const db = getRunDB(evorunPath);
-
     if (!db) {
-      return res.status(404).json({
-        error: 'No SQLite databases found for this evorun'
+      return res.status(404).json({ error: 'No databases found for this evorun' });
+    }
+
+    if (include === 'genome' && !db.hasGenomeDb) {
+      return res.status(404).json({ error: 'Genome database not found for this evorun' });
+    }
+    if (include === 'features' && !db.hasFeatureDb) {
+      return res.status(404).json({ error: 'Features database not found for this evorun' });
+    }
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="${path.basename(evorunPath)}-${include}.ndjson"`);
+
+    try {
+      const count = await db.exportNdjson(res, exportOptions);
+      console.log(`Exported ${count} records from ${folderName}`);
+      res.end();
+    } catch (error) {
+      // Headers are sent; all we can do is abort the response
+      console.warn(`Export of ${folderName} aborted:`, error.message);
+      res.destroy();
+    }
+
+  } catch (error) {
+    console.error('Error exporting evorun data:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      error: 'Failed to export evorun data: ' + error.message
+    });
+  }
+});
+
+// Helper function to run a nearest-neighbour search and send the response
+// Searches the feature vectors of folderName (and of any additional runs) for the k
+// vectors nearest to the features of genome `ulid`, or to a raw `vector`
+async function sendSimilarGenomes(res, { folderName, ulid, vector, k, metric, featureKey, runs }) {
+  const neighbourCount = k === undefined ? 10 : parseInt(k);
+  if (isNaN(neighbourCount) || neighbourCount <= 0 || neighbourCount > MAX_SIMILAR_RESULTS) {
+    return res.status(400).json({ error: `Invalid k: must be an integer between 1 and ${MAX_SIMILAR_RESULTS}` });
+  }
+
+  const distanceMetric = metric || 'euclidean';
+  if (!METRICS.includes(distanceMetric)) {
+    return res.status(400).json({ error: `Invalid metric. Must be one of: ${METRICS.join(', ')}` });
+  }
+
+  if (!ulid && !vector) {
+    return res.status(400).json({ error: 'Either a genome ulid or a feature vector is required' });
+  }
+  if (ulid !== undefined && (typeof ulid !== 'string' || !/^[0-9A-Z]{26}$/.test(ulid))) {
+    return res.status(400).json({ error: 'Invalid ulid: must be a ULID' });
+  }
+  if (featureKey !== undefined && typeof featureKey !== 'string') {
+    return res.status(400).json({ error: 'featureKey must be a string' });
+  }
+  if (vector && (!Array.isArray(vector) || vector.length === 0 || !vector.every(v => typeof v === 'number'))) {
+    return res.status(400).json({ error: 'vector must be a non-empty array of numbers' });
+  }
+
+  // The queried run first, then any additional runs to search across
+  // (a comma-separated string, or an array of names: repeated query parameters or a JSON body)
+  if (runs !== undefined && typeof runs !== 'string'
+      && !(Array.isArray(runs) && runs.every(name => typeof name === 'string'))) {
+    return res.status(400).json({ error: 'runs must be a comma-separated string or an array of folder names' });
+  }
+  const extraRuns = Array.isArray(runs) ? runs : (runs ? runs.split(',') : []);
+  const runNames = Array.from(new Set([folderName, ...extraRuns.map(name => name.trim()).filter(Boolean)]));
+
+  const searchRuns = [];
+  const skippedRuns = [];
+  for (const runName of runNames) {
+    const evorunPath = await findEvorunPath(CONFIG.rootDirectory, runName);
+    let reason = null;
+    if (!evorunPath) {
+      reason = 'Evorun directory not found';
+    } else if (!getEvorunBaseDir(evorunPath)) {
+      reason = 'Access denied: path outside root directory';
+    }
+    const db = reason ? null : getRunDB(evorunPath);
+    if (!reason && (!db || !db.hasFeatureDb)) {
+      reason = 'Features database not found for this evorun';
+    }
+
+    if (reason) {
+      if (runName === folderName) {
+        return res.status(reason.startsWith('Access denied') ? 403 : 404).json({ error: reason });
+      }
+      skippedRuns.push({ folderName: runName, reason });
+      continue;
+    }
+    searchRuns.push({ folderName: runName, evorunPath, db });
+  }
+
+  // Resolve the query vector from the genome's features in the queried run
+  let queryVector = vector;
+  if (!queryVector) {
+    const featureData = await searchRuns[0].db.getFeature(ulid);
+    if (!featureData) {
+      return res.status(404).json({ error: `Features not found: ${ulid}` });
+    }
+    queryVector = extractFeatureVector(featureData, featureKey);
+    if (!queryVector) {
+      return res.status(400).json({
+        error: `No feature vector${featureKey ? ` for key "${featureKey}"` : ''} in features of ${ulid}`
       });
     }
+  }
 
-    if (!db.hasGenomeDb) {
-      return res.status(404).json({
-        error: 'No genome database found for this evorun'
+  let results = [];
+  for (const run of searchRuns) {
+    const index = await getFeatureIndex(run.evorunPath, run.db, featureKey);
+    if (index.dimensions !== queryVector.length) {
+      skippedRuns.push({
+        folderName: run.folderName,
+        reason: `Feature dimensions differ (${index.dimensions} vs ${queryVector.length})`
       });
+      continue;
     }
+    const nearest = findNearest(index, queryVector, {
+      k: neighbourCount,
+      metric: distanceMetric,
+      excludeId: ulid
+    });
+    results = results.concat(nearest.map(hit => ({ ...hit, folderName: run.folderName })));
+  }
 
-    const genomeIds = await db.listAllGenomeIds();
+  results.sort((a, b) => a.distance - b.distance);
 
-    res.json({
-      folderName,
-      genomeIds,
-      count: genomeIds.length
+  res.json({
+    folderName,
+    query: ulid ? { ulid } : { vector: queryVector },
+    featureKey: featureKey || null,
+    metric: distanceMetric,
+    k: neighbourCount,
+    dimensions: queryVector.length,
+    runs: searchRuns.map(run => run.folderName),
+    skippedRuns,
+    results: results.slice(0, neighbourCount)
+  });
+}
+
+// Route to find the genomes with features most similar to those of a given genome
+app.get('/evoruns/:folderName/similar/:ulid', async (req, res) => {
+  try {
+    const { folderName, ulid } = req.params;
+    const { k, metric, featureKey, runs } = req.query;
+    await sendSimilarGenomes(res, { folderName, ulid, k, metric, featureKey, runs });
+  } catch (error) {
+    console.error('Error searching similar genomes:', error);
+    res.status(500).json({
+      error: 'Failed to search similar genomes: ' + error.message
     });
+  }
+});
 
+// Route to find the genomes most similar to a genome or a raw feature vector (in the request body)
+app.post('/evoruns/:folderName/similar', async (req, res) => {
+  try {
+    const { folderName } = req.params;
+    const { ulid, vector, k, metric, featureKey, runs } = req.body || {};
+    await sendSimilarGenomes(res, { folderName, ulid, vector, k, metric, featureKey, runs });
   } catch (error) {
-    console.error('Error listing genome IDs:', error);
+    console.error('Error searching similar genomes:', error);
     res.status(500).json({
-      error: 'Failed to list genome IDs: ' + error.message
+      error: 'Failed to search similar genomes: ' + error.message
     });
   }
 });
 
-// Route to list all feature IDs from SQLite database
-app.get('/evoruns/:folderName/features', async (req, res) => {
+// Route to get the QD elite map of an evorun at an iteration (default: last commit)
+app.get('/evoruns/:folderName/elite-map', async (req, res) => {
   try {
     const { folderName } = req.params;
+    const { format, refresh } = req.query; // format=raw returns the elite map as stored
+
+    let iteration;
+    if (req.query.iteration !== undefined) {
+      try {
+        iteration = parseIterationParam(req.query.iteration);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
 
     // Find the evorun directory path
     const evorunPath = await findEvorunPath(CONFIG.rootDirectory, folderName);
@@ -778,353 +1699,1977 @@ app.get('/evoruns/:folderName/features', async (req, res) => {
       return res.status(404).json({ error: 'Evorun directory not found' });
     }
 
-    // Security check
-    const resolvedPath = path.resolve(evorunPath);
-    const resolvedRoot = path.resolve(CONFIG.rootDirectory);
-
-    if (!resolvedPath.startsWith(resolvedRoot)) {
+    // Security check: runs may live in the root or the sync directory
+    if (!getEvorunBaseDir(evorunPath)) {
       return res.status(403).json({ error: 'Access denied: path outside root directory' });
     }
 
-    // Get database connection
-    const db = getRunDB(evorunPath);
+    if (!hasEliteHistory(evorunPath)) {
+      return res.status(404).json({ error: 'Elite map history not found for this evorun' });
+    }
 
-    if (!db) {
+    const commitIds = await getCommitIds(evorunPath, refresh === 'true');
+    if (commitIds.length === 0) {
+      return res.status(404).json({ error: 'No elite map commits found for this evorun' });
+    }
+    if (iteration === undefined) {
+      iteration = commitIds.length - 1;
+    }
+    if (iteration >= commitIds.length) {
       return res.status(404).json({
-        error: 'No SQLite databases found for this evorun'
+        error: `Iteration not found: ${iteration}`,
+        iterationCount: commitIds.length
       });
     }
 
-    if (!db.hasFeatureDb) {
-      return res.status(404).json({
-        error: 'No feature database found for this evorun'
-      });
+    const commitId = commitIds[iteration];
+    const eliteMap = await getEliteMapAtCommit(evorunPath, commitId);
+
+    if (format === 'raw') {
+      return res.json(eliteMap);
     }
 
-    const featureIds = await db.listAllFeatureGenomeIds();
+    const cells = {};
+    let filledCellCount = 0;
+    for (const [cellKey, cell] of Object.entries(eliteMap.cells || {})) {
+      const elites = getCellElites(cell);
+      if (elites.length > 0) filledCellCount++;
+      cells[cellKey] = { elites };
+    }
 
     res.json({
       folderName,
-      featureIds,
-      count: featureIds.length
+      iteration,
+      iterationCount: commitIds.length,
+      commitId,
+      generationNumber: eliteMap.generationNumber,
+      cellCount: Object.keys(cells).length,
+      filledCellCount,
+      cells
     });
 
   } catch (error) {
-    console.error('Error listing feature IDs:', error);
+    console.error('Error retrieving elite map:', error);
     res.status(500).json({
-      error: 'Failed to list feature IDs: ' + error.message
+      error: 'Failed to retrieve elite map: ' + error.message
     });
   }
 });
 
-// Route to serve rendered WAV files from evorenders directory
-app.get('/evorenders/:folderName/:ulid/:duration/:pitch/:velocity', async (req, res) => {
+// Route to compare the elite maps of an evorun at two iterations, cell by cell
+app.get('/evoruns/:folderName/elite-map/diff', async (req, res) => {
   try {
-    const { folderName, ulid, duration, pitch, velocity } = req.params;
+    const { folderName } = req.params;
+    const { refresh, changedOnly } = req.query; // changedOnly=true omits unchanged and empty cells
+
+    if (req.query.iterationA === undefined) {
+      return res.status(400).json({ error: 'Missing query parameter iterationA' });
+    }
 
-    // Validate and format render parameters
-    let renderParams;
+    let iterationA;
+    let iterationB;
     try {
-      renderParams = formatRenderParams(duration, pitch, velocity);
+      iterationA = parseIterationParam(req.query.iterationA, 'iterationA');
+      if (req.query.iterationB !== undefined) {
+        iterationB = parseIterationParam(req.query.iterationB, 'iterationB');
+      }
     } catch (error) {
       return res.status(400).json({ error: error.message });
     }
 
-    // Construct the WAV filename
-    const wavFileName = `${ulid}-${renderParams}.wav`;
+    // Find the evorun directory path
+    const evorunPath = await findEvorunPath(CONFIG.rootDirectory, folderName);
+
+    if (!evorunPath) {
+      return res.status(404).json({ error: 'Evorun directory not found' });
+    }
+
+    // Security check: runs may live in the root or the sync directory
+    if (!getEvorunBaseDir(evorunPath)) {
+      return res.status(403).json({ error: 'Access denied: path outside root directory' });
+    }
+
+    if (!hasEliteHistory(evorunPath)) {
+      return res.status(404).json({ error: 'Elite map history not found for this evorun' });
+    }
+
+    const commitIds = await getCommitIds(evorunPath, refresh === 'true');
+    if (iterationB === undefined) {
+      iterationB = commitIds.length - 1;
+    }
+    for (const iteration of [iterationA, iterationB]) {
+      if (iteration < 0 || iteration >= commitIds.length) {
+        return res.status(404).json({
+          error: `Iteration not found: ${iteration}`,
+          iterationCount: commitIds.length
+        });
+      }
+    }
+
+    const [eliteMapA, eliteMapB] = await Promise.all([
+      getEliteMapAtCommit(evorunPath, commitIds[iterationA]),
+      getEliteMapAtCommit(evorunPath, commitIds[iterationB])
+    ]);
+    const { cells, summary } = diffEliteMaps(eliteMapA, eliteMapB);
+
+    if (changedOnly === 'true') {
+      for (const [cellKey, change] of Object.entries(cells)) {
+        if (change.status === 'unchanged' || change.status === 'empty') {
+          delete cells[cellKey];
+        }
+      }
+    }
+
+    res.json({
+      folderName,
+      iterationA,
+      iterationB,
+      commitIdA: commitIds[iterationA],
+      commitIdB: commitIds[iterationB],
+      iterationCount: commitIds.length,
+      summary,
+      cells
+    });
+
+  } catch (error) {
+    console.error('Error comparing elite maps:', error);
+    res.status(500).json({
+      error: 'Failed to compare elite maps: ' + error.message
+    });
+  }
+});
+
+// Route to get the QD metrics (coverage, QD-score, max and mean score) per iteration of an evorun
+app.get('/evoruns/:folderName/qd-metrics', async (req, res) => {
+  try {
+    const { folderName } = req.params;
+    const { refresh } = req.query;
+
+    let step = 1;
+    if (req.query.step !== undefined) {
+      step = parseInt(req.query.step);
+      if (isNaN(step) || step <= 0) {
+        return res.status(400).json({ error: 'Invalid step: must be a positive integer' });
+      }
+    }
+
+    // Find the evorun directory path
+    const evorunPath = await findEvorunPath(CONFIG.rootDirectory, folderName);
+
+    if (!evorunPath) {
+      return res.status(404).json({ error: 'Evorun directory not found' });
+    }
+
+    // Security check: runs may live in the root or the sync directory
+    if (!getEvorunBaseDir(evorunPath)) {
+      return res.status(403).json({ error: 'Access denied: path outside root directory' });
+    }
+
+    if (!hasEliteHistory(evorunPath)) {
+      return res.status(404).json({ error: 'Elite map history not found for this evorun' });
+    }
+
+    const { iterationCount, series } = await getQdMetricsSeries(evorunPath, {
+      step,
+      refresh: refresh === 'true'
+    });
+
+    res.json({
+      folderName,
+      step,
+      iterationCount,
+      count: series.length,
+      series
+    });
+
+  } catch (error) {
+    console.error('Error computing QD metrics:', error);
+    res.status(500).json({
+      error: 'Failed to compute QD metrics: ' + error.message
+    });
+  }
+});
+
+// Route to list available genome/feature IDs for an evorun
+app.get('/evoruns/:folderName/ids', async (req, res) => {
+  try {
+    const { folderName } = req.params;
+    const { type } = req.query; // 'genomes', 'features', or 'all' (default)
+
+    // Validate pagination and time window parameters
+    let listOptions;
+    try {
+      listOptions = parseIdListOptions(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Find the evorun directory path
+    const evorunPath = await findEvorunPath(CONFIG.rootDirectory, folderName);
+
+    if (!evorunPath) {
+      return res.status(404).json({ error: 'Evorun directory not found' });
+    }
+
+    // Security check: runs may live in the root or the sync directory
+    if (!getEvorunBaseDir(evorunPath)) {
+      return res.status(403).json({ error: 'Access denied: path outside root directory' });
+    }
+
+    // Get database connection
+    const db = getRunDB(evorunPath);
+    if (!db) {
+      return res.status(404).json({ error: 'No databases found for this evorun' });
+    }
+
+    const result = { folderName };
+
+    // Get genome IDs if requested
+    if (!type || type === 'all' || type === 'genomes') {
+      result.genomeIds = [];
+      result.genomeTotal = 0;
+      result.genomeNextCursor = null;
+      if (db.hasGenomeDb) {
+        try {
+          const { ids, total, nextCursor } = await db.listGenomeIds(listOptions);
+          result.genomeIds = ids;
+          result.genomeTotal = total;
+          result.genomeNextCursor = nextCursor;
+        } catch (error) {
+          console.warn(`Error listing genome IDs:`, error.message);
+        }
+      }
+    }
+
+    // Get feature IDs if requested
+    if (!type || type === 'all' || type === 'features') {
+      result.featureIds = [];
+      result.featureTotal = 0;
+      result.featureNextCursor = null;
+      if (db.hasFeatureDb) {
+        try {
+          const { ids, total, nextCursor } = await db.listFeatureGenomeIds(listOptions);
+          result.featureIds = ids;
+          result.featureTotal = total;
+          result.featureNextCursor = nextCursor;
+        } catch (error) {
+          console.warn(`Error listing feature IDs:`, error.message);
+        }
+      }
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error listing IDs:', error);
+    res.status(500).json({
+      error: 'Failed to list IDs: ' + error.message
+    });
+  }
+});
+
+// Route to list all genome IDs from SQLite database
+app.get('/evoruns/:folderName/genomes', async (req, res) => {
+  try {
+    const { folderName } = req.params;
+
+    // Validate pagination and time window parameters
+    let listOptions;
+    try {
+      listOptions = parseIdListOptions(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Find the evorun directory path
+    const evorunPath = await findEvorunPath(CONFIG.rootDirectory, folderName);
+
+    if (!evorunPath) {
+      return res.status(404).json({ error: 'Evorun directory not found' });
+    }
+
+    // Security check: runs may live in the root or the sync directory
+    if (!getEvorunBaseDir(evorunPath)) {
+      return res.status(403).json({ error: 'Access denied: path outside root directory' });
+    }
+
+    // Get database connection
+    const db = getRunDB(evorunPath);
+
+    if (!db) {
+      return res.status(404).json({
+        error: 'No SQLite databases found for this evorun'
+      });
+    }
+
+    if (!db.hasGenomeDb) {
+      return res.status(404).json({
+        error: 'No genome database found for this evorun'
+      });
+    }
+
+    const { ids: genomeIds, total, nextCursor } = await db.listGenomeIds(listOptions);
+
+    res.json({
+      folderName,
+      genomeIds,
+      count: genomeIds.length,
+      total,
+      nextCursor
+    });
+
+  } catch (error) {
+    console.error('Error listing genome IDs:', error);
+    res.status(500).json({
+      error: 'Failed to list genome IDs: ' + error.message
+    });
+  }
+});
+
+// Route to list all feature IDs from SQLite database
+app.get('/evoruns/:folderName/features', async (req, res) => {
+  try {
+    const { folderName } = req.params;
+
+    // Validate pagination and time window parameters
+    let listOptions;
+    try {
+      listOptions = parseIdListOptions(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Find the evorun directory path
+    const evorunPath = await findEvorunPath(CONFIG.rootDirectory, folderName);
+
+    if (!evorunPath) {
+      return res.status(404).json({ error: 'Evorun directory not found' });
+    }
+
+    // Security check: runs may live in the root or the sync directory
+    if (!getEvorunBaseDir(evorunPath)) {
+      return res.status(403).json({ error: 'Access denied: path outside root directory' });
+    }
+
+    // Get database connection
+    const db = getRunDB(evorunPath);
+
+    if (!db) {
+      return res.status(404).json({
+        error: 'No SQLite databases found for this evorun'
+      });
+    }
+
+    if (!db.hasFeatureDb) {
+      return res.status(404).json({
+        error: 'No feature database found for this evorun'
+      });
+    }
+
+    const { ids: featureIds, total, nextCursor } = await db.listFeatureGenomeIds(listOptions);
+
+    res.json({
+      folderName,
+      featureIds,
+      count: featureIds.length,
+      total,
+      nextCursor
+    });
+
+  } catch (error) {
+    console.error('Error listing feature IDs:', error);
+    res.status(500).json({
+      error: 'Failed to list feature IDs: ' + error.message
+    });
+  }
+});
+
+// Renders by genome ULID across the evorender folders
+const renderIndex = createRenderIndex({
+  getEvorenderDirectory: () => CONFIG.evorenderDirectory
+});
+
+// Route to serve rendered WAV files from evorenders directory
+// With nearest=true, the render of the genome closest to the requested parameters is served
+// when there is no exact match; the X-Render-* headers tell which render was served
+app.get('/evorenders/:folderName/:ulid/:duration/:pitch/:velocity', async (req, res) => {
+  try {
+    let nearest;
+    try {
+      nearest = parseBooleanParam(req.query.nearest, 'nearest');
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    let render = await findRenderFile(req.params);
+    let match = 'exact';
+    if (render.status === 404 && nearest) {
+      const { folderName, ulid, duration, pitch, velocity } = req.params;
+      const candidate = findNearestRender(await renderIndex.findInFolder(folderName, ulid), {
+        duration: parseFloat(duration),
+        pitch: parseInt(pitch),
+        velocity: parseInt(velocity)
+      });
+      if (candidate) {
+        render = await findRenderFileByName(folderName, candidate.fileName);
+        match = 'nearest';
+      }
+    }
+    if (render.status) {
+      return res.status(render.status).json(render.body);
+    }
+    const { wavFileName, wavFilePath } = render;
+
+    if (nearest) {
+      const parameters = parseRenderFileName(wavFileName);
+      res.setHeader('X-Render-Match', match);
+      res.setHeader('X-Render-File', wavFileName);
+      res.setHeader('X-Render-Duration', String(parameters.duration));
+      res.setHeader('X-Render-Pitch', String(parameters.pitch));
+      res.setHeader('X-Render-Velocity', String(parameters.velocity));
+      // Let browser clients read which render they got
+      res.setHeader('Access-Control-Expose-Headers',
+        'X-Render-Match, X-Render-File, X-Render-Duration, X-Render-Pitch, X-Render-Velocity');
+    }
+
+    // Set appropriate headers for WAV files
+    res.setHeader('Content-Type', 'audio/wav');
+    res.setHeader('Content-Disposition', `inline; filename="${wavFileName}"`);
+
+    // Serve the WAV file
+    sendStaticFile(res, wavFilePath);
+
+  } catch (error) {
+    console.error('Error serving rendered WAV file:', error);
+    res.status(500).json({
+      error: 'Failed to serve rendered WAV file: ' + error.message
+    });
+  }
+});
+
+// Route to get the waveform peaks (min/max pairs) of a rendered WAV file, for drawing waveforms
+app.get('/evorenders/:folderName/:ulid/:duration/:pitch/:velocity/peaks', async (req, res) => {
+  try {
+    const resolution = req.query.resolution === undefined ? 800 : Number(req.query.resolution);
+    if (!Number.isInteger(resolution) || resolution <= 0 || resolution > MAX_PEAKS_RESOLUTION) {
+      return res.status(400).json({ error: `Invalid resolution: must be an integer between 1 and ${MAX_PEAKS_RESOLUTION}` });
+    }
+    const { channels = 'mix' } = req.query;
+    if (!['mix', 'split'].includes(channels)) {
+      return res.status(400).json({ error: 'Invalid channels. Must be one of: mix, split' });
+    }
+
+    const render = await findRenderFile(req.params);
+    if (render.status) {
+      return res.status(render.status).json(render.body);
+    }
+
+    let peaks;
+    try {
+      peaks = await getWavPeaks(render.wavFilePath, { resolution, mix: channels === 'mix' });
+    } catch (error) {
+      return res.status(422).json({ error: `Could not read ${render.wavFileName}: ${error.message}` });
+    }
+
+    res.setHeader('X-Cache', peaks.cached ? 'HIT' : 'MISS');
+    res.json({
+      folderName: req.params.folderName,
+      fileName: render.wavFileName,
+      ...peaks.result
+    });
+
+  } catch (error) {
+    console.error('Error computing waveform peaks:', error);
+    res.status(500).json({ error: 'Failed to compute waveform peaks: ' + error.message });
+  }
+});
+
+// Route to get the format and levels (peak, RMS, silence, clipping) of a rendered WAV file
+app.get('/evorenders/:folderName/:ulid/:duration/:pitch/:velocity/metadata', async (req, res) => {
+  try {
+    const render = await findRenderFile(req.params);
+    if (render.status) {
+      return res.status(render.status).json(render.body);
+    }
+
+    let metadata;
+    try {
+      metadata = await getWavMetadata(render.wavFilePath);
+    } catch (error) {
+      return res.status(422).json({ error: `Could not read ${render.wavFileName}: ${error.message}` });
+    }
+
+    res.setHeader('X-Cache', metadata.cached ? 'HIT' : 'MISS');
+    res.json({
+      folderName: req.params.folderName,
+      fileName: render.wavFileName,
+      size: render.stats.size,
+      modified: render.stats.mtime.toISOString(),
+      ...metadata.result
+    });
+
+  } catch (error) {
+    console.error('Error analyzing rendered WAV file:', error);
+    res.status(500).json({ error: 'Failed to analyze rendered WAV file: ' + error.message });
+  }
+});
+
+// Route to get the spectrogram (STFT magnitudes) and spectral features of a rendered WAV file,
+// as JSON, a binary matrix or a PNG image
+app.get('/evorenders/:folderName/:ulid/:duration/:pitch/:velocity/spectrogram', async (req, res) => {
+  try {
+    const fftSize = req.query.fftSize === undefined ? DEFAULT_FFT_SIZE : Number(req.query.fftSize);
+    if (!isValidFftSize(fftSize)) {
+      return res.status(400).json({ error: `Invalid fftSize: must be a power of two between ${MIN_FFT_SIZE} and ${MAX_FFT_SIZE}` });
+    }
+    const hopSize = req.query.hopSize === undefined ? fftSize / DEFAULT_HOP_DIVISOR : Number(req.query.hopSize);
+    if (!isValidHopSize(fftSize, hopSize)) {
+      return res.status(400).json({
+        error: `Invalid hopSize: must be fftSize divided by one of ${HOP_DIVISORS.join(', ')} (${HOP_DIVISORS.map(divisor => fftSize / divisor).join(', ')})`
+      });
+    }
+    const { format = 'json' } = req.query;
+    if (!['json', 'binary', 'png'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Must be one of: json, binary, png' });
+    }
+    let includeMagnitudes;
+    try {
+      includeMagnitudes = parseBooleanParam(req.query.magnitudes, 'magnitudes') !== false;
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const render = await findRenderFile(req.params);
+    if (render.status) {
+      return res.status(render.status).json(render.body);
+    }
+
+    let spectrogram;
+    try {
+      // The (cached) metadata tells the file's length, to refuse oversized matrices before computing them
+      const { result: metadata } = await getWavMetadata(render.wavFilePath);
+      const cells = countSpectrogramFrames(metadata.frameCount, fftSize, hopSize) * (fftSize / 2 + 1);
+      if (cells > MAX_SPECTROGRAM_CELLS) {
+        return res.status(400).json({
+          error: `Spectrogram too large (${cells} values, at most ${MAX_SPECTROGRAM_CELLS}): use a larger hopSize or a smaller fftSize`
+        });
+      }
+      spectrogram = await getWavSpectrogram(render.wavFilePath, { fftSize, hopSize });
+    } catch (error) {
+      return res.status(422).json({ error: `Could not read ${render.wavFileName}: ${error.message}` });
+    }
+
+    const { magnitudes, ...summary } = spectrogram.result;
+    const matrix = Buffer.from(magnitudes, 'base64');
+    res.setHeader('X-Cache', spectrogram.cached ? 'HIT' : 'MISS');
+
+    if (format === 'json') {
+      return res.json({
+        folderName: req.params.folderName,
+        fileName: render.wavFileName,
+        ...summary,
+        ...(includeMagnitudes ? {
+          magnitudes: Array.from({ length: summary.frameCount }, (_, frame) => (
+            Array.from(matrix.subarray(frame * summary.binCount, (frame + 1) * summary.binCount))
+          ))
+        } : {})
+      });
+    }
+
+    res.setHeader('X-Spectrogram-Frames', summary.frameCount);
+    res.setHeader('X-Spectrogram-Bins', summary.binCount);
+    res.setHeader('X-Spectrogram-Bin-Hz', summary.binHz);
+    res.setHeader('X-Spectrogram-Hop-Seconds', summary.hopSeconds);
+    res.setHeader('X-Spectrogram-Min-Db', summary.minDb);
+    res.setHeader('Access-Control-Expose-Headers', 'X-Cache, X-Spectrogram-Frames, X-Spectrogram-Bins, X-Spectrogram-Bin-Hz, X-Spectrogram-Hop-Seconds, X-Spectrogram-Min-Db');
+
+    if (format === 'png') {
+      res.type('image/png');
+      return res.send(encodeSpectrogramPng(matrix, summary.frameCount, summary.binCount));
+    }
+    res.type('application/octet-stream');
+    res.send(matrix);
+
+  } catch (error) {
+    console.error('Error computing spectrogram:', error);
+    res.status(500).json({ error: 'Failed to compute spectrogram: ' + error.message });
+  }
+});
+
+// Route to list the renders of a genome across all evorender folders
+app.get('/renders/:ulid', async (req, res) => {
+  try {
+    const { ulid } = req.params;
+    if (!/^[0-9A-Z]{26}$/.test(ulid)) {
+      return res.status(400).json({ error: 'Invalid ULID' });
+    }
+
+    const renders = await renderIndex.findAll(ulid);
+    res.json({
+      ulid,
+      count: renders.length,
+      renders: renders.map(({ folderName, fileName, duration, pitch, velocity }) => ({
+        folderName,
+        fileName,
+        duration,
+        pitch,
+        velocity,
+        url: `/evorenders/${encodeURIComponent(folderName)}/${ulid}/${duration}/${pitch}/${velocity}`
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error looking up renders:', error);
+    res.status(500).json({ error: 'Failed to look up renders: ' + error.message });
+  }
+});
+
+// Route to download a sampler instrument (SFZ, optionally Decent Sampler) built from a genome's renders
+app.get('/renders/:ulid/instrument', async (req, res) => {
+  try {
+    const { ulid } = req.params;
+    const { folderName } = req.query;
+    if (!/^[0-9A-Z]{26}$/.test(ulid)) {
+      return res.status(400).json({ error: 'Invalid ULID' });
+    }
+    if (folderName !== undefined && (typeof folderName !== 'string' || !folderName)) {
+      return res.status(400).json({ error: 'Invalid folderName: must be a non-empty string' });
+    }
+
+    let duration;
+    let decentSampler;
+    try {
+      if (req.query.duration !== undefined) {
+        duration = parseFloat(req.query.duration);
+        if (isNaN(duration) || duration <= 0) {
+          throw new Error('Invalid duration: must be a positive number');
+        }
+      }
+      decentSampler = parseBooleanParam(req.query.decentSampler, 'decentSampler');
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const allRenders = folderName
+      ? await renderIndex.findInFolder(folderName, ulid)
+      : await renderIndex.findAll(ulid);
+    const renders = selectInstrumentRenders(allRenders, duration);
+    if (renders.length === 0) {
+      return res.status(404).json({
+        error: duration === undefined ? 'No renders found for this genome' : `No renders found for this genome with duration ${duration}`,
+        durations: Array.from(new Set(allRenders.map(render => render.duration))).sort((a, b) => a - b)
+      });
+    }
+
+    const samples = [];
+    const missing = [];
+    for (const render of renders) {
+      const found = await findRenderFileByName(render.folderName, render.fileName);
+      if (found.status) {
+        missing.push({ ...render, error: found.body.error });
+      } else {
+        samples.push({ ...render, filePath: found.wavFilePath, stats: found.stats });
+      }
+    }
+    if (samples.length === 0) {
+      return res.status(404).json({ error: 'No renders found for this genome' });
+    }
+
+    const instrumentName = `${ulid}-dur_${samples[0].duration}`;
+    const instrument = {
+      name: `Genome ${ulid}, ${samples[0].duration} s renders`,
+      regions: mapInstrumentRegions(samples),
+      samplePath: region => `samples/${region.render.fileName}`
+    };
+    const entries = [{ name: `${instrumentName}.sfz`, content: buildSfz(instrument) }];
+    if (decentSampler) {
+      entries.push({ name: `${instrumentName}.dspreset`, content: buildDecentSamplerPreset(instrument) });
+    }
+
+    await sendRenderZip(res, { renders: samples, missing }, {
+      archiveName: `${instrumentName}.zip`,
+      entries,
+      entryName: render => `samples/${render.fileName}`
+    });
+
+  } catch (error) {
+    console.error('Error creating instrument:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to create instrument: ' + error.message });
+    }
+  }
+});
+
+/**
+ * Validate a filter over the renders of an evorender folder (from query parameters or a JSON body)
+ * @param {Object} source - { duration, pitch, velocity, ulids, elitesOnly }
+ * @returns {Object} Filter with only the given fields
+ * @throws {Error} If a field is invalid
+ */
+function parseRenderFilter(source) {
+  const filter = {};
+  for (const name of ['duration', 'pitch', 'velocity']) {
+    if (source[name] === undefined) continue;
+    const value = Number(source[name]);
+    if (isNaN(value)) {
+      throw new Error(`Invalid ${name}: must be a number`);
+    }
+    filter[name] = value;
+  }
+  if (source.ulids !== undefined) {
+    const ulids = Array.isArray(source.ulids) ? source.ulids : String(source.ulids).split(',').filter(Boolean);
+    if (ulids.some(ulid => typeof ulid !== 'string' || !/^[0-9A-Z]{26}$/.test(ulid))) {
+      throw new Error('Invalid ulids: must be a list of ULIDs');
+    }
+    filter.ulids = new Set(ulids);
+  }
+  const elitesOnly = typeof source.elitesOnly === 'boolean'
+    ? source.elitesOnly
+    : parseBooleanParam(source.elitesOnly, 'elitesOnly');
+  if (elitesOnly) {
+    filter.elitesOnly = true;
+  }
+  return filter;
+}
+
+/**
+ * Select renders for a zip download, either listed one by one or by a filter over one folder
+ * @param {Object} selection - { renders: [{ folderName, ulid, duration, pitch, velocity }] } or
+ *   { folderName, filter }
+ * @returns {Promise<Object>} { renders: [{ folderName, fileName, ulid, duration, pitch, velocity,
+ *   filePath, stats, eliteClass?, score? }], missing: [...] }, or { status, body } on error
+ */
+async function selectRendersForZip({ renders: requested, folderName, filter }) {
+  const renders = [];
+  const missing = [];
+
+  if (requested) {
+    for (const item of requested) {
+      const valid = item && typeof item === 'object'
+        && typeof item.folderName === 'string' && item.folderName === path.basename(item.folderName)
+        && typeof item.ulid === 'string' && /^[0-9A-Z]{26}$/.test(item.ulid);
+      const render = valid
+        ? await findRenderFile(item)
+        : { status: 400, body: { error: 'Invalid render: folderName and ulid are required' } };
+      if (render.status) {
+        missing.push({ ...item, error: render.body.error });
+        continue;
+      }
+      renders.push({
+        folderName: item.folderName,
+        fileName: render.wavFileName,
+        ...parseRenderFileName(render.wavFileName),
+        filePath: render.wavFilePath,
+        stats: render.stats
+      });
+    }
+    return { renders, missing };
+  }
+
+  const folderRenders = await renderIndex.listFolder(folderName);
+  if (!folderRenders) {
+    return { status: 404, body: { error: 'Evorender directory not found' } };
+  }
+
+  let eliteInfo = null;
+  if (filter.elitesOnly) {
+    const evorunPath = await findEvorunPath(CONFIG.rootDirectory, folderName);
+    if (!evorunPath || !hasEliteHistory(evorunPath)) {
+      return { status: 404, body: { error: 'No elite map found for this evorun' } };
+    }
+    eliteInfo = await getCurrentEliteInfo(evorunPath);
+  }
+
+  for (const render of folderRenders) {
+    if (filter.duration !== undefined && render.duration !== filter.duration) continue;
+    if (filter.pitch !== undefined && render.pitch !== filter.pitch) continue;
+    if (filter.velocity !== undefined && render.velocity !== filter.velocity) continue;
+    if (filter.ulids && !filter.ulids.has(render.ulid)) continue;
+    if (eliteInfo && !eliteInfo.has(render.ulid)) continue;
+
+    const found = await findRenderFileByName(folderName, render.fileName);
+    if (found.status) continue; // Removed since it was listed
+    renders.push({
+      ...render,
+      filePath: found.wavFilePath,
+      stats: found.stats,
+      ...(eliteInfo ? eliteInfo.get(render.ulid) : {})
+    });
+  }
+  return { renders, missing };
+}
+
+/**
+ * Stream a zip of selected renders, with manifest.json as its first entry
+ * @param {Response} res
+ * @param {Object} selection - { renders, missing }, e.g. from selectRendersForZip
+ * @param {Object} options
+ * @param {string} options.archiveName - File name for the download
+ * @param {Object} [options.filter] - Filter the renders were selected by (for the manifest)
+ * @param {Array} [options.entries] - [{ name, content }] written after the manifest, before the renders
+ * @param {Function} [options.entryName] - Returns a render's path in the archive (default: folderName/fileName)
+ */
+async function sendRenderZip(res, { renders, missing }, {
+  archiveName,
+  filter = null,
+  entries = [],
+  entryName = render => `${render.folderName}/${render.fileName}`
+}) {
+  if (renders.length === 0) {
+    return res.status(404).json({ error: 'No matching renders found', missing });
+  }
+  const extraEntries = entries.length + 1; // With the manifest
+  if (renders.length + extraEntries > MAX_ZIP_ENTRIES) {
+    return res.status(413).json({ error: `Too many renders: at most ${MAX_ZIP_ENTRIES - extraEntries} per archive` });
+  }
+  const totalSize = renders.reduce((total, render) => total + render.stats.size, 0);
+  const entriesSize = entries.reduce((total, entry) => total + Buffer.byteLength(entry.content), 0);
+  // Headers, data descriptors and the central directory take well under 512 bytes per entry
+  if (totalSize + entriesSize + (renders.length + extraEntries) * 512 > MAX_ZIP_SIZE) {
+    return res.status(413).json({ error: 'Selected renders exceed the 4 GB zip limit', totalSize });
+  }
+
+  const manifest = {
+    createdAt: new Date().toISOString(),
+    count: renders.length,
+    totalSize,
+    filter,
+    renders: renders.map(({ filePath, stats, ...render }) => ({
+      path: entryName(render),
+      ...render,
+      size: stats.size,
+      modified: stats.mtime.toISOString()
+    })),
+    missing
+  };
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${archiveName}"`);
+
+  const zip = createZipWriter(res);
+  try {
+    await zip.addBuffer('manifest.json', JSON.stringify(manifest, null, 2));
+    for (const entry of entries) {
+      await zip.addBuffer(entry.name, entry.content);
+    }
+    for (const render of renders) {
+      await zip.addFile(entryName(render), render.filePath, render.stats.mtime);
+    }
+    await zip.finish();
+  } catch (error) {
+    // Headers are sent; all we can do is cut the download short
+    console.warn(`Render zip download ended early after ${zip.entryCount} entries:`, error.message);
+    res.destroy();
+  }
+}
+
+// Route to download listed renders as a zip archive
+// Body: { renders: [{ folderName, ulid, duration, pitch, velocity }] }
+//   or: { folderName, duration?, pitch?, velocity?, ulids?, elitesOnly? }
+app.post('/evorenders/zip', async (req, res) => {
+  try {
+    const { renders, folderName } = req.body || {};
+
+    let selection;
+    let filter = null;
+    if (renders !== undefined) {
+      if (!Array.isArray(renders) || renders.length === 0 || renders.length > MAX_BATCH_SIZE) {
+        return res.status(400).json({ error: `Invalid renders: must be a list of 1 to ${MAX_BATCH_SIZE} renders` });
+      }
+      selection = await selectRendersForZip({ renders });
+    } else if (typeof folderName === 'string' && folderName) {
+      try {
+        filter = parseRenderFilter(req.body);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      selection = await selectRendersForZip({ folderName, filter });
+    } else {
+      return res.status(400).json({ error: 'Either renders or folderName must be given' });
+    }
+
+    if (selection.status) {
+      return res.status(selection.status).json(selection.body);
+    }
+    await sendRenderZip(res, selection, {
+      archiveName: folderName ? `${folderName}-renders.zip` : 'renders.zip',
+      filter: filter && { folderName, ...filter, ulids: filter.ulids && Array.from(filter.ulids) }
+    });
+
+  } catch (error) {
+    console.error('Error creating render zip:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to create render zip: ' + error.message });
+    }
+  }
+});
+
+// Route to download the renders of an evorender folder matching a filter as a zip archive
+app.get('/evorenders/:folderName/zip', async (req, res) => {
+  try {
+    const { folderName } = req.params;
+
+    let filter;
+    try {
+      filter = parseRenderFilter(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const selection = await selectRendersForZip({ folderName, filter });
+    if (selection.status) {
+      return res.status(selection.status).json(selection.body);
+    }
+    await sendRenderZip(res, selection, {
+      archiveName: `${folderName}-renders.zip`,
+      filter: { folderName, ...filter, ulids: filter.ulids && Array.from(filter.ulids) }
+    });
+
+  } catch (error) {
+    console.error('Error creating render zip:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to create render zip: ' + error.message });
+    }
+  }
+});
+
+// Files analyzed per request when listing with metadata or level filters (a first analysis
+// decodes every file)
+const DEFAULT_ANALYZED_FILES_LIMIT = 100;
+const MAX_ANALYZED_FILES_LIMIT = 500;
+
+// Route to list available rendered files for a specific evorun folder
+app.get('/evorenders/:folderName/files', async (req, res) => {
+  try {
+    const { folderName } = req.params;
+    const { after } = req.query;
+
+    let includeMetadata;
+    let excludeSilent;
+    let excludeClipped;
+    try {
+      excludeSilent = parseBooleanParam(req.query.excludeSilent, 'excludeSilent');
+      excludeClipped = parseBooleanParam(req.query.excludeClipped, 'excludeClipped');
+      // Filtering needs the analysis, so it implies metadata unless turned off explicitly
+      includeMetadata = parseBooleanParam(req.query.metadata, 'metadata');
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const analyze = includeMetadata || excludeSilent || excludeClipped;
+
+    if (after !== undefined && typeof after !== 'string') {
+      return res.status(400).json({ error: 'Invalid cursor: after must be a file name' });
+    }
+    // Listings that analyze files are paged; others only when a limit is given
+    let limit = analyze ? DEFAULT_ANALYZED_FILES_LIMIT : null;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit);
+      if (isNaN(limit) || limit <= 0) {
+        return res.status(400).json({ error: 'Invalid limit: must be a positive integer' });
+      }
+      if (analyze && limit > MAX_ANALYZED_FILES_LIMIT) {
+        return res.status(400).json({ error: `Invalid limit: at most ${MAX_ANALYZED_FILES_LIMIT} when analyzing files` });
+      }
+    }
+
+    const targetPath = path.join(CONFIG.evorenderDirectory, folderName);
+
+    // Security check
+    const resolvedPath = path.resolve(targetPath);
+    const resolvedRoot = path.resolve(CONFIG.evorenderDirectory);
+
+    if (!resolvedPath.startsWith(resolvedRoot)) {
+      return res.status(403).json({ error: 'Access denied: path outside evorenders directory' });
+    }
+
+    try {
+      await fs.access(targetPath);
+    } catch (error) {
+      return res.status(404).json({ error: 'Evorender directory not found' });
+    }
+
+    const entries = await fs.readdir(targetPath, { withFileTypes: true });
+
+    // Files are listed by name; a page continues after the last file of the previous one
+    const wavNames = entries
+      .filter(entry => entry.isFile() && entry.name.endsWith('.wav'))
+      .map(entry => entry.name)
+      .sort((a, b) => a.localeCompare(b))
+      .filter(name => after === undefined || name.localeCompare(after) > 0);
+    const pageNames = limit === null ? wavNames : wavNames.slice(0, limit);
+    const nextCursor = pageNames.length < wavNames.length ? pageNames[pageNames.length - 1] : null;
+
+    const wavFiles = [];
+    let excluded = 0;
+
+    for (const name of pageNames) {
+      const filePath = path.join(targetPath, name);
+      const stats = await fs.stat(filePath);
+
+      const wavFile = {
+        name,
+        size: stats.size,
+        modified: stats.mtime.toISOString(),
+        // ULID and render parameters parsed from the filename
+        parameters: parseRenderFileName(name)
+      };
+
+      if (analyze) {
+        let metadata = null;
+        let metadataError = null;
+        try {
+          metadata = (await getWavMetadata(filePath)).result;
+        } catch (error) {
+          metadataError = error.message;
+        }
+        // Files that can't be decoded are as broken as silent or clipped ones
+        if ((excludeSilent && (!metadata || metadata.silent)) || (excludeClipped && (!metadata || metadata.clipped))) {
+          excluded++;
+          continue;
+        }
+        if (includeMetadata !== false) {
+          wavFile.metadata = metadata;
+          if (metadataError) wavFile.metadataError = metadataError;
+        }
+      }
+
+      wavFiles.push(wavFile);
+    }
+
+    res.json({
+      folderName,
+      evorenderPath: targetPath,
+      wavFiles,
+      count: wavFiles.length,
+      nextCursor,
+      ...(excludeSilent || excludeClipped ? { excluded } : {})
+    });
+
+  } catch (error) {
+    console.error('Error listing evorender files:', error);
+    res.status(500).json({
+      error: 'Failed to list evorender files: ' + error.message
+    });
+  }
+});
+
+// ========================================
+// Sync API Endpoints (for receiving data from remote workers)
+// ========================================
+
+// API key authentication middleware for sync endpoints
+// Sync API keys (SYNC_API_KEYS and the optional keys file), scoped by run ID pattern,
+// access (read/write) and expiry; every sync request is recorded in the audit log
+const syncKeys = createSyncAuth({
+  getEnvKeys: () => CONFIG.syncApiKeys,
+  getKeysFile: () => CONFIG.syncApiKeysFile,
+  getAuditLogPath: () => CONFIG.syncAuditLog || path.join(getSyncBaseDir(), '.sync-audit.log'),
+  getAuditLogMaxBytes: () => CONFIG.syncAuditLogMaxMB * 1024 * 1024
+});
+
+// Middleware requiring a sync API key with 'read' or 'write' access to the route's run
+function syncAuth(access) {
+  return syncKeys.requireAccess(access);
+}
+
+// Helper function to check an admin API key. Keys are compared as SHA-256 digests, which
+// have equal lengths, in constant time, so response times don't reveal how much of a key matched
+function isAdminApiKey(key) {
+  const digest = crypto.createHash('sha256').update(key).digest();
+  return CONFIG.adminApiKeys.some(adminKey => (
+    crypto.timingSafeEqual(crypto.createHash('sha256').update(adminKey).digest(), digest)
+  ));
+}
+
+// Middleware requiring an admin API key
+function adminAuth(req, res, next) {
+  if (CONFIG.adminApiKeys.length === 0) {
+    // No keys configured = admin endpoints disabled
+    return res.status(503).json({ error: 'Admin API not configured (no admin keys set)' });
+  }
+  const key = req.headers['x-admin-api-key'];
+  if (!key || !isAdminApiKey(key)) {
+    return res.status(401).json({ error: 'Invalid or missing admin API key' });
+  }
+  next();
+}
+
+// Helper to get the sync base directory
+function getSyncBaseDir() {
+  return CONFIG.syncDirectory || CONFIG.rootDirectory;
+}
+
+// Maximum size of one chunk of a chunked upload
+const MAX_UPLOAD_CHUNK_SIZE = 64 * 1024 * 1024;
+
+// Resumable chunked uploads; sessions are kept on disk and survive restarts
+const uploadStore = createUploadStore({
+  getUploadDir: () => CONFIG.syncUploadDirectory || path.join(getSyncBaseDir(), '.sync-uploads'),
+  sessionMaxAge: CONFIG.syncUploadSessionHours * 60 * 60 * 1000
+});
+
+// Progress reported by workers through heartbeats, persisted in the sync directory
+const runStatus = createRunStatusStore({
+  getPersistPath: () => path.join(getSyncBaseDir(), '.sync-status.json'),
+  staleAfter: CONFIG.syncStaleMinutes * 60 * 1000
+});
+// Also on SIGINT and SIGTERM, which exit through evorun-db's handlers
+process.on('exit', () => runStatus.stop());
+
+// Helper function to resolve a directory of a synced run, or null if it is outside the run's directory
+// (keys are scoped by run ID, so a subdir must not reach other runs or files in the sync directory)
+function resolveSyncDir(runId, subdir) {
+  const runDir = path.resolve(getSyncBaseDir(), runId);
+  const targetDir = path.resolve(runDir, subdir);
+  return targetDir === runDir || targetDir.startsWith(runDir + path.sep) ? targetDir : null;
+}
 
-    // Construct the full path to the WAV file
-    const wavFilePath = path.join(CONFIG.evorenderDirectory, folderName, wavFileName);
+// Helper function to resolve where a synced file is stored, or null if the path escapes the run's directory
+function resolveSyncFilePath(runId, subdir, fileName) {
+  const targetDir = resolveSyncDir(runId, subdir);
+  if (!targetDir) {
+    return null;
+  }
+  const filePath = path.join(targetDir, path.basename(fileName));
+  return filePath.startsWith(targetDir + path.sep) ? filePath : null;
+}
 
-    // Security check: ensure the path is within the evorenders directory
-    const resolvedPath = path.resolve(wavFilePath);
-    const resolvedRoot = path.resolve(CONFIG.evorenderDirectory);
+// Register a new evorun on the central (creates directory structure)
+app.post('/api/sync/register/:runId', syncAuth('write'), async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const { templateName, ecosystemVariant, startedAt } = req.body;
 
+    const runDir = path.join(getSyncBaseDir(), runId);
+
+    // Security check
+    const resolvedPath = path.resolve(runDir);
+    const resolvedRoot = path.resolve(getSyncBaseDir());
     if (!resolvedPath.startsWith(resolvedRoot)) {
-      return res.status(403).json({ error: 'Access denied: path outside evorenders directory' });
+      return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Check if file exists
+    // Create directory structure (only analysisResults; other dirs created on demand during upload)
+    await fs.mkdir(path.join(runDir, 'analysisResults'), { recursive: true });
+
+    // Store metadata
+    const metadata = {
+      runId,
+      templateName,
+      ecosystemVariant,
+      startedAt,
+      registeredAt: new Date().toISOString(),
+    };
+    await fs.writeFile(
+      path.join(runDir, 'sync-metadata.json'),
+      JSON.stringify(metadata, null, 2)
+    );
+
+    evorunIndex.add(path.resolve(runDir), 'sync');
+    runStatus.recordRegistration(runId, metadata);
+    eventHub.publish({ type: 'run-registered', folderName: runId, templateName, ecosystemVariant, startedAt });
+
+    console.log(`Registered synced evorun: ${runId}`);
+    res.status(201).json({ message: 'Run registered', runId });
+
+  } catch (error) {
+    console.error('Error registering sync run:', error);
+    res.status(500).json({ error: 'Failed to register run: ' + error.message });
+  }
+});
+
+/**
+ * Validate a heartbeat body
+ * @param {Object} body - { status, generation, coverage, qdScore, host }
+ * @returns {Object} The progress to record
+ * @throws {Error} If a field is invalid
+ */
+function parseHeartbeat(body) {
+  const { status = 'running', generation = null, coverage = null, qdScore = null, host = null } = body || {};
+
+  if (!RUN_STATUSES.includes(status)) {
+    throw new Error(`Invalid status. Must be one of: ${RUN_STATUSES.join(', ')}`);
+  }
+  if (generation !== null && (!Number.isInteger(generation) || generation < 0)) {
+    throw new Error('Invalid generation: must be a non-negative integer');
+  }
+  if (coverage !== null && (typeof coverage !== 'number' || !isFinite(coverage) || coverage < 0)) {
+    throw new Error('Invalid coverage: must be a non-negative number');
+  }
+  if (qdScore !== null && (typeof qdScore !== 'number' || !isFinite(qdScore))) {
+    throw new Error('Invalid qdScore: must be a number');
+  }
+  if (host !== null && (typeof host !== 'string' || host.length === 0 || host.length > 255)) {
+    throw new Error('Invalid host: must be a string of at most 255 characters');
+  }
+
+  return { status, generation, coverage, qdScore, host };
+}
+
+// Report the progress of a run (sent periodically by the worker running it)
+app.post('/api/sync/heartbeat/:runId', syncAuth('write'), async (req, res) => {
+  try {
+    const { runId } = req.params;
+
+    let progress;
     try {
-      await fs.access(wavFilePath);
+      progress = parseHeartbeat(req.body);
     } catch (error) {
-      return res.status(404).json({
-        error: `Rendered WAV file not found: ${wavFileName}`,
-        expectedPath: path.relative(CONFIG.evorenderDirectory, wavFilePath)
+      return res.status(400).json({ error: error.message });
+    }
+
+    const runDir = path.join(getSyncBaseDir(), runId);
+    if (!path.resolve(runDir).startsWith(path.resolve(getSyncBaseDir()) + path.sep)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (!fsSync.existsSync(path.join(runDir, 'sync-metadata.json'))) {
+      return res.status(404).json({ error: 'Run not registered' });
+    }
+
+    const state = runStatus.recordHeartbeat(runId, { ...progress, ip: req.ip });
+    eventHub.publish({ type: 'run-progress', folderName: runId, ...progress });
+
+    res.json(state);
+
+  } catch (error) {
+    console.error('Error recording heartbeat:', error);
+    res.status(500).json({ error: 'Failed to record heartbeat: ' + error.message });
+  }
+});
+
+// List the synced runs and their workers with last-seen times, limited to the API key's runs
+app.get('/api/sync/status', syncAuth('read'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status !== undefined && !['registered', ...RUN_STATUSES].includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status. Must be one of: registered, ${RUN_STATUSES.join(', ')}`
       });
     }
 
-    // Check if it's a file (not a directory)
-    const stats = await fs.stat(wavFilePath);
-    if (!stats.isFile()) {
-      return res.status(400).json({ error: 'Path is not a file' });
+    let stale;
+    try {
+      stale = parseBooleanParam(req.query.stale, 'stale');
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Runs registered before heartbeats were tracked are known from their sync-metadata.json
+    for (const entry of evorunIndex.list()) {
+      if (entry.source !== 'sync' || runStatus.has(entry.folderName)) continue;
+      try {
+        const metadata = JSON.parse(await fs.readFile(path.join(entry.fullPath, 'sync-metadata.json'), 'utf8'));
+        runStatus.recordRegistration(entry.folderName, metadata);
+      } catch (error) {
+        // Not registered through the sync API
+      }
+    }
+
+    const { runs, workers } = runStatus.list(runId => keyAllowsRun(req.syncKey, runId));
+    const matchingRuns = runs.filter(run =>
+      (status === undefined || run.status === status) &&
+      (stale === undefined || run.stale === stale)
+    );
+
+    res.json({
+      staleAfterMinutes: CONFIG.syncStaleMinutes,
+      totalRuns: runs.length,
+      staleRuns: runs.filter(run => run.stale).length,
+      runs: matchingRuns,
+      workers
+    });
+
+  } catch (error) {
+    console.error('Error listing sync status:', error);
+    res.status(500).json({ error: 'Failed to list sync status: ' + error.message });
+  }
+});
+
+// List analysis files for a run (used by worker to determine what needs uploading)
+app.get('/api/sync/analysis/:runId/list', syncAuth('read'), async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const subdir = req.query.subdir || 'analysisResults';
+    if (typeof subdir !== 'string') {
+      return res.status(400).json({ error: 'Invalid subdir: must be a string' });
+    }
+
+    // Security check
+    const targetDir = resolveSyncDir(runId, subdir);
+    if (!targetDir) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    try {
+      await fs.access(targetDir);
+    } catch {
+      return res.status(404).json({ error: 'Directory not found', files: [] });
+    }
+
+    const entries = await fs.readdir(targetDir, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+      if (entry.isFile()) {
+        const stats = await fs.stat(path.join(targetDir, entry.name));
+        files.push({
+          name: entry.name,
+          size: stats.size,
+          modified: stats.mtime.toISOString(),
+        });
+      }
+    }
+
+    res.json({ files });
+
+  } catch (error) {
+    console.error('Error listing sync analysis files:', error);
+    res.status(500).json({ error: 'Failed to list files: ' + error.message });
+  }
+});
+
+// Upload an analysis file for a run
+// Accepts raw file body with filename and subdir as query parameters
+app.post('/api/sync/analysis/:runId', syncAuth('write'), express.raw({ type: '*/*', limit: '200mb' }), async (req, res) => {
+  try {
+    const { runId } = req.params;
+
+    // Support both simple raw upload (filename in query) and multipart
+    const fileName = req.query.filename;
+    const subdir = req.query.subdir || 'analysisResults';
+    if (typeof subdir !== 'string') {
+      return res.status(400).json({ error: 'Invalid subdir: must be a string' });
+    }
+    if (fileName !== undefined && typeof fileName !== 'string') {
+      return res.status(400).json({ error: 'Invalid filename: must be a string' });
+    }
+
+    if (!fileName) {
+      // Try to parse multipart boundary from content-type
+      const contentType = req.headers['content-type'] || '';
+      if (contentType.includes('multipart/form-data')) {
+        const result = await parseMultipartSync(req.body, contentType);
+        if (result.files.length === 0) {
+          return res.status(400).json({ error: 'No files found in multipart body' });
+        }
+
+        const stored = [];
+        const effectiveSubdir = result.fields.subdir || subdir;
+
+        // Security check
+        const targetDir = resolveSyncDir(runId, effectiveSubdir);
+        if (!targetDir) {
+          return res.status(403).json({ error: 'Access denied' });
+        }
+
+        await fs.mkdir(targetDir, { recursive: true });
+
+        for (const file of result.files) {
+          // Security: ensure file stays within target dir
+          const filePath = resolveSyncFilePath(runId, effectiveSubdir, file.filename);
+          if (!filePath) {
+            continue;
+          }
+          await fs.writeFile(filePath, file.data);
+          stored.push(file.filename);
+        }
+
+        if (stored.length > 0) {
+          eventHub.publish({ type: 'file-uploaded', folderName: runId, subdir: effectiveSubdir, files: stored });
+        }
+        return res.json({ stored });
+      }
+
+      return res.status(400).json({ error: 'Missing filename query parameter or multipart body' });
+    }
+
+    // Simple raw upload mode
+    // Security checks
+    const targetDir = resolveSyncDir(runId, subdir);
+    if (!targetDir) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const filePath = resolveSyncFilePath(runId, subdir, fileName);
+    if (!filePath) {
+      return res.status(403).json({ error: 'Access denied: invalid filename' });
+    }
+
+    await fs.mkdir(targetDir, { recursive: true });
+    await fs.writeFile(filePath, req.body);
+    eventHub.publish({ type: 'file-uploaded', folderName: runId, subdir, files: [fileName] });
+
+    console.log(`Synced analysis file: ${runId}/${subdir}/${fileName} (${req.body.length} bytes)`);
+    res.json({ stored: [fileName] });
+
+  } catch (error) {
+    console.error('Error uploading sync analysis file:', error);
+    res.status(500).json({ error: 'Failed to upload file: ' + error.message });
+  }
+});
+
+// Route to start a resumable chunked upload of a file for a synced run
+app.post('/api/sync/uploads/:runId', syncAuth('write'), async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const { fileName, subdir = 'analysisResults', size } = req.body || {};
+
+    if (!fileName || typeof fileName !== 'string') {
+      return res.status(400).json({ error: 'Missing fileName' });
+    }
+    if (typeof subdir !== 'string') {
+      return res.status(400).json({ error: 'Invalid subdir: must be a string' });
+    }
+    if (size !== undefined && (!Number.isInteger(size) || size < 0)) {
+      return res.status(400).json({ error: 'Invalid size: must be a non-negative integer (bytes)' });
+    }
+
+    if (!resolveSyncFilePath(runId, subdir, fileName)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const session = await uploadStore.createSession({
+      runId,
+      subdir,
+      fileName: path.basename(fileName),
+      size: size === undefined ? null : size
+    });
+
+    console.log(`Started chunked upload ${session.uploadId}: ${runId}/${subdir}/${session.fileName}`);
+    res.status(201).json({ ...session, maxChunkSize: MAX_UPLOAD_CHUNK_SIZE });
+
+  } catch (error) {
+    console.error('Error starting chunked upload:', error);
+    res.status(500).json({ error: 'Failed to start upload: ' + error.message });
+  }
+});
+
+// Route to get the state of a chunked upload (the chunks received so far), for resuming
+app.get('/api/sync/uploads/:runId/:uploadId', syncAuth('read'), async (req, res) => {
+  try {
+    const { runId, uploadId } = req.params;
+
+    const session = await uploadStore.getSession(uploadId);
+    if (!session || session.runId !== runId) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    res.json({ ...session, maxChunkSize: MAX_UPLOAD_CHUNK_SIZE });
+
+  } catch (error) {
+    console.error('Error getting chunked upload:', error);
+    res.status(500).json({ error: 'Failed to get upload: ' + error.message });
+  }
+});
+
+// Route to store one numbered chunk (0-based) of a chunked upload; re-sending a chunk replaces it
+app.put('/api/sync/uploads/:runId/:uploadId/chunks/:index', syncAuth('write'), express.raw({ type: '*/*', limit: MAX_UPLOAD_CHUNK_SIZE }), async (req, res) => {
+  try {
+    const { runId, uploadId, index } = req.params;
+
+    if (!/^\d+$/.test(index) || Number(index) >= MAX_UPLOAD_CHUNK_COUNT) {
+      return res.status(400).json({ error: `Invalid chunk index: must be an integer from 0 to ${MAX_UPLOAD_CHUNK_COUNT - 1}` });
+    }
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(400).json({ error: 'Missing chunk data' });
+    }
+
+    // Optional per-chunk checksum, so a corrupted chunk is re-sent right away
+    const chunkSha256 = req.headers['x-chunk-sha256'];
+    if (chunkSha256) {
+      const actual = crypto.createHash('sha256').update(req.body).digest('hex');
+      if (actual !== String(chunkSha256).toLowerCase()) {
+        return res.status(422).json({ error: 'Chunk checksum mismatch', sha256: actual });
+      }
+    }
+
+    const existing = await uploadStore.getSession(uploadId);
+    if (!existing || existing.runId !== runId) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    if (uploadStore.isCompleting(uploadId)) {
+      return res.status(409).json({ error: 'Upload is being finalized' });
+    }
+
+    const session = await uploadStore.writeChunk(uploadId, parseInt(index), req.body);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    res.json({
+      uploadId,
+      index: parseInt(index),
+      size: req.body.length,
+      receivedChunks: session.receivedChunks.length,
+      receivedBytes: session.receivedBytes
+    });
+
+  } catch (error) {
+    console.error('Error storing upload chunk:', error);
+    res.status(500).json({ error: 'Failed to store chunk: ' + error.message });
+  }
+});
+
+// Route to finalize a chunked upload: assemble, verify the SHA-256 and move the file into place
+app.post('/api/sync/uploads/:runId/:uploadId/complete', syncAuth('write'), async (req, res) => {
+  try {
+    const { runId, uploadId } = req.params;
+    const { sha256, chunkCount } = req.body || {};
+
+    if (!sha256 || !/^[0-9a-fA-F]{64}$/.test(sha256)) {
+      return res.status(400).json({ error: 'Missing or invalid sha256: must be 64 hex characters' });
+    }
+    if (chunkCount !== undefined && (!Number.isInteger(chunkCount) || chunkCount <= 0 || chunkCount > MAX_UPLOAD_CHUNK_COUNT)) {
+      return res.status(400).json({ error: `Invalid chunkCount: must be an integer from 1 to ${MAX_UPLOAD_CHUNK_COUNT}` });
+    }
+
+    const session = await uploadStore.getSession(uploadId);
+    if (!session || session.runId !== runId) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    const targetPath = resolveSyncFilePath(runId, session.subdir, session.fileName);
+    if (!targetPath) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const result = await uploadStore.complete(uploadId, { sha256, targetPath, chunkCount });
+    if (!result) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    switch (result.status) {
+      case 'busy':
+        return res.status(409).json({ error: 'Upload is already being finalized' });
+      case 'missing-chunks':
+        return res.status(409).json({
+          error: 'Missing chunks',
+          missing: result.missing,
+          missingCount: result.missingCount,
+          chunkCount: result.expectedCount
+        });
+      case 'size-mismatch':
+        return res.status(422).json({ error: 'Size mismatch', size: result.size, expectedSize: result.expectedSize });
+      case 'checksum-mismatch':
+        return res.status(422).json({ error: 'Checksum mismatch', sha256: result.sha256, expectedSha256: result.expectedSha256 });
     }
 
-    // Set appropriate headers for WAV files
-    res.setHeader('Content-Type', 'audio/wav');
-    res.setHeader('Content-Disposition', `inline; filename="${wavFileName}"`);
+    eventHub.publish({ type: 'file-uploaded', folderName: runId, subdir: session.subdir, files: [session.fileName] });
 
-    // Serve the WAV file
-    res.sendFile(resolvedPath);
+    console.log(`Completed chunked upload ${uploadId}: ${runId}/${session.subdir}/${session.fileName} (${result.size} bytes)`);
+    res.json({ stored: [session.fileName], size: result.size, sha256: result.sha256 });
 
   } catch (error) {
-    console.error('Error serving rendered WAV file:', error);
-    res.status(500).json({
-      error: 'Failed to serve rendered WAV file: ' + error.message
-    });
+    console.error('Error completing chunked upload:', error);
+    res.status(500).json({ error: 'Failed to complete upload: ' + error.message });
   }
 });
 
-// Route to list available rendered files for a specific evorun folder
-app.get('/evorenders/:folderName/files', async (req, res) => {
+// Route to abort a chunked upload and discard its chunks
+app.delete('/api/sync/uploads/:runId/:uploadId', syncAuth('write'), async (req, res) => {
   try {
-    const { folderName } = req.params;
-
-    const targetPath = path.join(CONFIG.evorenderDirectory, folderName);
-
-    // Security check
-    const resolvedPath = path.resolve(targetPath);
-    const resolvedRoot = path.resolve(CONFIG.evorenderDirectory);
+    const { runId, uploadId } = req.params;
 
-    if (!resolvedPath.startsWith(resolvedRoot)) {
-      return res.status(403).json({ error: 'Access denied: path outside evorenders directory' });
+    const session = await uploadStore.getSession(uploadId);
+    if (!session || session.runId !== runId) {
+      return res.status(404).json({ error: 'Upload session not found' });
     }
-
-    try {
-      await fs.access(targetPath);
-    } catch (error) {
-      return res.status(404).json({ error: 'Evorender directory not found' });
+    if (uploadStore.isCompleting(uploadId)) {
+      return res.status(409).json({ error: 'Upload is being finalized' });
     }
 
-    const entries = await fs.readdir(targetPath, { withFileTypes: true });
+    await uploadStore.abort(uploadId);
+    res.json({ message: 'Upload aborted', uploadId });
 
-    const wavFiles = [];
+  } catch (error) {
+    console.error('Error aborting chunked upload:', error);
+    res.status(500).json({ error: 'Failed to abort upload: ' + error.message });
+  }
+});
 
-    for (const entry of entries) {
-      if (entry.isFile() && entry.name.endsWith('.wav')) {
-        const stats = await fs.stat(path.join(targetPath, entry.name));
 
-        // Parse the filename to extract ULID and render parameters
-        const match = entry.name.match(/^([A-Z0-9]{26})-(.+)\.wav$/);
-        let parsedParams = null;
-
-        if (match) {
-          const [, fileUlid, paramString] = match;
-          const paramParts = paramString.split('_');
-          if (paramParts.length === 3) {
-            parsedParams = {
-              ulid: fileUlid,
-              duration: parseFloat(paramParts[0]),
-              pitch: parseInt(paramParts[1]),
-              velocity: parseInt(paramParts[2])
-            };
-          }
-        }
+// Route to report which of a worker's genome/feature IDs the server already has
+app.post('/api/sync/rows/:runId/missing', syncAuth('read'), async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const { genomes = [], features = [] } = req.body || {};
 
-        wavFiles.push({
-          name: entry.name,
-          size: stats.size,
-          modified: stats.mtime.toISOString(),
-          parameters: parsedParams
-        });
+    for (const [name, ids] of [['genomes', genomes], ['features', features]]) {
+      if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+        return res.status(400).json({ error: `Invalid ${name}: must be an array of IDs` });
+      }
+      if (ids.length > MAX_BATCH_SIZE) {
+        return res.status(400).json({ error: `Too many ${name} IDs: maximum is ${MAX_BATCH_SIZE} per request` });
       }
     }
 
+    const runDir = path.join(getSyncBaseDir(), runId);
+    if (!path.resolve(runDir).startsWith(path.resolve(getSyncBaseDir()) + path.sep)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const db = getRunDB(runDir);
+    const existingGenomes = new Set(db ? db.filterExistingGenomeIds(genomes) : []);
+    const existingFeatures = new Set(db ? db.filterExistingFeatureIds(features) : []);
+
     res.json({
-      folderName,
-      evorenderPath: targetPath,
-      wavFiles: wavFiles.sort((a, b) => a.name.localeCompare(b.name)),
-      count: wavFiles.length
+      runId,
+      genomes: {
+        existing: genomes.filter(id => existingGenomes.has(id)),
+        missing: genomes.filter(id => !existingGenomes.has(id))
+      },
+      features: {
+        existing: features.filter(id => existingFeatures.has(id)),
+        missing: features.filter(id => !existingFeatures.has(id))
+      }
     });
 
   } catch (error) {
-    console.error('Error listing evorender files:', error);
-    res.status(500).json({
-      error: 'Failed to list evorender files: ' + error.message
-    });
+    console.error('Error checking synced rows:', error);
+    res.status(500).json({ error: 'Failed to check rows: ' + error.message });
   }
 });
 
-// ========================================
-// Sync API Endpoints (for receiving data from remote workers)
-// ========================================
-
-// API key authentication middleware for sync endpoints
-function syncAuth(req, res, next) {
-  if (CONFIG.syncApiKeys.length === 0) {
-    // No keys configured = sync endpoints disabled
-    return res.status(503).json({ error: 'Sync API not configured (no API keys set)' });
-  }
-  const key = req.headers['x-sync-api-key'];
-  if (!key || !CONFIG.syncApiKeys.includes(key)) {
-    return res.status(401).json({ error: 'Invalid or missing API key' });
-  }
-  next();
-}
-
-// Helper to get the sync base directory
-function getSyncBaseDir() {
-  return CONFIG.syncDirectory || CONFIG.rootDirectory;
-}
-
-// Register a new evorun on the central (creates directory structure)
-app.post('/api/sync/register/:runId', syncAuth, async (req, res) => {
+// Route to ingest genome/feature rows into a synced run's databases (created if needed)
+// Body: newline-delimited JSON, one { table: 'genomes' | 'features', id, data } per line,
+// where data is the base64 of the gzipped JSON as stored in the databases
+app.post('/api/sync/rows/:runId', syncAuth('write'), express.raw({ type: 'application/x-ndjson', limit: '200mb' }), async (req, res) => {
   try {
     const { runId } = req.params;
-    const { templateName, ecosystemVariant, startedAt } = req.body;
 
-    const runDir = path.join(getSyncBaseDir(), runId);
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(400).json({ error: 'Expected a newline-delimited JSON body (Content-Type: application/x-ndjson)' });
+    }
 
-    // Security check
-    const resolvedPath = path.resolve(runDir);
-    const resolvedRoot = path.resolve(getSyncBaseDir());
-    if (!resolvedPath.startsWith(resolvedRoot)) {
+    const runDir = path.join(getSyncBaseDir(), runId);
+    if (!path.resolve(runDir).startsWith(path.resolve(getSyncBaseDir()) + path.sep)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Create directory structure (only analysisResults; other dirs created on demand during upload)
-    await fs.mkdir(path.join(runDir, 'analysisResults'), { recursive: true });
+    // Parse and validate the rows; invalid ones are reported and not inserted
+    const rowsByTable = { genomes: [], features: [] };
+    const rejected = [];
+    const lines = req.body.toString('utf8').split('\n');
 
-    // Store metadata
-    const metadata = {
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line) continue;
+
+      let row;
+      try {
+        row = JSON.parse(line);
+      } catch (error) {
+        rejected.push({ line: i + 1, error: 'Invalid JSON' });
+        continue;
+      }
+
+      const { table, id, data } = row || {};
+      // Not rowsByTable[table]: "constructor" and the like would pass as well
+      if (!Object.hasOwn(rowsByTable, table)) {
+        rejected.push({ line: i + 1, id, error: 'Invalid table. Must be one of: genomes, features' });
+        continue;
+      }
+      if (typeof id !== 'string' || !/^[0-9A-Z]{26}$/.test(id)) {
+        rejected.push({ line: i + 1, id, error: 'Invalid id: must be a ULID' });
+        continue;
+      }
+      if (typeof data !== 'string') {
+        rejected.push({ line: i + 1, id, error: 'Missing data' });
+        continue;
+      }
+
+      const buffer = Buffer.from(data, 'base64');
+      try {
+        // Must decode the way the readers will
+        const decoded = await decodeRowData(buffer);
+        if (!decoded || typeof decoded !== 'object') {
+          throw new Error('not a JSON object');
+        }
+      } catch (error) {
+        rejected.push({ line: i + 1, id, error: 'Invalid data: expected base64 of gzipped JSON (' + error.message + ')' });
+        continue;
+      }
+
+      rowsByTable[table].push({ id, data: buffer });
+    }
+
+    const result = {
       runId,
-      templateName,
-      ecosystemVariant,
-      startedAt,
-      registeredAt: new Date().toISOString(),
+      genomes: { inserted: 0, existing: 0 },
+      features: { inserted: 0, existing: 0 },
+      createdDatabases: [],
+      rejected
     };
-    await fs.writeFile(
-      path.join(runDir, 'sync-metadata.json'),
-      JSON.stringify(metadata, null, 2)
-    );
 
-    console.log(`Registered synced evorun: ${runId}`);
-    res.status(201).json({ message: 'Run registered', runId });
+    if (rowsByTable.genomes.length > 0 || rowsByTable.features.length > 0) {
+      const isNewRun = !fsSync.existsSync(runDir);
+      await fs.mkdir(runDir, { recursive: true });
+      if (isNewRun) {
+        evorunIndex.add(path.resolve(runDir), 'sync');
+      }
+
+      const writeDb = getRunWriteDB(runDir);
+      for (const table of ['genomes', 'features']) {
+        if (rowsByTable[table].length === 0) continue;
+        const { inserted, existing, created } = writeDb.insertRows(table, rowsByTable[table]);
+        result[table] = { inserted: inserted.length, existing: existing.length };
+        if (created) result.createdDatabases.push(`${table}.sqlite`);
+      }
+
+      // Read-only connections opened before a database existed don't see it
+      if (result.createdDatabases.length > 0) {
+        closeRunDB(runDir);
+      }
+    }
+
+    console.log(`Ingested rows into ${runId}: ${result.genomes.inserted} genomes, ${result.features.inserted} features` +
+      (rejected.length > 0 ? `, ${rejected.length} rejected` : ''));
+    res.json(result);
 
   } catch (error) {
-    console.error('Error registering sync run:', error);
-    res.status(500).json({ error: 'Failed to register run: ' + error.message });
+    console.error('Error ingesting synced rows:', error);
+    res.status(500).json({ error: 'Failed to ingest rows: ' + error.message });
   }
 });
 
-// List analysis files for a run (used by worker to determine what needs uploading)
-app.get('/api/sync/analysis/:runId/list', syncAuth, async (req, res) => {
+
+// Route to query the sync audit log (most recent entries first)
+app.get('/api/admin/sync-audit', adminAuth, async (req, res) => {
   try {
-    const { runId } = req.params;
-    const subdir = req.query.subdir || 'analysisResults';
+    const { runId, key, outcome, from, to } = req.query;
 
-    const targetDir = path.join(getSyncBaseDir(), runId, subdir);
+    if (outcome !== undefined && !['accepted', 'rejected'].includes(outcome)) {
+      return res.status(400).json({ error: 'Invalid outcome. Must be one of: accepted, rejected' });
+    }
 
-    // Security check
-    const resolvedPath = path.resolve(targetDir);
-    const resolvedRoot = path.resolve(getSyncBaseDir());
-    if (!resolvedPath.startsWith(resolvedRoot)) {
-      return res.status(403).json({ error: 'Access denied' });
+    const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit);
+    if (isNaN(limit) || limit <= 0 || limit > MAX_AUDIT_ENTRIES) {
+      return res.status(400).json({ error: `Invalid limit: must be an integer between 1 and ${MAX_AUDIT_ENTRIES}` });
     }
 
+    const filters = { runId, key, outcome, limit };
     try {
-      await fs.access(targetDir);
-    } catch {
-      return res.status(404).json({ error: 'Directory not found', files: [] });
+      if (from !== undefined) filters.from = parseTimestampParam(from, 'from');
+      if (to !== undefined) filters.to = parseTimestampParam(to, 'to');
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
 
-    const entries = await fs.readdir(targetDir, { withFileTypes: true });
-    const files = [];
+    const { entries, matched } = await syncKeys.queryAuditLog(filters);
+    res.json({ matched, count: entries.length, entries });
 
-    for (const entry of entries) {
-      if (entry.isFile()) {
-        const stats = await fs.stat(path.join(targetDir, entry.name));
-        files.push({
-          name: entry.name,
-          size: stats.size,
-          modified: stats.mtime.toISOString(),
-        });
-      }
+  } catch (error) {
+    console.error('Error querying sync audit log:', error);
+    res.status(500).json({ error: 'Failed to query audit log: ' + error.message });
+  }
+});
+
+// Route to list the sync API keys with their scopes (never the keys themselves)
+app.get('/api/admin/sync-keys', adminAuth, (req, res) => {
+  res.json({ keys: syncKeys.listKeys() });
+});
+
+// Archive, restore, rename and (soft-)delete runs; database connections are closed and cached
+// indexes and stats dropped before a run is moved
+const runLifecycle = createRunLifecycle({
+  index: evorunIndex,
+  getSearchDirs: getEvorunSearchDirs,
+  getArchiveDirectory: () => CONFIG.archiveDirectory ? path.resolve(CONFIG.archiveDirectory) : null,
+  getTrashDirectory: () => path.resolve(CONFIG.trashDirectory || path.join(CONFIG.rootDirectory, '.trash')),
+  getEvorenderDirectory: () => path.resolve(CONFIG.evorenderDirectory),
+  trashRetention: CONFIG.trashRetentionDays * 24 * 60 * 60 * 1000,
+  releaseRun: runPath => {
+    closeRunDB(runPath);
+    closeRunWriteDB(runPath);
+    clearFeatureIndexes(runPath);
+    clearReverseParentIndex(runPath);
+    directoryStatsCache.delete(runPath);
+  }
+});
+
+// HTTP status for lifecycle operations that did nothing
+const LIFECYCLE_ERROR_STATUS = { 'not-found': 404, exists: 409, busy: 409, invalid: 400 };
+
+const LIFECYCLE_ERROR_MESSAGES = {
+  'not-found': 'Run not found',
+  exists: 'Target already exists',
+  busy: 'Another operation on this run is in progress',
+  invalid: 'Invalid folder name'
+};
+
+// Helper function to send the result of a lifecycle operation
+function sendLifecycleResult(res, result, successStatus = 200) {
+  const { status, ...details } = result;
+  if (LIFECYCLE_ERROR_STATUS[status]) {
+    return res.status(LIFECYCLE_ERROR_STATUS[status]).json({ error: LIFECYCLE_ERROR_MESSAGES[status], ...details });
+  }
+  res.status(successStatus).json(result);
+}
+
+// Helper function to find an indexed run by its exact folder name (no evorun name matching,
+// as lifecycle operations must not pick a run by accident)
+async function findIndexedRun(folderName) {
+  await evorunIndex.ready();
+  const entry = evorunIndex.lookup(folderName);
+  return entry && entry.folderName === folderName ? entry : null;
+}
+
+// Route to archive a run (compress it into the archive directory and remove it from the root/sync directory)
+app.post('/api/admin/evoruns/:folderName/archive', adminAuth, async (req, res) => {
+  try {
+    if (!CONFIG.archiveDirectory) {
+      return res.status(503).json({ error: 'Archive directory not configured (ARCHIVE_DIR)' });
+    }
+    const entry = await findIndexedRun(req.params.folderName);
+    if (!entry) {
+      return res.status(404).json({ error: 'Evorun directory not found' });
     }
 
-    res.json({ files });
+    const result = await runLifecycle.archive(entry);
+    if (result.status === 'archived') console.log(`Archived evorun: ${entry.folderName}`);
+    sendLifecycleResult(res, result);
 
   } catch (error) {
-    console.error('Error listing sync analysis files:', error);
-    res.status(500).json({ error: 'Failed to list files: ' + error.message });
+    console.error('Error archiving evorun:', error);
+    res.status(500).json({ error: 'Failed to archive evorun: ' + error.message });
   }
 });
 
-// Upload an analysis file for a run
-// Accepts raw file body with filename and subdir as query parameters
-app.post('/api/sync/analysis/:runId', syncAuth, express.raw({ type: '*/*', limit: '200mb' }), async (req, res) => {
+// Route to list archived runs
+app.get('/api/admin/archive', adminAuth, async (req, res) => {
   try {
-    const { runId } = req.params;
+    if (!CONFIG.archiveDirectory) {
+      return res.status(503).json({ error: 'Archive directory not configured (ARCHIVE_DIR)' });
+    }
+    const runs = await runLifecycle.listArchived();
+    res.json({ archiveDirectory: path.resolve(CONFIG.archiveDirectory), count: runs.length, runs });
+  } catch (error) {
+    console.error('Error listing archived evoruns:', error);
+    res.status(500).json({ error: 'Failed to list archived evoruns: ' + error.message });
+  }
+});
 
-    // Support both simple raw upload (filename in query) and multipart
-    const fileName = req.query.filename;
-    const subdir = req.query.subdir || 'analysisResults';
+// Route to restore an archived run to where it was archived from
+app.post('/api/admin/archive/:folderName/restore', adminAuth, async (req, res) => {
+  try {
+    if (!CONFIG.archiveDirectory) {
+      return res.status(503).json({ error: 'Archive directory not configured (ARCHIVE_DIR)' });
+    }
+    const { folderName } = req.params;
+    if (!isEvorunFolderName(folderName) || !isSafeFolderName(folderName)) {
+      return res.status(400).json({ error: 'Invalid folder name' });
+    }
 
-    if (!fileName) {
-      // Try to parse multipart boundary from content-type
-      const contentType = req.headers['content-type'] || '';
-      if (contentType.includes('multipart/form-data')) {
-        const result = await parseMultipartSync(req.body, contentType);
-        if (result.files.length === 0) {
-          return res.status(400).json({ error: 'No files found in multipart body' });
-        }
+    const result = await runLifecycle.restoreArchived(folderName);
+    if (result.status === 'restored') console.log(`Restored archived evorun: ${folderName}`);
+    sendLifecycleResult(res, result);
 
-        const stored = [];
-        const effectiveSubdir = result.fields.subdir || subdir;
-        const targetDir = path.join(getSyncBaseDir(), runId, effectiveSubdir);
+  } catch (error) {
+    console.error('Error restoring archived evorun:', error);
+    res.status(500).json({ error: 'Failed to restore evorun: ' + error.message });
+  }
+});
 
-        // Security check
-        const resolvedTarget = path.resolve(targetDir);
-        const resolvedRoot = path.resolve(getSyncBaseDir());
-        if (!resolvedTarget.startsWith(resolvedRoot)) {
-          return res.status(403).json({ error: 'Access denied' });
-        }
+// Route to rename a run (the evorun name part; the ULID is kept)
+app.post('/api/admin/evoruns/:folderName/rename', adminAuth, async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    if (typeof name !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name) || name.includes('..') || name.length > 200) {
+      return res.status(400).json({
+        error: 'Invalid name: must start with a letter or digit and contain only letters, digits, ".", "_" and "-", without ".." (at most 200 characters)'
+      });
+    }
 
-        await fs.mkdir(targetDir, { recursive: true });
+    const entry = await findIndexedRun(req.params.folderName);
+    if (!entry) {
+      return res.status(404).json({ error: 'Evorun directory not found' });
+    }
 
-        for (const file of result.files) {
-          const filePath = path.join(targetDir, path.basename(file.filename));
-          // Security: ensure file stays within target dir
-          if (!path.resolve(filePath).startsWith(resolvedTarget)) {
-            continue;
-          }
-          await fs.writeFile(filePath, file.data);
-          stored.push(file.filename);
-        }
+    const newFolderName = `${entry.ulid}_${name}`;
+    if (newFolderName === entry.folderName) {
+      return res.status(400).json({ error: 'Invalid name: the run already has this name' });
+    }
+    if (!isEvorunFolderName(newFolderName)) {
+      return res.status(400).json({ error: 'Invalid name: must not end with _failed-genes' });
+    }
 
-        return res.json({ stored });
-      }
+    const result = await runLifecycle.rename(entry, newFolderName);
+    if (result.status === 'renamed') console.log(`Renamed evorun: ${entry.folderName} -> ${newFolderName}`);
+    sendLifecycleResult(res, result);
 
-      return res.status(400).json({ error: 'Missing filename query parameter or multipart body' });
+  } catch (error) {
+    console.error('Error renaming evorun:', error);
+    res.status(500).json({ error: 'Failed to rename evorun: ' + error.message });
+  }
+});
+
+// Route to delete a run (moved to the trash, purged after TRASH_RETENTION_DAYS)
+app.delete('/api/admin/evoruns/:folderName', adminAuth, async (req, res) => {
+  try {
+    const entry = await findIndexedRun(req.params.folderName);
+    if (!entry) {
+      return res.status(404).json({ error: 'Evorun directory not found' });
     }
 
-    // Simple raw upload mode
-    const targetDir = path.join(getSyncBaseDir(), runId, subdir);
+    const result = await runLifecycle.trash(entry);
+    if (result.status === 'deleted') console.log(`Moved evorun to trash: ${entry.folderName}`);
+    sendLifecycleResult(res, result);
 
-    // Security checks
-    const resolvedTarget = path.resolve(targetDir);
-    const resolvedRoot = path.resolve(getSyncBaseDir());
-    if (!resolvedTarget.startsWith(resolvedRoot)) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+  } catch (error) {
+    console.error('Error deleting evorun:', error);
+    res.status(500).json({ error: 'Failed to delete evorun: ' + error.message });
+  }
+});
 
-    const filePath = path.join(targetDir, path.basename(fileName));
-    if (!path.resolve(filePath).startsWith(resolvedTarget)) {
-      return res.status(403).json({ error: 'Access denied: invalid filename' });
+// Route to list deleted runs
+app.get('/api/admin/trash', adminAuth, async (req, res) => {
+  try {
+    const runs = await runLifecycle.listTrash();
+    res.json({ retentionDays: CONFIG.trashRetentionDays, count: runs.length, runs });
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({ error: 'Failed to list trash: ' + error.message });
+  }
+});
+
+// Route to restore a deleted run to where it was deleted from
+app.post('/api/admin/trash/:folderName/restore', adminAuth, async (req, res) => {
+  try {
+    const { folderName } = req.params;
+    if (!isEvorunFolderName(folderName) || !isSafeFolderName(folderName)) {
+      return res.status(400).json({ error: 'Invalid folder name' });
     }
 
-    await fs.mkdir(targetDir, { recursive: true });
-    await fs.writeFile(filePath, req.body);
+    const result = await runLifecycle.restoreTrashed(folderName);
+    if (result.status === 'restored') console.log(`Restored evorun from trash: ${folderName}`);
+    sendLifecycleResult(res, result);
 
-    console.log(`Synced analysis file: ${runId}/${subdir}/${fileName} (${req.body.length} bytes)`);
-    res.json({ stored: [fileName] });
+  } catch (error) {
+    console.error('Error restoring evorun from trash:', error);
+    res.status(500).json({ error: 'Failed to restore evorun: ' + error.message });
+  }
+});
+
+// Route to permanently remove a deleted run before its retention period ends
+app.delete('/api/admin/trash/:folderName', adminAuth, async (req, res) => {
+  try {
+    const { folderName } = req.params;
+    if (!isEvorunFolderName(folderName) || !isSafeFolderName(folderName)) {
+      return res.status(400).json({ error: 'Invalid folder name' });
+    }
+
+    const result = await runLifecycle.purge(folderName);
+    if (result.status === 'purged') console.log(`Purged evorun from trash: ${folderName}`);
+    sendLifecycleResult(res, result);
 
   } catch (error) {
-    console.error('Error uploading sync analysis file:', error);
-    res.status(500).json({ error: 'Failed to upload file: ' + error.message });
+    console.error('Error purging evorun:', error);
+    res.status(500).json({ error: 'Failed to purge evorun: ' + error.message });
   }
 });
 
+
 /**
  * Simple multipart form-data parser for sync uploads.
  * Handles the format produced by SyncManager._uploadAnalysisFile().
@@ -1181,11 +3726,19 @@ function parseMultipartSync(body, contentType) {
   return { files: parts, fields };
 }
 
+// Helper function to write a body size limit in bytes the way the routes set it (e.g. '200mb')
+function formatByteLimit(bytes) {
+  if (bytes % (1024 * 1024) === 0) return `${bytes / (1024 * 1024)}mb`;
+  if (bytes % 1024 === 0) return `${bytes / 1024}kb`;
+  return `${bytes}b`;
+}
+
 // Error handler for body-parser errors (PayloadTooLargeError etc.)
 app.use((err, req, res, next) => {
   if (err.type === 'entity.too.large') {
     console.warn(`Payload too large for ${req.method} ${req.path} (${req.headers['content-length'] || '?'} bytes)`);
-    return res.status(413).json({ error: 'Payload too large', limit: '200mb' });
+    // limit stays as it was for the 200 MB routes; limitBytes is the limit of the route that rejected the request
+    return res.status(413).json({ error: 'Payload too large', limit: formatByteLimit(err.limit), limitBytes: err.limit });
   }
   next(err);
 });
@@ -1195,10 +3748,9 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    config: {
-      ...CONFIG,
-      syncApiKeys: CONFIG.syncApiKeys.length > 0 ? `${CONFIG.syncApiKeys.length} key(s) configured` : 'none',
-    }
+    config: getPublicConfig(),
+    evorunIndex: evorunIndex.stats(),
+    events: eventHub.stats()
   });
 });
 
@@ -1207,6 +3759,29 @@ app.listen(CONFIG.port, '0.0.0.0', () => {
   console.log(`Evorun Browser Server running on port ${CONFIG.port}`);
   console.log(`Root directory: ${CONFIG.rootDirectory}`);
   console.log(`Date granularity: ${CONFIG.dateGranularity}`);
+
+  evorunIndex.start().catch(error => {
+    console.error('Error building evorun index:', error);
+  });
+  runStatus.load();
+
+  // Remove abandoned chunked upload sessions, now and every hour
+  const removeExpiredUploads = () => {
+    uploadStore.removeExpired().then(removed => {
+      if (removed > 0) console.log(`Removed ${removed} expired upload session(s)`);
+    }).catch(error => console.warn('Could not remove expired upload sessions:', error.message));
+  };
+  removeExpiredUploads();
+  setInterval(removeExpiredUploads, 60 * 60 * 1000).unref();
+
+  // Purge deleted runs whose retention period has passed, now and every hour
+  const purgeExpiredTrash = () => {
+    runLifecycle.purgeExpired().then(purged => {
+      if (purged > 0) console.log(`Purged ${purged} deleted evorun(s) from trash`);
+    }).catch(error => console.warn('Could not purge trash:', error.message));
+  };
+  purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, 60 * 60 * 1000).unref();
 });
 
 module.exports = app;
@@ -6,6 +6,7 @@ const fs = require('fs');
 const path = require('path');
 const zlib = require('zlib');
 const { promisify } = require('util');
+const { writeWithBackpressure } = require('./evorun-streams');
 
 // Promisify zlib functions
 const gunzip = promisify(zlib.gunzip);
@@ -14,6 +15,169 @@ const gunzip = promisify(zlib.gunzip);
 const dbPool = new Map();
 const DB_TIMEOUT = 30 * 60 * 1000; // 30 minutes
 
+// Writable connections (sync ingestion) are pooled separately from the read-only ones
+const writeDbPool = new Map();
+const WRITE_DB_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+
+// Tables as created by kromosynth runs: gzipped JSON keyed by genome ULID
+const TABLE_SCHEMAS = {
+  genomes: 'CREATE TABLE IF NOT EXISTS genomes (id TEXT PRIMARY KEY, data BLOB)',
+  features: 'CREATE TABLE IF NOT EXISTS features (id TEXT PRIMARY KEY, data BLOB)'
+};
+
+const EXPORT_PAGE_SIZE = 500; // rows read per query while exporting
+
+const ULID_ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Encode a millisecond timestamp as the 10-character time part of a ULID
+function encodeULIDTime(time) {
+  let remaining = Math.max(0, Math.floor(time));
+  let encoded = '';
+  for (let i = 0; i < 10; i++) {
+    encoded = ULID_ENCODING[remaining % 32] + encoded;
+    remaining = Math.floor(remaining / 32);
+  }
+  return encoded;
+}
+
+/**
+ * List IDs from a genomes/features table, a page at a time.
+ * IDs are ULIDs, so ordering by ID is chronological and time windows become ID ranges.
+ * @param {Object} db - better-sqlite3 database
+ * @param {string} table - 'genomes' or 'features'
+ * @param {Object} [options]
+ * @param {string} [options.after] - Cursor: only IDs after this one (in the requested order)
+ * @param {number} [options.limit] - Maximum number of IDs to return (all if omitted)
+ * @param {string} [options.order] - 'asc' (default, oldest first) or 'desc'
+ * @param {number} [options.from] - Only IDs created at or after this timestamp (ms)
+ * @param {number} [options.to] - Only IDs created at or before this timestamp (ms)
+ * @returns {{ ids: string[], total: number, nextCursor: string|null }}
+ */
+function listIds(db, table, { after, limit, order = 'asc', from, to } = {}) {
+  const conditions = [];
+  const params = [];
+  if (from !== undefined) {
+    conditions.push('id >= ?');
+    params.push(encodeULIDTime(from));
+  }
+  if (to !== undefined) {
+    // Every ULID within the last millisecond of the window sorts before this bound
+    conditions.push('id < ?');
+    params.push(encodeULIDTime(to + 1));
+  }
+  const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM ${table}${where}`).get(...params).count;
+
+  const descending = order === 'desc';
+  if (after) {
+    conditions.push(descending ? 'id < ?' : 'id > ?');
+    params.push(after);
+  }
+  const pageWhere = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  let sql = `SELECT id FROM ${table}${pageWhere} ORDER BY id ${descending ? 'DESC' : 'ASC'}`;
+  if (limit) {
+    // Fetch one extra row to know whether there is a next page
+    sql += ' LIMIT ?';
+    params.push(limit + 1);
+  }
+  const ids = db.prepare(sql).all(...params).map(row => row.id);
+
+  let nextCursor = null;
+  if (limit && ids.length > limit) {
+    ids.length = limit;
+    nextCursor = ids[ids.length - 1];
+  }
+  return { ids, total, nextCursor };
+}
+
+/**
+ * Decompress and parse the data column of a genomes/features row.
+ * Handles Buffers serialized to JSON and double-compressed legacy data.
+ * @param {Buffer|Object} data - Row data
+ * @returns {Promise<Object>} Parsed JSON data
+ */
+async function decodeRowData(data) {
+  // Ensure data is a proper Buffer
+  let buffer = data;
+  if (!Buffer.isBuffer(buffer)) {
+    // Handle case where Buffer was serialized to JSON
+    if (buffer && buffer.type === 'Buffer' && Array.isArray(buffer.data)) {
+      buffer = Buffer.from(buffer.data);
+    } else {
+      throw new Error('Invalid data format: expected Buffer');
+    }
+  }
+
+  // Decompress the gzipped data
+  const jsonData = await gunzip(buffer);
+  const parsedData = JSON.parse(jsonData.toString());
+
+  // Check if the parsed data is itself a serialized Buffer
+  if (parsedData && parsedData.type === 'Buffer' && Array.isArray(parsedData.data)) {
+    // Reconstruct the Buffer and parse it again
+    const innerBuffer = Buffer.from(parsedData.data);
+    // Try to decompress again in case it's double-compressed
+    try {
+      const innerJsonData = await gunzip(innerBuffer);
+      return JSON.parse(innerJsonData.toString());
+    } catch (innerErr) {
+      // If it's not compressed, try to parse as string
+      try {
+        return JSON.parse(innerBuffer.toString());
+      } catch (parseErr) {
+        // If it's not JSON, return the buffer itself
+        return parsedData;
+      }
+    }
+  }
+
+  return parsedData;
+}
+
+// IDs of a list present in a table, queried in chunks to stay below SQLite's variable limit
+function filterExistingIds(db, table, ids) {
+  const existing = [];
+  for (let i = 0; i < ids.length; i += 500) {
+    const chunk = ids.slice(i, i + 500);
+    const placeholders = chunk.map(() => '?').join(',');
+    const rows = db.prepare(`SELECT id FROM ${table} WHERE id IN (${placeholders})`).all(...chunk);
+    for (const row of rows) existing.push(row.id);
+  }
+  return existing;
+}
+
+/**
+ * Iterate the rows (id, data) of a genomes/features table in ID order.
+ * Rows are read a page at a time, so no statement is left running on the
+ * (shared) connection while the consumer awaits between rows.
+ * @param {Object} db - better-sqlite3 database
+ * @param {string} table - 'genomes' or 'features'
+ * @param {Object} [options] - { from, to } ULID time window (ms), as for listIds
+ */
+async function* iterateRows(db, table, { from, to } = {}) {
+  const conditions = ['id > ?'];
+  const windowParams = [];
+  if (from !== undefined) {
+    conditions.push('id >= ?');
+    windowParams.push(encodeULIDTime(from));
+  }
+  if (to !== undefined) {
+    conditions.push('id < ?');
+    windowParams.push(encodeULIDTime(to + 1));
+  }
+  const stmt = db.prepare(`SELECT id, data FROM ${table} WHERE ${conditions.join(' AND ')} ORDER BY id LIMIT ?`);
+
+  let after = '';
+  while (true) {
+    const rows = stmt.all(after, ...windowParams, EXPORT_PAGE_SIZE);
+    for (const row of rows) {
+      yield row;
+    }
+    if (rows.length < EXPORT_PAGE_SIZE) return;
+    after = rows[rows.length - 1].id;
+  }
+}
+
 function makeRunDbApi({
   genomesDb,
   featuresDb,
@@ -27,41 +191,7 @@ function makeRunDbApi({
       const row = getGenome.get(id);
       if (!row) return null;
       try {
-        // Ensure row.data is a proper Buffer
-        let buffer = row.data;
-        if (!Buffer.isBuffer(buffer)) {
-          // Handle case where Buffer was serialized to JSON
-          if (buffer && buffer.type === 'Buffer' && Array.isArray(buffer.data)) {
-            buffer = Buffer.from(buffer.data);
-          } else {
-            throw new Error('Invalid data format: expected Buffer');
-          }
-        }
-        
-        // Decompress the gzipped data
-        const jsonData = await gunzip(buffer);
-        const parsedData = JSON.parse(jsonData.toString());
-        
-        // Check if the parsed data is itself a serialized Buffer
-        if (parsedData && parsedData.type === 'Buffer' && Array.isArray(parsedData.data)) {
-          // Reconstruct the Buffer and parse it again
-          const innerBuffer = Buffer.from(parsedData.data);
-          // Try to decompress again in case it's double-compressed
-          try {
-            const innerJsonData = await gunzip(innerBuffer);
-            return JSON.parse(innerJsonData.toString());
-          } catch (innerErr) {
-            // If it's not compressed, try to parse as string
-            try {
-              return JSON.parse(innerBuffer.toString());
-            } catch (parseErr) {
-              // If it's not JSON, return the buffer itself
-              return parsedData;
-            }
-          }
-        }
-        
-        return parsedData;
+        return await decodeRowData(row.data);
       } catch (err) {
         console.error(`Error decompressing genome ${id}:`, err);
         return null;
@@ -73,41 +203,7 @@ function makeRunDbApi({
       const row = getFeature.get(id);
       if (!row) return null;
       try {
-        // Ensure row.data is a proper Buffer
-        let buffer = row.data;
-        if (!Buffer.isBuffer(buffer)) {
-          // Handle case where Buffer was serialized to JSON
-          if (buffer && buffer.type === 'Buffer' && Array.isArray(buffer.data)) {
-            buffer = Buffer.from(buffer.data);
-          } else {
-            throw new Error('Invalid data format: expected Buffer');
-          }
-        }
-        
-        // Decompress the gzipped data
-        const jsonData = await gunzip(buffer);
-        const parsedData = JSON.parse(jsonData.toString());
-        
-        // Check if the parsed data is itself a serialized Buffer
-        if (parsedData && parsedData.type === 'Buffer' && Array.isArray(parsedData.data)) {
-          // Reconstruct the Buffer and parse it again
-          const innerBuffer = Buffer.from(parsedData.data);
-          // Try to decompress again in case it's double-compressed
-          try {
-            const innerJsonData = await gunzip(innerBuffer);
-            return JSON.parse(innerJsonData.toString());
-          } catch (innerErr) {
-            // If it's not compressed, try to parse as string
-            try {
-              return JSON.parse(innerBuffer.toString());
-            } catch (parseErr) {
-              // If it's not JSON, return the buffer itself
-              return parsedData;
-            }
-          }
-        }
-        
-        return parsedData;
+        return await decodeRowData(row.data);
       } catch (err) {
         console.error(`Error decompressing feature ${id}:`, err);
         return null;
@@ -206,6 +302,135 @@ function makeRunDbApi({
       }
     },
     
+    /**
+     * Retrieve genomes and/or features for a list of IDs.
+     * All rows are read in one pass over each DB (inside a read transaction),
+     * then decompressed concurrently.
+     * @param {string[]} ids - Genome IDs (ULIDs)
+     * @param {Object} [options] - { genomes: boolean, features: boolean } (both default to true)
+     * @returns {Promise<Object>} Map of ID -> { genome, features }; a requested part is null when not found
+     */
+    async getBatch(ids, { genomes = true, features = true } = {}) {
+      const readRows = (db, stmt) => db.transaction(() => ids.map(id => stmt.get(id)))();
+      const genomeRows = genomes && genomesDb && getGenome ? readRows(genomesDb, getGenome) : [];
+      const featureRows = features && featuresDb && getFeature ? readRows(featuresDb, getFeature) : [];
+
+      const decode = async (row, kind, id) => {
+        if (!row) return null;
+        try {
+          return await decodeRowData(row.data);
+        } catch (err) {
+          console.error(`Error decompressing ${kind} ${id}:`, err);
+          return null;
+        }
+      };
+
+      const results = {};
+      await Promise.all(ids.map(async (id, i) => {
+        const result = {};
+        if (genomes) result.genome = await decode(genomeRows[i], 'genome', id);
+        if (features) result.features = await decode(featureRows[i], 'feature', id);
+        results[id] = result;
+      }));
+      return results;
+    },
+    
+    /**
+     * Write all genomes and/or features of the run to a stream as newline-delimited JSON,
+     * one { ulid, genome, features } record per line in ULID order.
+     * When both are included, genomes and features are joined on ULID; a part missing
+     * for a ULID is null. Respects backpressure and stops if the stream is closed.
+     * @param {Writable} writable - Stream to write to (not ended by this function)
+     * @param {Object} [options] - { genomes: boolean, features: boolean, from, to }
+     * @returns {Promise<number>} Number of records written
+     */
+    async exportNdjson(writable, { genomes = true, features = true, from, to } = {}) {
+      const genomeRows = genomes && genomesDb ? iterateRows(genomesDb, 'genomes', { from, to }) : null;
+      const featureRows = features && featuresDb ? iterateRows(featuresDb, 'features', { from, to }) : null;
+
+      const decode = async (row, kind) => {
+        try {
+          return await decodeRowData(row.data);
+        } catch (err) {
+          console.error(`Error decompressing ${kind} ${row.id}:`, err);
+          return null;
+        }
+      };
+
+      // Merge the two ID-ordered row sequences
+      let genomeRow = genomeRows ? (await genomeRows.next()).value : undefined;
+      let featureRow = featureRows ? (await featureRows.next()).value : undefined;
+      let count = 0;
+
+      while (genomeRow || featureRow) {
+        let ulid;
+        if (genomeRow && featureRow) {
+          ulid = genomeRow.id <= featureRow.id ? genomeRow.id : featureRow.id;
+        } else {
+          ulid = (genomeRow || featureRow).id;
+        }
+
+        const record = { ulid };
+        if (genomes) {
+          record.genome = null;
+          if (genomeRow && genomeRow.id === ulid) {
+            record.genome = await decode(genomeRow, 'genome');
+            genomeRow = (await genomeRows.next()).value;
+          }
+        }
+        if (features) {
+          record.features = null;
+          if (featureRow && featureRow.id === ulid) {
+            record.features = await decode(featureRow, 'feature');
+            featureRow = (await featureRows.next()).value;
+          }
+        }
+
+        await writeWithBackpressure(writable, JSON.stringify(record) + '\n');
+        count++;
+      }
+
+      return count;
+    },
+    
+    /**
+     * Iterate all genome records in ULID order, decompressed.
+     * Yields { id, genome }; records that fail to decompress are skipped.
+     */
+    async *iterateGenomes() {
+      if (!genomesDb) return;
+      for await (const row of iterateRows(genomesDb, 'genomes')) {
+        try {
+          yield { id: row.id, genome: await decodeRowData(row.data) };
+        } catch (err) {
+          console.error(`Error decompressing genome ${row.id}:`, err);
+        }
+      }
+    },
+
+    /**
+     * Iterate all feature records in ULID order, decompressed.
+     * Yields { id, features }; records that fail to decompress are skipped.
+     */
+    async *iterateFeatures() {
+      if (!featuresDb) return;
+      for await (const row of iterateRows(featuresDb, 'features')) {
+        try {
+          yield { id: row.id, features: await decodeRowData(row.data) };
+        } catch (err) {
+          console.error(`Error decompressing feature ${row.id}:`, err);
+        }
+      }
+    },
+
+    get genomesDbPath() {
+      return genomesDb ? genomesDb.name : null;
+    },
+
+    get featuresDbPath() {
+      return featuresDb ? featuresDb.name : null;
+    },
+    
     close() {
       if (genomesDb) genomesDb.close();
       if (featuresDb) featuresDb.close();
@@ -252,6 +477,57 @@ function makeRunDbApi({
         console.error('Error listing genome IDs:', err);
         return [];
       }
+    },
+
+    /**
+     * List genome IDs with cursor-based pagination and an optional ULID time window.
+     * Options: { after, limit, order, from, to } (see listIds).
+     * Returns { ids, total, nextCursor }, where total counts all IDs in the time window.
+     */
+    async listGenomeIds(options) {
+      if (!genomesDb) return { ids: [], total: 0, nextCursor: null };
+      return listIds(genomesDb, 'genomes', options);
+    },
+
+    /**
+     * List feature genome IDs with cursor-based pagination and an optional ULID time window.
+     * Options and result as for listGenomeIds.
+     */
+    async listFeatureGenomeIds(options) {
+      if (!featuresDb) return { ids: [], total: 0, nextCursor: null };
+      return listIds(featuresDb, 'features', options);
+    },
+
+    /**
+     * Filter a list of genome IDs down to those present in the genomes DB
+     */
+    filterExistingGenomeIds(ids) {
+      if (!genomesDb || ids.length === 0) return [];
+      return filterExistingIds(genomesDb, 'genomes', ids);
+    },
+
+    /**
+     * Filter a list of genome IDs down to those present in the features DB
+     */
+    filterExistingFeatureIds(ids) {
+      if (!featuresDb || ids.length === 0) return [];
+      return filterExistingIds(featuresDb, 'features', ids);
+    },
+
+    /**
+     * Count the genomes in the genomes DB (null if there is no genomes DB)
+     */
+    countGenomes() {
+      if (!genomesDb) return null;
+      return genomesDb.prepare('SELECT COUNT(*) AS count FROM genomes').get().count;
+    },
+
+    /**
+     * Count the feature rows in the features DB (null if there is no features DB)
+     */
+    countFeatures() {
+      if (!featuresDb) return null;
+      return featuresDb.prepare('SELECT COUNT(*) AS count FROM features').get().count;
     }
   };
 }
@@ -327,6 +603,86 @@ function getRunDB(runPath) {
   return api;
 }
 
+/**
+ * Get a writable database connection for a specific run, for ingesting genome and
+ * feature rows. Databases are created (with their table) on the first insert.
+ * @param {string} runPath - Path to the evolution run directory
+ * @returns {Object} Write API object
+ */
+function getRunWriteDB(runPath) {
+  if (writeDbPool.has(runPath)) {
+    const entry = writeDbPool.get(runPath);
+    clearTimeout(entry.timeout);
+    entry.timeout = setTimeout(() => closeRunWriteDB(runPath), WRITE_DB_TIMEOUT);
+    return entry.api;
+  }
+
+  const entry = { dbs: {}, timeout: null };
+
+  function openTable(table) {
+    if (!entry.dbs[table]) {
+      const db = new Database(path.join(runPath, `${table}.sqlite`));
+      db.pragma('journal_mode = WAL');
+      db.pragma('synchronous = NORMAL');
+      db.exec(TABLE_SCHEMAS[table]);
+      const insert = db.prepare(`INSERT OR IGNORE INTO ${table} (id, data) VALUES (?, ?)`);
+      entry.dbs[table] = {
+        db,
+        insertAll: db.transaction(rows => {
+          const inserted = [];
+          const existing = [];
+          for (const row of rows) {
+            (insert.run(row.id, row.data).changes > 0 ? inserted : existing).push(row.id);
+          }
+          return { inserted, existing };
+        })
+      };
+    }
+    return entry.dbs[table];
+  }
+
+  entry.api = {
+    /**
+     * Insert rows into the genomes or features DB in one transaction, skipping IDs already present.
+     * Row data must be gzipped JSON, as read by getGenome/getFeature.
+     * @param {string} table - 'genomes' or 'features'
+     * @param {Array} rows - [{ id, data: Buffer }]
+     * @returns {{ inserted: string[], existing: string[], created: boolean }} created is true if
+     *   the database file didn't exist before
+     */
+    insertRows(table, rows) {
+      if (!TABLE_SCHEMAS[table]) {
+        throw new Error(`Unknown table: ${table}`);
+      }
+      const created = !entry.dbs[table] && !fs.existsSync(path.join(runPath, `${table}.sqlite`));
+      const result = openTable(table).insertAll(rows);
+      return { ...result, created };
+    }
+  };
+
+  entry.timeout = setTimeout(() => closeRunWriteDB(runPath), WRITE_DB_TIMEOUT);
+  writeDbPool.set(runPath, entry);
+
+  console.log(`Opened writable database connection for ${runPath}`);
+  return entry.api;
+}
+
+/**
+ * Close the writable database connections for a specific run
+ * @param {string} runPath - Path to the evolution run directory
+ */
+function closeRunWriteDB(runPath) {
+  if (writeDbPool.has(runPath)) {
+    const entry = writeDbPool.get(runPath);
+    clearTimeout(entry.timeout);
+
+    for (const { db } of Object.values(entry.dbs)) db.close();
+
+    writeDbPool.delete(runPath);
+    console.log(`Closed idle writable database connection for ${runPath}`);
+  }
+}
+
 /**
  * Close a database connection for a specific run
  * @param {string} runPath - Path to the evolution run directory
@@ -355,6 +711,11 @@ function closeAllConnections() {
     if (entry.featuresDb) entry.featuresDb.close();
   }
   dbPool.clear();
+  for (const entry of writeDbPool.values()) {
+    clearTimeout(entry.timeout);
+    for (const { db } of Object.values(entry.dbs)) db.close();
+  }
+  writeDbPool.clear();
   console.log('Closed all database connections');
 }
 
@@ -369,8 +730,31 @@ process.on('SIGTERM', () => {
   process.exit(0);
 });
 
+/**
+ * Get the time a database was last written to: the latest modification time of the
+ * database file and its write-ahead log, which takes writes until a checkpoint
+ * @param {string|null} dbPath - Path to the SQLite database file
+ * @returns {number|null} Modification time in ms, or null if neither file exists
+ */
+function getDbMtimeMs(dbPath) {
+  if (!dbPath) return null;
+  let mtimeMs = null;
+  for (const filePath of [dbPath, `${dbPath}-wal`]) {
+    try {
+      mtimeMs = Math.max(mtimeMs || 0, fs.statSync(filePath).mtimeMs);
+    } catch (error) {
+      // No database (or no WAL)
+    }
+  }
+  return mtimeMs;
+}
+
 module.exports = {
   getRunDB,
   closeRunDB,
-  closeAllConnections
+  getRunWriteDB,
+  closeRunWriteDB,
+  closeAllConnections,
+  decodeRowData,
+  getDbMtimeMs
 };
@@ -0,0 +1,515 @@
+// evorun-elites.js - Access to the QD elite maps of evolutionary runs
+// Elite maps are committed to a git repository in each run directory, one commit per
+// iteration, as elites_<runId>.json. commit-ids.txt lists those commits in order.
+// Based on the corresponding functions in evoruns-server.js (from qd-run-analysis.js in kromosynth-cli)
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const COMMIT_IDS_FILE_NAME = 'commit-ids.txt';
+const QD_METRICS_FILE_NAME = 'qd-metrics.json';
+// Written when a run directory is renamed; the elite maps keep the original run ID
+const RENAME_HISTORY_FILE_NAME = 'rename-history.json';
+
+// Commit ID lists for runs whose directory isn't writable: evoRunDirPath -> { commitIds, headMtimeMs }
+const commitIdsMemoryCache = new Map();
+
+// QD metrics for runs whose directory isn't writable: evoRunDirPath -> { commitId: metrics }
+const qdMetricsMemoryCache = new Map();
+
+// Run git with an argument list (no shell), resolving with stdout.
+// Not restricted by the exec buffer limit, as elite maps can be large.
+function runGit(args) {
+  return new Promise((resolve, reject) => {
+    const gitProcess = spawn('git', args);
+    const chunks = [];
+    let errorData = '';
+
+    gitProcess.stdout.on('data', chunk => chunks.push(chunk));
+    gitProcess.stderr.on('data', chunk => {
+      errorData += chunk.toString();
+    });
+    gitProcess.on('close', code => {
+      if (code > 0) {
+        const error = new Error(`${errorData.trim()} (Failed: git ${args.join(' ')})`);
+        error.exitCode = code;
+        return reject(error);
+      }
+      resolve(Buffer.concat(chunks).toString());
+    });
+    gitProcess.on('error', reject);
+  });
+}
+
+/**
+ * Get the run ID the elite maps of a run are named by: the original folder name of a
+ * renamed run, else the folder name
+ * @param {string} evoRunDirPath - Path to the run directory
+ * @returns {string}
+ */
+function getEvoRunId(evoRunDirPath) {
+  try {
+    const renameHistory = JSON.parse(fsSync.readFileSync(path.join(evoRunDirPath, RENAME_HISTORY_FILE_NAME), 'utf8'));
+    if (renameHistory.originalFolderName) return renameHistory.originalFolderName;
+  } catch (error) {
+    // Never renamed
+  }
+  return path.basename(evoRunDirPath);
+}
+
+/**
+ * Read many git objects through one `git cat-file --batch` process
+ * @param {string} evoRunDirPath - Path to the git repository
+ * @param {string[]} objectNames - Object names, e.g. `<commitId>:<file>`
+ * @param {Function} onObject - Called in order with (objectName, Buffer|null if missing)
+ * @returns {Promise<void>}
+ */
+function catFileBatch(evoRunDirPath, objectNames, onObject) {
+  return new Promise((resolve, reject) => {
+    const gitProcess = spawn('git', ['-C', evoRunDirPath, 'cat-file', '--batch']);
+    let chunks = [];
+    let bufferedLength = 0;
+    let expectedSize = null; // content size of the current object, once its header is read
+    let objectIndex = 0;
+    let errorData = '';
+    let failed = false;
+
+    const fail = error => {
+      if (failed) return;
+      failed = true;
+      gitProcess.kill();
+      reject(error);
+    };
+
+    const takeBytes = length => {
+      const buffer = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks, bufferedLength);
+      const taken = buffer.subarray(0, length);
+      const rest = buffer.subarray(length);
+      chunks = rest.length > 0 ? [rest] : [];
+      bufferedLength = rest.length;
+      return taken;
+    };
+
+    gitProcess.stdout.on('data', chunk => {
+      chunks.push(chunk);
+      bufferedLength += chunk.length;
+      try {
+        while (true) {
+          if (expectedSize === null) {
+            const buffer = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks, bufferedLength);
+            chunks = [buffer];
+            const newlineIndex = buffer.indexOf(10);
+            if (newlineIndex === -1) return;
+            const header = takeBytes(newlineIndex + 1).toString().trim();
+            if (header.endsWith(' missing')) {
+              onObject(objectNames[objectIndex++], null);
+              continue;
+            }
+            expectedSize = parseInt(header.split(' ')[2]);
+          }
+          // Content is followed by a newline
+          if (bufferedLength < expectedSize + 1) return;
+          const content = takeBytes(expectedSize + 1).subarray(0, expectedSize);
+          expectedSize = null;
+          onObject(objectNames[objectIndex++], content);
+        }
+      } catch (error) {
+        fail(error);
+      }
+    });
+    gitProcess.stderr.on('data', chunk => {
+      errorData += chunk.toString();
+    });
+    gitProcess.on('close', code => {
+      if (failed) return;
+      if (code > 0) {
+        return reject(new Error(`${errorData.trim()} (Failed: git cat-file --batch)`));
+      }
+      resolve();
+    });
+    gitProcess.on('error', fail);
+
+    gitProcess.stdin.on('error', fail);
+    gitProcess.stdin.end(objectNames.map(name => `${name}\n`).join(''));
+  });
+}
+
+/**
+ * Whether the run directory has a git history of elite maps
+ * @param {string} evoRunDirPath - Path to the evolution run directory
+ * @returns {boolean}
+ */
+function hasEliteHistory(evoRunDirPath) {
+  return fsSync.existsSync(path.join(evoRunDirPath, COMMIT_IDS_FILE_NAME))
+    || fsSync.existsSync(path.join(evoRunDirPath, '.git'));
+}
+
+// Modification time of the ref HEAD points to (HEAD itself when detached), which
+// changes with every commit; null without a git repository or before the first commit
+function getHeadRefMtimeMs(evoRunDirPath) {
+  const gitDirPath = path.join(evoRunDirPath, '.git');
+  try {
+    const head = fsSync.readFileSync(path.join(gitDirPath, 'HEAD'), 'utf8').trim();
+    if (!head.startsWith('ref: ')) {
+      return fsSync.statSync(path.join(gitDirPath, 'HEAD')).mtimeMs;
+    }
+    try {
+      return fsSync.statSync(path.join(gitDirPath, head.slice(5))).mtimeMs;
+    } catch (error) {
+      // The ref may have been packed
+      const packedRefs = fsSync.readFileSync(path.join(gitDirPath, 'packed-refs'), 'utf8');
+      if (!packedRefs.split('\n').some(line => line.endsWith(` ${head.slice(5)}`))) return null;
+      return fsSync.statSync(path.join(gitDirPath, 'packed-refs')).mtimeMs;
+    }
+  } catch (error) {
+    return null;
+  }
+}
+
+// Whether a commit ID list made at listMtimeMs predates the run's latest commit
+function isCommitIdsListStale(evoRunDirPath, listMtimeMs) {
+  const headMtimeMs = getHeadRefMtimeMs(evoRunDirPath);
+  return headMtimeMs !== null && headMtimeMs > listMtimeMs;
+}
+
+function getFreshCommitIdsFilePath(evoRunDirPath) {
+  const commitIdsFilePath = path.join(evoRunDirPath, COMMIT_IDS_FILE_NAME);
+  try {
+    const stats = fsSync.statSync(commitIdsFilePath);
+    return isCommitIdsListStale(evoRunDirPath, stats.mtimeMs) ? null : commitIdsFilePath;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getFreshMemoryCachedCommitIds(evoRunDirPath) {
+  const cached = commitIdsMemoryCache.get(evoRunDirPath);
+  if (!cached || isCommitIdsListStale(evoRunDirPath, cached.headMtimeMs)) return null;
+  return cached.commitIds;
+}
+
+/**
+ * Get the path to commit-ids.txt, creating it from the git history if it doesn't exist
+ * or predates the run's latest commit
+ * @param {string} evoRunDirPath - Path to the evolution run directory
+ * @param {boolean} [forceCreateCommitIdsList] - Recreate the list even if it is current
+ * @returns {Promise<string|null>} Path to the file, or null if it couldn't be written
+ */
+async function getCommitIdsFilePath(evoRunDirPath, forceCreateCommitIdsList) {
+  const commitIdsFilePath = path.join(evoRunDirPath, COMMIT_IDS_FILE_NAME);
+  if (forceCreateCommitIdsList || !getFreshCommitIdsFilePath(evoRunDirPath)) {
+    const headMtimeMs = getHeadRefMtimeMs(evoRunDirPath);
+    const commitIds = await listCommitsFromGit(evoRunDirPath);
+    try {
+      await fs.writeFile(commitIdsFilePath, commitIds.join('\n') + '\n');
+      if (headMtimeMs !== null) {
+        // Date the list by the HEAD it was read from, so a commit made meanwhile makes it stale
+        await fs.utimes(commitIdsFilePath, new Date(), new Date(headMtimeMs));
+      }
+    } catch (error) {
+      // Read-only run directory: keep the list in memory instead
+      commitIdsMemoryCache.set(evoRunDirPath, { commitIds, headMtimeMs: headMtimeMs || 0 });
+      return null;
+    }
+  }
+  return commitIdsFilePath;
+}
+
+// A run that hasn't committed its first elite map yet has no HEAD: an empty history
+async function hasHead(evoRunDirPath) {
+  const head = await runGit(['-C', evoRunDirPath, 'rev-parse', '--verify', '--quiet', 'HEAD'])
+    .catch(error => {
+      if (error.exitCode === 1) return null;
+      throw error;
+    });
+  return !!head;
+}
+
+async function listCommitsFromGit(evoRunDirPath) {
+  if (!(await hasHead(evoRunDirPath))) return [];
+  const output = await runGit(['-C', evoRunDirPath, 'rev-list', 'HEAD', '--first-parent', '--reverse']);
+  return output.split('\n').filter(Boolean);
+}
+
+/**
+ * Get the IDs of the elite map commits of a run, one per iteration, oldest first
+ * @param {string} evoRunDirPath - Path to the evolution run directory
+ * @param {boolean} [forceCreateCommitIdsList] - Recreate commit-ids.txt from the git history
+ * @returns {Promise<string[]>}
+ */
+async function getCommitIds(evoRunDirPath, forceCreateCommitIdsList) {
+  if (!forceCreateCommitIdsList) {
+    const cachedCommitIds = getFreshMemoryCachedCommitIds(evoRunDirPath);
+    if (cachedCommitIds) return cachedCommitIds;
+  }
+  const commitIdsFilePath = await getCommitIdsFilePath(evoRunDirPath, forceCreateCommitIdsList);
+  if (!commitIdsFilePath) {
+    return commitIdsMemoryCache.get(evoRunDirPath).commitIds;
+  }
+  return readCommitIdsFile(commitIdsFilePath);
+}
+
+async function readCommitIdsFile(commitIdsFilePath) {
+  const content = await fs.readFile(commitIdsFilePath, 'utf8');
+  return content.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Count the elite map commits of a run. Unlike getCommitIds, this doesn't write
+ * commit-ids.txt when it is missing or out of date.
+ * @param {string} evoRunDirPath - Path to the evolution run directory
+ * @param {boolean} [forceCreateCommitIdsList] - Recreate commit-ids.txt from the git history
+ * @returns {Promise<number>}
+ */
+async function getCommitCount(evoRunDirPath, forceCreateCommitIdsList) {
+  if (forceCreateCommitIdsList) {
+    return (await getCommitIds(evoRunDirPath, true)).length;
+  }
+  const cachedCommitIds = getFreshMemoryCachedCommitIds(evoRunDirPath);
+  if (cachedCommitIds) return cachedCommitIds.length;
+  const commitIdsFilePath = getFreshCommitIdsFilePath(evoRunDirPath);
+  if (commitIdsFilePath) return (await readCommitIdsFile(commitIdsFilePath)).length;
+  if (!(await hasHead(evoRunDirPath))) return 0;
+  const output = await runGit(['-C', evoRunDirPath, 'rev-list', '--count', 'HEAD', '--first-parent']);
+  return parseInt(output.trim());
+}
+
+/**
+ * Get the commit ID for an iteration
+ * @param {string} evoRunDirPath - Path to the evolution run directory
+ * @param {number} [iterationIndex] - Iteration (0-based); the last one if undefined
+ * @param {boolean} [forceCreateCommitIdsList] - Recreate commit-ids.txt from the git history
+ * @returns {Promise<string|undefined>} Commit ID, or undefined if the iteration doesn't exist
+ */
+async function getCommitID(evoRunDirPath, iterationIndex, forceCreateCommitIdsList) {
+  const commitIds = await getCommitIds(evoRunDirPath, forceCreateCommitIdsList);
+  if (iterationIndex === undefined) {
+    // get last index
+    return commitIds[commitIds.length - 1];
+  }
+  return commitIds[iterationIndex];
+}
+
+/**
+ * Read the elite map of a run at an iteration from its git history
+ * @param {string} evoRunDirPath - Path to the evolution run directory
+ * @param {number} [iterationIndex] - Iteration (0-based); the last one if undefined
+ * @param {boolean} [forceCreateCommitIdsList] - Recreate commit-ids.txt from the git history
+ * @returns {Promise<Object>} The elite map ({ cells: { [cellKey]: { elts: [{ g, s, ... }] } }, ... })
+ */
+async function getEliteMap(evoRunDirPath, iterationIndex, forceCreateCommitIdsList) {
+  const commitId = await getCommitID(evoRunDirPath, iterationIndex, forceCreateCommitIdsList);
+  if (!commitId) {
+    throw new Error(`Iteration not found: ${iterationIndex}`);
+  }
+  return getEliteMapAtCommit(evoRunDirPath, commitId);
+}
+
+async function getEliteMapAtCommit(evoRunDirPath, commitId) {
+  const evoRunId = getEvoRunId(evoRunDirPath);
+  const eliteMapString = await runGit(['-C', evoRunDirPath, 'show', `${commitId}:elites_${evoRunId}.json`]);
+  return JSON.parse(eliteMapString);
+}
+
+/**
+ * Summarise the elites of an elite map cell
+ * @param {Object} cell - Elite map cell ({ elts: [...] })
+ * @returns {Array} [{ genomeId, score, generationNumber }]
+ */
+function getCellElites(cell) {
+  return ((cell && cell.elts) || []).map(elt => {
+    const elite = { genomeId: elt.g, score: elt.s };
+    if (elt.gN !== undefined) elite.generationNumber = elt.gN;
+    return elite;
+  });
+}
+
+/**
+ * Index the elites of an elite map by genome ID
+ * @param {Object} eliteMap - Elite map
+ * @returns {Map} genomeId -> { eliteClass, score } (the cell the genome is an elite in)
+ */
+function getEliteGenomeIndex(eliteMap) {
+  const eliteGenomes = new Map();
+  for (const [cellKey, cell] of Object.entries(eliteMap.cells || {})) {
+    for (const elite of getCellElites(cell)) {
+      if (!eliteGenomes.has(elite.genomeId)) {
+        eliteGenomes.set(elite.genomeId, { eliteClass: cellKey, score: elite.score });
+      }
+    }
+  }
+  return eliteGenomes;
+}
+
+/**
+ * Compare the elites of two elite maps cell by cell (by each cell's top elite).
+ * Cell status is one of:
+ * - 'filled': empty in A, has an elite in B
+ * - 'replaced': a different elite in B (with old/new genome ID and score delta)
+ * - 'unchanged': the same elite in both
+ * - 'emptied': has an elite in A, empty in B
+ * - 'empty': empty in both
+ * @param {Object} eliteMapA - Elite map at the earlier iteration
+ * @param {Object} eliteMapB - Elite map at the later iteration
+ * @returns {{ cells: Object, summary: Object }} Per-cell changes and counts per status
+ */
+function diffEliteMaps(eliteMapA, eliteMapB) {
+  const cellsA = eliteMapA.cells || {};
+  const cellsB = eliteMapB.cells || {};
+  const cellKeys = Array.from(new Set([...Object.keys(cellsA), ...Object.keys(cellsB)])).sort();
+
+  const cells = {};
+  const summary = { filled: 0, replaced: 0, unchanged: 0, emptied: 0, empty: 0 };
+
+  for (const cellKey of cellKeys) {
+    const [eliteA] = getCellElites(cellsA[cellKey]);
+    const [eliteB] = getCellElites(cellsB[cellKey]);
+    let change;
+
+    if (!eliteA && !eliteB) {
+      change = { status: 'empty' };
+    } else if (!eliteA) {
+      change = { status: 'filled', newGenomeId: eliteB.genomeId, newScore: eliteB.score };
+    } else if (!eliteB) {
+      change = { status: 'emptied', oldGenomeId: eliteA.genomeId, oldScore: eliteA.score };
+    } else if (eliteA.genomeId === eliteB.genomeId) {
+      change = { status: 'unchanged', genomeId: eliteB.genomeId, score: eliteB.score };
+    } else {
+      change = {
+        status: 'replaced',
+        oldGenomeId: eliteA.genomeId,
+        newGenomeId: eliteB.genomeId,
+        oldScore: eliteA.score,
+        newScore: eliteB.score,
+        scoreDelta: eliteB.score - eliteA.score
+      };
+    }
+
+    summary[change.status]++;
+    cells[cellKey] = change;
+  }
+
+  return { cells, summary };
+}
+
+/**
+ * Compute QD metrics of an elite map, from each cell's top elite
+ * @param {Object} eliteMap - Elite map
+ * @returns {Object} { generationNumber, totalCells, filledCells, coverage, qdScore, maxScore, meanScore }
+ */
+function computeEliteMapMetrics(eliteMap) {
+  const cells = Object.values(eliteMap.cells || {});
+  let filledCells = 0;
+  let qdScore = 0;
+  let maxScore = null;
+
+  for (const cell of cells) {
+    const [elite] = getCellElites(cell);
+    if (!elite || typeof elite.score !== 'number') continue;
+    filledCells++;
+    qdScore += elite.score;
+    if (maxScore === null || elite.score > maxScore) maxScore = elite.score;
+  }
+
+  return {
+    generationNumber: eliteMap.generationNumber,
+    totalCells: cells.length,
+    filledCells,
+    coverage: cells.length > 0 ? filledCells / cells.length : 0,
+    qdScore,
+    maxScore,
+    meanScore: filledCells > 0 ? qdScore / filledCells : null
+  };
+}
+
+async function readQdMetricsCache(evoRunDirPath) {
+  if (qdMetricsMemoryCache.has(evoRunDirPath)) {
+    return qdMetricsMemoryCache.get(evoRunDirPath);
+  }
+  try {
+    const content = await fs.readFile(path.join(evoRunDirPath, QD_METRICS_FILE_NAME), 'utf8');
+    return JSON.parse(content).metrics || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+async function writeQdMetricsCache(evoRunDirPath, metrics) {
+  try {
+    await fs.writeFile(
+      path.join(evoRunDirPath, QD_METRICS_FILE_NAME),
+      JSON.stringify({ updatedAt: new Date().toISOString(), metrics })
+    );
+  } catch (error) {
+    // Read-only run directory: keep the metrics in memory instead
+    qdMetricsMemoryCache.set(evoRunDirPath, metrics);
+  }
+}
+
+/**
+ * Get the QD metrics time series of a run, one point per sampled elite map commit.
+ * Metrics are cached per commit in qd-metrics.json next to commit-ids.txt, so only
+ * commits not seen before are read from git.
+ * @param {string} evoRunDirPath - Path to the evolution run directory
+ * @param {Object} [options]
+ * @param {number} [options.step] - Sample every Nth iteration (the last iteration is always included)
+ * @param {boolean} [options.refresh] - Recreate commit-ids.txt and recompute all metrics
+ * @returns {Promise<Object>} { iterationCount, series: [{ iteration, commitId, ...metrics }] }
+ */
+async function getQdMetricsSeries(evoRunDirPath, { step = 1, refresh = false } = {}) {
+  const commitIds = await getCommitIds(evoRunDirPath, refresh);
+
+  const iterations = [];
+  for (let iteration = 0; iteration < commitIds.length; iteration += step) {
+    iterations.push(iteration);
+  }
+  if (commitIds.length > 0 && iterations[iterations.length - 1] !== commitIds.length - 1) {
+    iterations.push(commitIds.length - 1);
+  }
+
+  const cachedMetrics = refresh ? {} : await readQdMetricsCache(evoRunDirPath);
+  const missingCommitIds = iterations
+    .map(iteration => commitIds[iteration])
+    .filter(commitId => !cachedMetrics[commitId]);
+
+  if (missingCommitIds.length > 0) {
+    const eliteMapFileName = `elites_${getEvoRunId(evoRunDirPath)}.json`;
+    const objectNames = missingCommitIds.map(commitId => `${commitId}:${eliteMapFileName}`);
+    await catFileBatch(evoRunDirPath, objectNames, (objectName, content) => {
+      const commitId = objectName.split(':')[0];
+      cachedMetrics[commitId] = content
+        ? computeEliteMapMetrics(JSON.parse(content.toString()))
+        : { missing: true };
+    });
+    await writeQdMetricsCache(evoRunDirPath, cachedMetrics);
+  }
+
+  const series = iterations
+    .filter(iteration => !cachedMetrics[commitIds[iteration]].missing)
+    .map(iteration => ({
+      iteration,
+      commitId: commitIds[iteration],
+      ...cachedMetrics[commitIds[iteration]]
+    }));
+
+  return { iterationCount: commitIds.length, series };
+}
+
+module.exports = {
+  RENAME_HISTORY_FILE_NAME,
+  getEvoRunId,
+  hasEliteHistory,
+  getCommitIdsFilePath,
+  getCommitIds,
+  getCommitCount,
+  getCommitID,
+  getEliteMap,
+  getEliteMapAtCommit,
+  getCellElites,
+  getEliteGenomeIndex,
+  diffEliteMaps,
+  computeEliteMapMetrics,
+  getQdMetricsSeries
+};
@@ -0,0 +1,314 @@
+// evorun-events.js - Live change notifications for the evorun browser server (Server-Sent Events)
+// Events are published by the server (sync API, evorun index) and detected here by polling
+// genomes.sqlite and watching the evorender folders, only while at least one client listens
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { parseRenderFileName } = require('./evorender-files');
+const { getDbMtimeMs } = require('./evorun-db');
+
+const HEARTBEAT_INTERVAL = 25000; // ms
+const RENDER_DEBOUNCE = 500; // ms
+const HISTORY_SIZE = 200; // Events kept for clients reconnecting with Last-Event-ID
+
+/**
+ * Create a hub that streams change events to Server-Sent Events clients.
+ *
+ * Every event has a type and the folderName of the run it concerns. Types published by
+ * the hub itself:
+ * - 'genomes-updated': genomes.sqlite (or its WAL) of an indexed run was written to
+ * - 'render-added': a new WAV file appeared in an evorender folder
+ *
+ * @param {Object} options
+ * @param {Function} options.getRuns - Returns the indexed runs ([{ folderName, fullPath }])
+ * @param {Function} options.getEvorenderDirectory - Returns the evorenders root directory
+ * @param {number} [options.pollInterval] - Milliseconds between genomes.sqlite checks (0 disables)
+ * @returns {Object} Event hub API
+ */
+function createEventHub({ getRuns, getEvorenderDirectory, pollInterval = 5000 }) {
+  const clients = new Set(); // { res, folderName, types }
+  const history = [];
+  const genomeDbSnapshots = new Map(); // folderName -> mtimeMs of genomes.sqlite (+ WAL)
+  const renderWatchers = new Map(); // directory -> watcher
+  const pendingRenders = new Map(); // WAV path -> debounce timeout
+
+  let nextEventId = 1;
+  let heartbeatTimer = null;
+  let pollTimer = null;
+  let polling = false;
+  let watchedRenderDirectory = null;
+
+  function formatEvent(event) {
+    return `id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`;
+  }
+
+  function wantsEvent(client, event) {
+    if (client.folderName && client.folderName !== event.folderName) return false;
+    if (client.types && !client.types.includes(event.type)) return false;
+    return true;
+  }
+
+  /**
+   * Send an event to all clients subscribed to it
+   * @param {Object} event - { type, folderName, ...details }
+   * @returns {Object} The event as sent (with id and timestamp)
+   */
+  function publish({ type, folderName, ...details }) {
+    const event = {
+      id: nextEventId++,
+      type,
+      folderName,
+      timestamp: new Date().toISOString(),
+      ...details
+    };
+
+    history.push(event);
+    if (history.length > HISTORY_SIZE) history.shift();
+
+    const message = formatEvent(event);
+    for (const client of clients) {
+      if (wantsEvent(client, event)) {
+        client.res.write(message);
+      }
+    }
+    return event;
+  }
+
+  // --- genomes.sqlite growth ---
+
+  // Runs to check: all of them if any client listens to every run, else the subscribed ones
+  function getPolledRuns() {
+    const runs = getRuns();
+    const folderNames = new Set();
+    for (const client of clients) {
+      if (client.types && !client.types.includes('genomes-updated')) continue;
+      if (!client.folderName) return runs;
+      folderNames.add(client.folderName);
+    }
+    return runs.filter(run => folderNames.has(run.folderName));
+  }
+
+  async function pollGenomeDbs() {
+    if (polling) return;
+    polling = true;
+    try {
+      const runs = getPolledRuns();
+      const polled = new Set();
+      for (const run of runs) {
+        polled.add(run.folderName);
+        const mtimeMs = getDbMtimeMs(path.join(run.fullPath, 'genomes.sqlite'));
+        const previous = genomeDbSnapshots.get(run.folderName);
+        genomeDbSnapshots.set(run.folderName, mtimeMs);
+        // The first check of a run only records its state
+        if (previous !== undefined && mtimeMs !== null && mtimeMs !== previous) {
+          publish({ type: 'genomes-updated', folderName: run.folderName });
+        }
+      }
+      for (const folderName of Array.from(genomeDbSnapshots.keys())) {
+        if (!polled.has(folderName)) genomeDbSnapshots.delete(folderName);
+      }
+    } catch (error) {
+      console.warn('Could not check genome databases for changes:', error.message);
+    } finally {
+      polling = false;
+    }
+  }
+
+  // --- New renders ---
+
+  function scheduleRenderCheck(folderName, wavPath) {
+    clearTimeout(pendingRenders.get(wavPath));
+    pendingRenders.set(wavPath, setTimeout(async () => {
+      pendingRenders.delete(wavPath);
+      try {
+        const stats = await fs.stat(wavPath);
+        if (!stats.isFile()) return;
+        publish({
+          type: 'render-added',
+          folderName,
+          fileName: path.basename(wavPath),
+          parameters: parseRenderFileName(path.basename(wavPath))
+        });
+      } catch (error) {
+        // Removed again (or renamed away) before the check
+      }
+    }, RENDER_DEBOUNCE));
+  }
+
+  function watchDirectory(dir, onEvent) {
+    if (renderWatchers.has(dir)) return;
+    try {
+      const watcher = fsSync.watch(dir, { persistent: false }, (eventType, fileName) => {
+        if (eventType === 'rename' && fileName) onEvent(fileName.toString());
+      });
+      watcher.on('error', error => {
+        console.warn(`Evorender watcher error for ${dir}:`, error.message);
+        watcher.close();
+        renderWatchers.delete(dir);
+      });
+      renderWatchers.set(dir, watcher);
+    } catch (error) {
+      console.warn(`Could not watch evorender directory ${dir}:`, error.message);
+    }
+  }
+
+  function watchRenderFolder(folderDir, reportExisting) {
+    const folderName = path.basename(folderDir);
+    watchDirectory(folderDir, fileName => {
+      if (fileName.endsWith('.wav')) {
+        scheduleRenderCheck(folderName, path.join(folderDir, fileName));
+      }
+    });
+    if (reportExisting) {
+      // Renders written before the watcher was in place
+      fs.readdir(folderDir).then(fileNames => {
+        for (const fileName of fileNames) {
+          if (fileName.endsWith('.wav')) scheduleRenderCheck(folderName, path.join(folderDir, fileName));
+        }
+      }).catch(() => {});
+    }
+  }
+
+  async function startRenderWatch() {
+    const renderDir = getEvorenderDirectory();
+    if (!renderDir || watchedRenderDirectory === renderDir) return;
+    stopRenderWatch();
+    watchedRenderDirectory = renderDir;
+
+    watchDirectory(renderDir, name => {
+      const folderDir = path.join(renderDir, name);
+      fs.stat(folderDir).then(stats => {
+        if (stats.isDirectory() && watchedRenderDirectory === renderDir) {
+          watchRenderFolder(folderDir, true);
+        }
+      }, () => {
+        // Folder removed
+        const watcher = renderWatchers.get(folderDir);
+        if (watcher) {
+          watcher.close();
+          renderWatchers.delete(folderDir);
+        }
+      });
+    });
+
+    try {
+      const entries = await fs.readdir(renderDir, { withFileTypes: true });
+      for (const entry of entries) {
+        if (entry.isDirectory() && watchedRenderDirectory === renderDir) {
+          watchRenderFolder(path.join(renderDir, entry.name), false);
+        }
+      }
+    } catch (error) {
+      console.warn(`Could not read evorender directory ${renderDir}:`, error.message);
+    }
+  }
+
+  function stopRenderWatch() {
+    for (const watcher of renderWatchers.values()) watcher.close();
+    renderWatchers.clear();
+    for (const timeout of pendingRenders.values()) clearTimeout(timeout);
+    pendingRenders.clear();
+    watchedRenderDirectory = null;
+  }
+
+  // --- Monitoring lifecycle: only while clients are connected ---
+
+  function startMonitoring() {
+    heartbeatTimer = setInterval(() => {
+      for (const client of clients) client.res.write(': keep-alive\n\n');
+    }, HEARTBEAT_INTERVAL);
+    heartbeatTimer.unref();
+
+    if (pollInterval > 0) {
+      pollGenomeDbs();
+      pollTimer = setInterval(pollGenomeDbs, pollInterval);
+      pollTimer.unref();
+    }
+
+    startRenderWatch();
+  }
+
+  function stopMonitoring() {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+    clearInterval(pollTimer);
+    pollTimer = null;
+    genomeDbSnapshots.clear();
+    stopRenderWatch();
+  }
+
+  return {
+    publish,
+
+    /**
+     * Stream events to an HTTP response until the client disconnects
+     * @param {Request} req - Request (for the Last-Event-ID header and close detection)
+     * @param {Response} res - Response to write the event stream to
+     * @param {Object} [filter]
+     * @param {string} [filter.folderName] - Only events of this run
+     * @param {string[]} [filter.types] - Only events of these types
+     */
+    addClient(req, res, { folderName = null, types = null } = {}) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+      });
+      res.write('retry: 5000\n\n');
+
+      const client = { res, folderName, types };
+
+      // Replay what a reconnecting client missed
+      const lastEventId = parseInt(req.headers['last-event-id']);
+      if (!isNaN(lastEventId)) {
+        for (const event of history) {
+          if (event.id > lastEventId && wantsEvent(client, event)) {
+            res.write(formatEvent(event));
+          }
+        }
+      }
+
+      clients.add(client);
+      if (clients.size === 1) {
+        startMonitoring();
+      }
+
+      req.on('close', () => {
+        clients.delete(client);
+        if (clients.size === 0) {
+          stopMonitoring();
+        }
+      });
+    },
+
+    /**
+     * Pick up a changed evorenders directory (e.g. after a configuration update)
+     */
+    refreshRenderWatch() {
+      if (clients.size > 0) {
+        startRenderWatch();
+      }
+    },
+
+    stop() {
+      for (const client of clients) client.res.end();
+      clients.clear();
+      stopMonitoring();
+    },
+
+    stats() {
+      return {
+        clients: clients.size,
+        watchedRenderDirectories: renderWatchers.size,
+        polledRuns: genomeDbSnapshots.size,
+        lastEventId: nextEventId - 1
+      };
+    }
+  };
+}
+
+module.exports = {
+  createEventHub
+};
@@ -0,0 +1,477 @@
+// evorun-index.js - In-memory index of evorun folders for the evorun browser server
+// Maps folderName (and evorun name without the ULID prefix) to the full path on disk,
+// so lookups don't require a recursive walk of the evoruns volume on every request
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+// Evorun folders start with a ULID followed by an underscore
+const EVORUN_FOLDER_PATTERN = /^[0-9A-Z]{26}_/;
+
+const WATCH_DEBOUNCE = 500; // ms
+const PERSIST_DEBOUNCE = 5000; // ms
+
+// Helper function to extract evorun name from folder name
+function extractEvorunName(folderName) {
+  // Split by underscore and remove the first part (ULID)
+  const parts = folderName.split('_');
+  if (parts.length < 2) {
+    return folderName; // Return as-is if no underscore found
+  }
+  return parts.slice(1).join('_');
+}
+
+function isEvorunFolderName(name) {
+  // Skip folders with "_failed-genes" suffix
+  return EVORUN_FOLDER_PATTERN.test(name) && !name.endsWith('_failed-genes');
+}
+
+/**
+ * Scan a directory recursively for evorun folders
+ * @param {string} rootDir - Directory to scan
+ * @param {Function} [onContainerDirectory] - Called with each non-evorun directory visited
+ * @returns {Promise<Array>} Evorun folders found ({ fullPath, folderName, relativePath })
+ */
+async function scanEvorunDirectories(rootDir, onContainerDirectory) {
+  const evorunFolders = [];
+
+  async function scanDirectory(currentDir) {
+    try {
+      const entries = await fs.readdir(currentDir, { withFileTypes: true });
+      if (onContainerDirectory) onContainerDirectory(currentDir);
+
+      for (const entry of entries) {
+        // Hidden directories (e.g. in-progress sync uploads) never hold evoruns
+        if (entry.isDirectory() && !entry.name.startsWith('.')) {
+          const fullPath = path.join(currentDir, entry.name);
+
+          // Check if this directory name looks like an evorun (starts with ULID)
+          if (EVORUN_FOLDER_PATTERN.test(entry.name)) {
+            if (isEvorunFolderName(entry.name)) {
+              evorunFolders.push({
+                fullPath,
+                folderName: entry.name,
+                relativePath: path.relative(rootDir, fullPath)
+              });
+            }
+          } else {
+            // Recursively scan subdirectories
+            await scanDirectory(fullPath);
+          }
+        }
+      }
+    } catch (error) {
+      console.warn(`Could not scan directory ${currentDir}:`, error.message);
+    }
+  }
+
+  await scanDirectory(rootDir);
+  return evorunFolders;
+}
+
+/**
+ * Create an index of evorun folders across a set of search directories.
+ *
+ * The index is built by a full scan on start(), kept current by watching the
+ * non-evorun (container) directories of each tree, and reconciled against a
+ * full rescan at a fixed interval to catch anything the watchers missed.
+ *
+ * @param {Object} options
+ * @param {Function} options.getSearchDirs - Returns [{ dir, source }] to index ('root', 'sync')
+ * @param {string} [options.persistPath] - JSON file to load the index from at startup and save it to
+ * @param {number} [options.reconcileInterval] - Milliseconds between full rescans (0 disables)
+ * @param {Function} [options.onChange] - Called with ('added' | 'removed', entry) when an evorun
+ *   appears or disappears after the initial build
+ * @returns {Object} Index API
+ */
+function createEvorunIndex({ getSearchDirs, persistPath = null, reconcileInterval = 0, onChange = null }) {
+  const byFolderName = new Map(); // folderName -> entry
+  const byEvorunName = new Map(); // evorun name without ULID -> Set of folderNames
+  const watchers = new Map(); // container directory -> { watcher, baseDir, source }
+  const pendingRescans = new Map(); // changed path -> debounce timeout
+
+  let buildPromise = null;
+  let blockingPromise = null;
+  let reconcileTimer = null;
+  let persistTimer = null;
+  let lastBuiltAt = null;
+  let started = false;
+
+  function makeEntry(fullPath, baseDir, source) {
+    const folderName = path.basename(fullPath);
+    return {
+      folderName,
+      ulid: folderName.substring(0, 26),
+      evorunName: extractEvorunName(folderName),
+      fullPath,
+      relativePath: path.relative(baseDir, fullPath),
+      source
+    };
+  }
+
+  function addEntry(entry) {
+    const existing = byFolderName.get(entry.folderName);
+    if (existing && existing.fullPath === entry.fullPath && existing.source === entry.source) {
+      return false;
+    }
+    byFolderName.set(entry.folderName, entry);
+    if (!byEvorunName.has(entry.evorunName)) {
+      byEvorunName.set(entry.evorunName, new Set());
+    }
+    byEvorunName.get(entry.evorunName).add(entry.folderName);
+    schedulePersist();
+    if (!existing) notifyChange('added', entry);
+    return true;
+  }
+
+  // Whether an entry for the same folder name from an earlier search directory takes
+  // precedence over this one, as in build()
+  function isShadowed(entry) {
+    const existing = byFolderName.get(entry.folderName);
+    if (!existing || existing.fullPath === entry.fullPath) return false;
+    const sources = getSearchDirs().map(({ source }) => source);
+    const existingRank = sources.indexOf(existing.source);
+    return existingRank !== -1 && existingRank < sources.indexOf(entry.source);
+  }
+
+  function removeEntry(folderName) {
+    const entry = byFolderName.get(folderName);
+    if (!entry) return false;
+    byFolderName.delete(folderName);
+    const names = byEvorunName.get(entry.evorunName);
+    if (names) {
+      names.delete(folderName);
+      if (names.size === 0) byEvorunName.delete(entry.evorunName);
+    }
+    schedulePersist();
+    notifyChange('removed', entry);
+    return true;
+  }
+
+  function notifyChange(type, entry) {
+    // Loading and building the initial index is not a change
+    if (!onChange || lastBuiltAt === null) return;
+    try {
+      onChange(type, entry);
+    } catch (error) {
+      console.warn('Evorun index change listener failed:', error.message);
+    }
+  }
+
+  function schedulePersist() {
+    if (!persistPath || persistTimer) return;
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      persist().catch(error => console.warn('Could not persist evorun index:', error.message));
+    }, PERSIST_DEBOUNCE);
+  }
+
+  async function persist() {
+    if (!persistPath) return;
+    const data = {
+      savedAt: new Date().toISOString(),
+      entries: Array.from(byFolderName.values())
+    };
+    // Write to a temporary file first so a crash never leaves a truncated index
+    const tmpPath = `${persistPath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data));
+    await fs.rename(tmpPath, persistPath);
+  }
+
+  async function loadPersisted() {
+    if (!persistPath) return 0;
+    try {
+      const data = JSON.parse(await fs.readFile(persistPath, 'utf8'));
+      for (const entry of data.entries || []) {
+        addEntry(entry);
+      }
+      console.log(`Loaded ${byFolderName.size} evoruns from persisted index ${persistPath}`);
+      return byFolderName.size;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not load persisted evorun index ${persistPath}:`, error.message);
+      }
+      return 0;
+    }
+  }
+
+  function watchContainer(dir, baseDir, source) {
+    if (watchers.has(dir)) return;
+    try {
+      const watcher = fsSync.watch(dir, { persistent: false }, (eventType, fileName) => {
+        scheduleRescan(dir, fileName);
+      });
+      watcher.on('error', error => {
+        console.warn(`Evorun index watcher error for ${dir}:`, error.message);
+        unwatchContainer(dir);
+      });
+      watchers.set(dir, { watcher, baseDir, source });
+    } catch (error) {
+      // Watch limits (ENOSPC) etc. - periodic reconciliation still covers this directory
+      console.warn(`Could not watch directory ${dir}:`, error.message);
+    }
+  }
+
+  function unwatchContainer(dir) {
+    const entry = watchers.get(dir);
+    if (!entry) return;
+    entry.watcher.close();
+    watchers.delete(dir);
+  }
+
+  function scheduleRescan(dir, fileName) {
+    // Without a file name we can't tell what changed, so rescan the whole container
+    const target = fileName ? path.join(dir, fileName.toString()) : dir;
+    clearTimeout(pendingRescans.get(target));
+    pendingRescans.set(target, setTimeout(() => {
+      pendingRescans.delete(target);
+      rescanPath(dir, target).catch(error => {
+        console.warn(`Could not rescan ${target}:`, error.message);
+      });
+    }, WATCH_DEBOUNCE));
+  }
+
+  // Bring the index up to date for one path below a watched container directory
+  async function rescanPath(containerDir, target) {
+    const watched = watchers.get(containerDir);
+    if (!watched) return;
+    const { baseDir, source } = watched;
+    const name = path.basename(target);
+    if (target !== containerDir && name.startsWith('.')) return;
+
+    let stats = null;
+    try {
+      stats = await fs.stat(target);
+    } catch {
+      // Removed (or renamed away)
+    }
+
+    if (target !== containerDir && EVORUN_FOLDER_PATTERN.test(name)) {
+      if (stats && stats.isDirectory() && isEvorunFolderName(name)) {
+        const entry = makeEntry(target, baseDir, source);
+        if (!isShadowed(entry) && addEntry(entry)) {
+          console.log(`Evorun index: added ${name}`);
+        }
+      } else {
+        const entry = byFolderName.get(name);
+        if (entry && entry.fullPath === target && removeEntry(name)) {
+          console.log(`Evorun index: removed ${name}`);
+        }
+      }
+      return;
+    }
+
+    if (stats && !stats.isDirectory()) return; // Plain files don't affect the index
+
+    const prefix = target + path.sep;
+    const isUnder = p => p.startsWith(prefix);
+    const containers = new Set();
+    const foundPaths = new Set();
+
+    if (stats) {
+      const found = await scanEvorunDirectories(target, dir => containers.add(dir));
+      for (const folder of found) {
+        const entry = makeEntry(folder.fullPath, baseDir, source);
+        foundPaths.add(entry.fullPath);
+        if (!isShadowed(entry) && addEntry(entry)) {
+          console.log(`Evorun index: added ${entry.folderName}`);
+        }
+      }
+    }
+    for (const entry of Array.from(byFolderName.values())) {
+      if (isUnder(entry.fullPath) && !foundPaths.has(entry.fullPath)) {
+        removeEntry(entry.folderName);
+        console.log(`Evorun index: removed ${entry.folderName}`);
+      }
+    }
+    for (const watchedDir of Array.from(watchers.keys())) {
+      if ((watchedDir === target || isUnder(watchedDir)) && !containers.has(watchedDir)) {
+        unwatchContainer(watchedDir);
+      }
+    }
+    for (const dir of containers) {
+      watchContainer(dir, baseDir, source);
+    }
+  }
+
+  // Full scan of all search directories, replacing the index contents
+  async function build() {
+    const startTime = Date.now();
+    const entries = [];
+    const containers = [];
+
+    for (const { dir, source } of getSearchDirs()) {
+      try {
+        await fs.access(dir);
+      } catch {
+        continue; // Directory doesn't exist (yet), skip
+      }
+      const folders = await scanEvorunDirectories(dir, containerDir => {
+        containers.push({ containerDir, baseDir: dir, source });
+      });
+      for (const folder of folders) {
+        entries.push(makeEntry(folder.fullPath, dir, source));
+      }
+    }
+
+    // Earlier search directories take precedence when a folder name occurs twice
+    const seen = new Set();
+    const current = new Set();
+    for (const entry of entries) {
+      if (seen.has(entry.folderName)) continue;
+      seen.add(entry.folderName);
+      addEntry(entry);
+      current.add(entry.folderName);
+    }
+    for (const folderName of Array.from(byFolderName.keys())) {
+      if (!current.has(folderName)) removeEntry(folderName);
+    }
+
+    const containerDirs = new Set(containers.map(c => c.containerDir));
+    for (const watchedDir of Array.from(watchers.keys())) {
+      if (!containerDirs.has(watchedDir)) unwatchContainer(watchedDir);
+    }
+    if (started) {
+      for (const { containerDir, baseDir, source } of containers) {
+        watchContainer(containerDir, baseDir, source);
+      }
+    }
+
+    lastBuiltAt = new Date();
+    console.log(`Evorun index built: ${byFolderName.size} evoruns in ${Date.now() - startTime} ms`);
+    return byFolderName.size;
+  }
+
+  /**
+   * Rescan all search directories. With blocking set, ready() waits for this
+   * rebuild (e.g. when the root directory changed and the index is invalid);
+   * periodic reconciliation doesn't block lookups.
+   */
+  function rebuild({ blocking = false } = {}) {
+    // Coalesce concurrent rebuild requests into the one already running, unless the
+    // caller needs a scan that starts after its change (a running one may predate it)
+    if (!buildPromise || blocking) {
+      const previous = buildPromise || Promise.resolve();
+      const current = previous.catch(() => {}).then(build).finally(() => {
+        if (buildPromise === current) buildPromise = null;
+      });
+      buildPromise = current;
+    }
+    if (blocking) {
+      blockingPromise = buildPromise.finally(() => {
+        blockingPromise = null;
+      });
+    }
+    return buildPromise;
+  }
+
+  return {
+    /**
+     * Load the persisted index (if any), then build it from disk and start watching.
+     * Resolves once the initial build is complete.
+     */
+    async start() {
+      started = true;
+      const initial = loadPersisted().then(loaded => {
+        const initialBuild = rebuild();
+        // Serve lookups from the persisted index while the fresh build runs
+        return loaded > 0 ? null : initialBuild;
+      });
+      blockingPromise = initial.finally(() => {
+        blockingPromise = null;
+      });
+      await initial;
+      if (reconcileInterval > 0) {
+        reconcileTimer = setInterval(() => {
+          rebuild().catch(error => console.warn('Evorun index reconciliation failed:', error.message));
+        }, reconcileInterval);
+        reconcileTimer.unref();
+      }
+      return buildPromise;
+    },
+
+    stop() {
+      started = false;
+      clearInterval(reconcileTimer);
+      reconcileTimer = null;
+      for (const timeout of pendingRescans.values()) clearTimeout(timeout);
+      pendingRescans.clear();
+      for (const dir of Array.from(watchers.keys())) unwatchContainer(dir);
+      if (persistTimer) {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+        return persist();
+      }
+      return Promise.resolve();
+    },
+
+    rebuild,
+
+    /**
+     * Wait until the index can serve lookups (initial load, or a blocking rebuild)
+     */
+    async ready() {
+      if (blockingPromise) await blockingPromise;
+    },
+
+    /**
+     * Look up an evorun by its full folder name, or by the evorun name without the ULID prefix.
+     * When several runs share an evorun name, the most recent (highest ULID) is returned.
+     * @param {string} name - Folder name or evorun name
+     * @returns {Object|null} Index entry ({ folderName, ulid, evorunName, fullPath, relativePath, source })
+     */
+    lookup(name) {
+      const entry = byFolderName.get(name);
+      if (entry) return entry;
+      const folderNames = byEvorunName.get(name);
+      if (!folderNames || folderNames.size === 0) return null;
+      const latest = Array.from(folderNames).sort().pop();
+      return byFolderName.get(latest) || null;
+    },
+
+    /**
+     * Add (or update) a single evorun folder, e.g. right after it was created through the sync API.
+     * Folders not named like an evorun are ignored, and a folder of the same name in an earlier
+     * search directory keeps precedence.
+     * @returns {boolean} Whether the index changed
+     */
+    add(fullPath, source) {
+      if (!isEvorunFolderName(path.basename(fullPath))) return false;
+      const match = getSearchDirs().find(({ dir }) => fullPath.startsWith(dir + path.sep));
+      const baseDir = match ? match.dir : path.dirname(fullPath);
+      const entry = makeEntry(fullPath, baseDir, source || (match && match.source) || 'root');
+      if (isShadowed(entry)) return false;
+      return addEntry(entry);
+    },
+
+    remove(folderName) {
+      return removeEntry(folderName);
+    },
+
+    list() {
+      return Array.from(byFolderName.values());
+    },
+
+    get size() {
+      return byFolderName.size;
+    },
+
+    stats() {
+      return {
+        evoruns: byFolderName.size,
+        watchedDirectories: watchers.size,
+        lastBuiltAt: lastBuiltAt ? lastBuiltAt.toISOString() : null,
+        building: buildPromise !== null,
+        persistPath
+      };
+    }
+  };
+}
+
+module.exports = {
+  createEvorunIndex,
+  scanEvorunDirectories,
+  extractEvorunName,
+  isEvorunFolderName
+};
@@ -0,0 +1,464 @@
+// evorun-lifecycle.js - Archive, restore, rename and (soft-)delete evorun directories
+// Archived runs are compressed to <folderName>.tar.gz in the archive directory; deleted runs
+// are moved to a trash directory and purged after a retention period. Each archived or
+// trashed run has a <folderName>.json next to it recording where it came from. A run's
+// evorender folder goes with it, as <folderName>.renders.tar.gz or <folderName>.renders.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { spawn } = require('child_process');
+const { RENAME_HISTORY_FILE_NAME } = require('./evorun-elites');
+
+const ARCHIVE_EXTENSION = '.tar.gz';
+const METADATA_EXTENSION = '.json';
+const RENDERS_SUFFIX = '.renders';
+
+// Run tar with an argument list (no shell)
+function runTar(args) {
+  return new Promise((resolve, reject) => {
+    const tarProcess = spawn('tar', args);
+    let errorData = '';
+
+    tarProcess.stderr.on('data', chunk => {
+      errorData += chunk.toString();
+    });
+    tarProcess.on('close', code => {
+      if (code > 0) {
+        return reject(new Error(`${errorData.trim()} (Failed: tar ${args.join(' ')})`));
+      }
+      resolve();
+    });
+    tarProcess.on('error', reject);
+  });
+}
+
+/**
+ * Whether a folder name is a single path segment that can't leave the directory it is joined to
+ * (folder names come from URLs, where Express decodes %2F, and from metadata files)
+ * @param {string} folderName
+ * @returns {boolean}
+ */
+function isSafeFolderName(folderName) {
+  return typeof folderName === 'string'
+    && folderName.length > 0
+    && folderName === path.basename(folderName)
+    && !folderName.includes('..')
+    && !/[\/\\\0]/.test(folderName);
+}
+
+// Path of a file directly inside dir, or null if the name is unsafe or would resolve elsewhere
+function resolveInside(dir, fileName) {
+  if (!isSafeFolderName(fileName)) return null;
+  const resolvedDir = path.resolve(dir);
+  const resolvedPath = path.resolve(resolvedDir, fileName);
+  return path.dirname(resolvedPath) === resolvedDir ? resolvedPath : null;
+}
+
+async function pathExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Compress a directory to a temporary file first, so a failed run never leaves a truncated archive
+async function compressDirectory(sourcePath, archivePath) {
+  const tmpPath = path.join(path.dirname(archivePath), `.${path.basename(archivePath)}.tmp`);
+  try {
+    await runTar(['-czf', tmpPath, '-C', path.dirname(sourcePath), path.basename(sourcePath)]);
+    await fs.rename(tmpPath, archivePath);
+  } catch (error) {
+    await fs.rm(tmpPath, { force: true });
+    throw error;
+  }
+}
+
+// Rename, falling back to copy and remove when source and target are on different filesystems
+async function moveDirectory(source, target) {
+  try {
+    await fs.rename(source, target);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.cp(source, target, { recursive: true, preserveTimestamps: true });
+    await fs.rm(source, { recursive: true, force: true });
+  }
+}
+
+async function readMetadata(metadataPath) {
+  try {
+    return JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Metadata of all archived or trashed runs in a directory
+async function listMetadata(dir) {
+  let fileNames;
+  try {
+    fileNames = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const items = [];
+  for (const fileName of fileNames) {
+    if (!fileName.endsWith(METADATA_EXTENSION) || fileName.startsWith('.')) continue;
+    try {
+      const metadata = await readMetadata(path.join(dir, fileName));
+      if (metadata) items.push(metadata);
+    } catch (error) {
+      console.warn(`Could not read ${path.join(dir, fileName)}:`, error.message);
+    }
+  }
+  return items.sort((a, b) => a.folderName.localeCompare(b.folderName));
+}
+
+/**
+ * Create the run lifecycle operations.
+ *
+ * Operations return { status, ... } where status is the outcome ('archived', 'restored',
+ * 'renamed', 'deleted', 'purged') or why nothing was done: 'not-found', 'exists' (the target
+ * is taken), 'busy' (another operation on the run is in progress) or 'invalid' (a folder name
+ * that is not a single safe path segment). Nothing is removed, moved or extracted outside the
+ * archive, trash and run directories.
+ *
+ * @param {Object} options
+ * @param {Object} options.index - Evorun index to keep current (createEvorunIndex)
+ * @param {Function} options.getSearchDirs - Returns [{ dir, source }], as for the index
+ * @param {Function} options.getArchiveDirectory - Returns the archive directory, or null if not configured
+ * @param {Function} options.getTrashDirectory - Returns the trash directory
+ * @param {Function} options.getEvorenderDirectory - Returns the evorenders root directory
+ * @param {number} options.trashRetention - Milliseconds a deleted run is kept in the trash
+ * @param {Function} options.releaseRun - Called with a run path before its directory is moved,
+ *   to close open database connections and drop data cached for it
+ * @returns {Object} Lifecycle API
+ */
+function createRunLifecycle({
+  index,
+  getSearchDirs,
+  getArchiveDirectory,
+  getTrashDirectory,
+  getEvorenderDirectory,
+  trashRetention,
+  releaseRun
+}) {
+  const busy = new Set(); // folderNames with an operation in progress
+
+  async function exclusive(folderName, operation) {
+    if (busy.has(folderName)) return { status: 'busy' };
+    busy.add(folderName);
+    try {
+      return await operation();
+    } finally {
+      busy.delete(folderName);
+    }
+  }
+
+  function getBaseDir(source) {
+    const searchDir = getSearchDirs().find(dir => dir.source === source);
+    return searchDir ? searchDir.dir : null;
+  }
+
+  // Where a run taken out of the index goes back to; null if its source is no longer configured
+  function resolveRestorePath(metadata) {
+    const baseDir = getBaseDir(metadata.source);
+    if (!baseDir) return null;
+    const targetPath = path.resolve(baseDir, metadata.relativePath);
+    if (!targetPath.startsWith(path.resolve(baseDir) + path.sep) || path.basename(targetPath) !== metadata.folderName) {
+      return null;
+    }
+    return targetPath;
+  }
+
+  // Evorender folder of a run, or null if the name is unsafe
+  function resolveRenderPath(folderName) {
+    return resolveInside(getEvorenderDirectory(), folderName);
+  }
+
+  function describeEntry(entry, extra) {
+    return {
+      folderName: entry.folderName,
+      relativePath: entry.relativePath,
+      source: entry.source,
+      ...extra
+    };
+  }
+
+  return {
+    /**
+     * Compress a run into the archive directory and remove it from the index
+     * @param {Object} entry - Index entry of the run
+     */
+    archive(entry) {
+      return exclusive(entry.folderName, async () => {
+        const archiveDir = getArchiveDirectory();
+        const archivePath = resolveInside(archiveDir, entry.folderName + ARCHIVE_EXTENSION);
+        const metadataPath = resolveInside(archiveDir, entry.folderName + METADATA_EXTENSION);
+        const renderArchivePath = resolveInside(archiveDir, entry.folderName + RENDERS_SUFFIX + ARCHIVE_EXTENSION);
+        const renderPath = resolveRenderPath(entry.folderName);
+        if (!archivePath || !metadataPath || !renderArchivePath || !renderPath) return { status: 'invalid' };
+        if (await pathExists(archivePath)) return { status: 'exists', archivePath };
+        if (await pathExists(renderArchivePath)) return { status: 'exists', archivePath: renderArchivePath };
+        const hasRenders = await pathExists(renderPath);
+
+        releaseRun(entry.fullPath);
+        await fs.mkdir(archiveDir, { recursive: true });
+
+        await compressDirectory(entry.fullPath, archivePath);
+        if (hasRenders) {
+          try {
+            await compressDirectory(renderPath, renderArchivePath);
+          } catch (error) {
+            await fs.rm(archivePath, { force: true });
+            throw error;
+          }
+        }
+
+        const metadata = describeEntry(entry, {
+          archivedAt: new Date().toISOString(),
+          sizeBytes: (await fs.stat(archivePath)).size,
+          hasRenders,
+          renderSizeBytes: hasRenders ? (await fs.stat(renderArchivePath)).size : 0
+        });
+        await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+
+        await fs.rm(entry.fullPath, { recursive: true, force: true });
+        if (hasRenders) {
+          await fs.rm(renderPath, { recursive: true, force: true });
+        }
+        index.remove(entry.folderName);
+        return { status: 'archived', ...metadata };
+      });
+    },
+
+    /**
+     * Archived runs (empty if no archive directory is configured)
+     */
+    async listArchived() {
+      const archiveDir = getArchiveDirectory();
+      return archiveDir ? listMetadata(archiveDir) : [];
+    },
+
+    /**
+     * Extract an archived run back to where it was archived from and add it to the index
+     * @param {string} folderName
+     */
+    restoreArchived(folderName) {
+      return exclusive(folderName, async () => {
+        const archiveDir = getArchiveDirectory();
+        const archivePath = resolveInside(archiveDir, folderName + ARCHIVE_EXTENSION);
+        const metadataPath = resolveInside(archiveDir, folderName + METADATA_EXTENSION);
+        if (!archivePath || !metadataPath) return { status: 'invalid' };
+        const metadata = await readMetadata(metadataPath);
+        if (!metadata || !(await pathExists(archivePath))) return { status: 'not-found' };
+
+        const targetPath = resolveRestorePath(metadata);
+        if (!targetPath) return { status: 'not-found', reason: `Source directory not configured: ${metadata.source}` };
+        if (index.lookup(folderName) || await pathExists(targetPath)) return { status: 'exists', targetPath };
+        const renderArchivePath = resolveInside(archiveDir, folderName + RENDERS_SUFFIX + ARCHIVE_EXTENSION);
+        const renderPath = resolveRenderPath(folderName);
+        const hasRenders = metadata.hasRenders && await pathExists(renderArchivePath);
+        if (hasRenders && await pathExists(renderPath)) return { status: 'exists', targetPath: renderPath };
+
+        await fs.mkdir(path.dirname(targetPath), { recursive: true });
+        try {
+          await runTar(['-xzf', archivePath, '-C', path.dirname(targetPath)]);
+          if (hasRenders) {
+            await fs.mkdir(path.dirname(renderPath), { recursive: true });
+            await runTar(['-xzf', renderArchivePath, '-C', path.dirname(renderPath)]);
+          }
+        } catch (error) {
+          await fs.rm(targetPath, { recursive: true, force: true });
+          if (hasRenders) {
+            await fs.rm(renderPath, { recursive: true, force: true });
+          }
+          throw error;
+        }
+
+        await fs.rm(archivePath, { force: true });
+        await fs.rm(renderArchivePath, { force: true });
+        await fs.rm(metadataPath, { force: true });
+        index.add(targetPath, metadata.source);
+        return { status: 'restored', ...metadata, restoredAt: new Date().toISOString() };
+      });
+    },
+
+    /**
+     * Rename a run, keeping its ULID. Its evorender folder (if any) is renamed with it, and the
+     * original folder name is recorded in the run so its elite maps can still be found.
+     * @param {Object} entry - Index entry of the run
+     * @param {string} newFolderName - New folder name (same ULID prefix)
+     */
+    rename(entry, newFolderName) {
+      return exclusive(entry.folderName, async () => {
+        if (!isSafeFolderName(newFolderName)) return { status: 'invalid' };
+        const targetPath = path.join(path.dirname(entry.fullPath), newFolderName);
+        if (index.lookup(newFolderName) || await pathExists(targetPath)) return { status: 'exists', targetPath };
+
+        const renderDir = getEvorenderDirectory();
+        const renderPath = path.join(renderDir, entry.folderName);
+        const newRenderPath = path.join(renderDir, newFolderName);
+        const hasRenders = await pathExists(renderPath);
+        if (hasRenders && await pathExists(newRenderPath)) return { status: 'exists', targetPath: newRenderPath };
+
+        const historyPath = path.join(entry.fullPath, RENAME_HISTORY_FILE_NAME);
+        const history = (await readMetadata(historyPath)) || { originalFolderName: entry.folderName, renames: [] };
+        const renamedAt = new Date().toISOString();
+        history.renames.push({ from: entry.folderName, to: newFolderName, renamedAt });
+
+        releaseRun(entry.fullPath);
+        await fs.rename(entry.fullPath, targetPath);
+
+        // The history is only written once everything is renamed, and a failed step undoes the
+        // earlier ones, so a run is never left half renamed or with a rename that didn't happen
+        const undo = [() => fs.rename(targetPath, entry.fullPath)];
+        try {
+          if (hasRenders) {
+            await fs.rename(renderPath, newRenderPath);
+            undo.unshift(() => fs.rename(newRenderPath, renderPath));
+          }
+          await fs.writeFile(path.join(targetPath, RENAME_HISTORY_FILE_NAME), JSON.stringify(history, null, 2));
+        } catch (error) {
+          for (const step of undo) {
+            await step().catch(undoError => {
+              console.error(`Could not undo part of renaming ${entry.folderName} to ${newFolderName}:`, undoError.message);
+            });
+          }
+          throw error;
+        }
+
+        index.remove(entry.folderName);
+        index.add(targetPath, entry.source);
+        return {
+          status: 'renamed',
+          folderName: newFolderName,
+          previousFolderName: entry.folderName,
+          originalFolderName: history.originalFolderName,
+          renamedRenders: hasRenders,
+          renamedAt
+        };
+      });
+    },
+
+    /**
+     * Move a run to the trash and remove it from the index; it is purged after the retention period
+     * @param {Object} entry - Index entry of the run
+     */
+    trash(entry) {
+      return exclusive(entry.folderName, async () => {
+        const trashDir = getTrashDirectory();
+        const trashPath = resolveInside(trashDir, entry.folderName);
+        const metadataPath = resolveInside(trashDir, entry.folderName + METADATA_EXTENSION);
+        const trashRenderPath = resolveInside(trashDir, entry.folderName + RENDERS_SUFFIX);
+        const renderPath = resolveRenderPath(entry.folderName);
+        if (!trashPath || !metadataPath || !trashRenderPath || !renderPath) return { status: 'invalid' };
+        if (await pathExists(trashPath)) return { status: 'exists', trashPath };
+        if (await pathExists(trashRenderPath)) return { status: 'exists', trashPath: trashRenderPath };
+        const hasRenders = await pathExists(renderPath);
+
+        releaseRun(entry.fullPath);
+        await fs.mkdir(trashDir, { recursive: true });
+        await moveDirectory(entry.fullPath, trashPath);
+        if (hasRenders) {
+          await moveDirectory(renderPath, trashRenderPath);
+        }
+
+        const deletedAt = new Date();
+        const metadata = describeEntry(entry, {
+          deletedAt: deletedAt.toISOString(),
+          purgeAfter: new Date(deletedAt.getTime() + trashRetention).toISOString(),
+          hasRenders
+        });
+        await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+
+        index.remove(entry.folderName);
+        return { status: 'deleted', ...metadata };
+      });
+    },
+
+    /**
+     * Runs in the trash
+     */
+    listTrash() {
+      return listMetadata(getTrashDirectory());
+    },
+
+    /**
+     * Move a run from the trash back to where it was deleted from and add it to the index
+     * @param {string} folderName
+     */
+    restoreTrashed(folderName) {
+      return exclusive(folderName, async () => {
+        const trashDir = getTrashDirectory();
+        const trashPath = resolveInside(trashDir, folderName);
+        const metadataPath = resolveInside(trashDir, folderName + METADATA_EXTENSION);
+        if (!trashPath || !metadataPath) return { status: 'invalid' };
+        const metadata = await readMetadata(metadataPath);
+        if (!metadata || !(await pathExists(trashPath))) return { status: 'not-found' };
+
+        const targetPath = resolveRestorePath(metadata);
+        if (!targetPath) return { status: 'not-found', reason: `Source directory not configured: ${metadata.source}` };
+        if (index.lookup(folderName) || await pathExists(targetPath)) return { status: 'exists', targetPath };
+        const trashRenderPath = resolveInside(trashDir, folderName + RENDERS_SUFFIX);
+        const renderPath = resolveRenderPath(folderName);
+        const hasRenders = await pathExists(trashRenderPath);
+        if (hasRenders && await pathExists(renderPath)) return { status: 'exists', targetPath: renderPath };
+
+        await fs.mkdir(path.dirname(targetPath), { recursive: true });
+        await moveDirectory(trashPath, targetPath);
+        if (hasRenders) {
+          await fs.mkdir(path.dirname(renderPath), { recursive: true });
+          await moveDirectory(trashRenderPath, renderPath);
+        }
+        await fs.rm(metadataPath, { force: true });
+
+        index.add(targetPath, metadata.source);
+        return { status: 'restored', ...metadata, restoredAt: new Date().toISOString() };
+      });
+    },
+
+    /**
+     * Permanently remove a run from the trash
+     * @param {string} folderName
+     */
+    purge(folderName) {
+      return exclusive(folderName, async () => {
+        const trashDir = getTrashDirectory();
+        const trashPath = resolveInside(trashDir, folderName);
+        const metadataPath = resolveInside(trashDir, folderName + METADATA_EXTENSION);
+        if (!trashPath || !metadataPath) return { status: 'invalid' };
+        const metadata = await readMetadata(metadataPath);
+        if (!metadata && !(await pathExists(trashPath))) return { status: 'not-found' };
+
+        await fs.rm(trashPath, { recursive: true, force: true });
+        await fs.rm(resolveInside(trashDir, folderName + RENDERS_SUFFIX), { recursive: true, force: true });
+        await fs.rm(metadataPath, { force: true });
+        return { status: 'purged', folderName };
+      });
+    },
+
+    /**
+     * Purge runs whose retention period has passed
+     * @returns {Promise<number>} Number of runs purged
+     */
+    async purgeExpired() {
+      let purged = 0;
+      for (const metadata of await this.listTrash()) {
+        if (Date.parse(metadata.purgeAfter) <= Date.now()) {
+          const result = await this.purge(metadata.folderName);
+          if (result.status === 'purged') purged++;
+        }
+      }
+      return purged;
+    }
+  };
+}
+
+module.exports = {
+  isSafeFolderName,
+  createRunLifecycle
+};
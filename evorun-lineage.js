@@ -0,0 +1,244 @@
+// evorun-lineage.js - Genome ancestry (lineage) graphs for evolutionary runs
+// Genomes record their parents in `parentGenomes` ({ genomeId, eliteClass }); ancestors are
+// walked through the genomes DB, descendants through a reverse parent index built per run
+
+const { getDbMtimeMs } = require('./evorun-db');
+
+const MAX_CACHED_INDEXES = 8;
+
+// Cache of reverse parent indexes: runPath -> { promise, mtimeMs }
+const reverseIndexCache = new Map();
+
+/**
+ * Get the parent references of a genome record
+ * @param {Object} genomeData - Decompressed genome record ({ genome: { parentGenomes } } or the genome itself)
+ * @returns {Array} [{ genomeId, eliteClass, score }]
+ */
+function getParentRefs(genomeData) {
+  if (!genomeData) return [];
+  const genome = genomeData.genome && typeof genomeData.genome === 'object' ? genomeData.genome : genomeData;
+  const parentGenomes = Array.isArray(genome.parentGenomes) ? genome.parentGenomes : [];
+
+  return parentGenomes
+    .map(parent => {
+      if (typeof parent === 'string') {
+        return { genomeId: parent, eliteClass: null, score: null };
+      }
+      if (!parent) return null;
+      const score = parent.score !== undefined ? parent.score : parent.s;
+      return {
+        genomeId: parent.genomeId || parent.id || parent._id,
+        eliteClass: parent.eliteClass !== undefined ? parent.eliteClass : null,
+        score: typeof score === 'number' ? score : null
+      };
+    })
+    .filter(parent => parent && parent.genomeId);
+}
+
+async function buildReverseIndex(db) {
+  const children = new Map(); // parent genomeId -> [{ genomeId, eliteClass }]
+  const parents = new Map(); // genomeId -> [{ genomeId, eliteClass, score }]
+  const classes = new Map(); // genomeId -> eliteClass, as recorded by its children
+  const genomeIds = [];
+
+  for await (const { id, genome } of db.iterateGenomes()) {
+    genomeIds.push(id);
+    const parentRefs = getParentRefs(genome);
+    if (parentRefs.length > 0) {
+      parents.set(id, parentRefs);
+    }
+    for (const parent of parentRefs) {
+      if (!children.has(parent.genomeId)) {
+        children.set(parent.genomeId, []);
+      }
+      children.get(parent.genomeId).push({ genomeId: id, eliteClass: parent.eliteClass });
+      if (parent.eliteClass !== null && !classes.has(parent.genomeId)) {
+        classes.set(parent.genomeId, parent.eliteClass);
+      }
+    }
+  }
+
+  return {
+    children,
+    parents,
+    classes,
+    genomeIds,
+    genomeCount: genomeIds.length,
+    builtAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Get the parent index (parent -> children and child -> parents) of a run, building it
+ * on first use by reading every genome once.
+ * The index is rebuilt when genomes.sqlite (or its WAL) has been modified since it was built.
+ * @param {string} runPath - Path to the evolution run directory (cache key)
+ * @param {Object} db - Run database API from getRunDB
+ * @returns {Promise<Object>} { children, parents, classes, genomeIds, genomeCount, builtAt }
+ */
+async function getReverseParentIndex(runPath, db) {
+  // Without a database file to check, cache without invalidation
+  const mtimeMs = getDbMtimeMs(db.genomesDbPath) || 0;
+
+  const cached = reverseIndexCache.get(runPath);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    reverseIndexCache.delete(runPath);
+    reverseIndexCache.set(runPath, cached);
+    return cached.promise;
+  }
+
+  const promise = buildReverseIndex(db);
+  reverseIndexCache.set(runPath, { promise, mtimeMs });
+  promise.then(index => {
+    console.log(`Built reverse parent index for ${runPath}: ${index.genomeCount} genomes, ${index.children.size} parents`);
+  }, () => {
+    reverseIndexCache.delete(runPath);
+  });
+
+  while (reverseIndexCache.size > MAX_CACHED_INDEXES) {
+    reverseIndexCache.delete(reverseIndexCache.keys().next().value);
+  }
+
+  return promise;
+}
+
+/**
+ * Drop the cached parent index of a run, e.g. before its directory is moved or removed
+ * @param {string} runPath - Path to the evolution run directory (cache key)
+ */
+function clearReverseParentIndex(runPath) {
+  reverseIndexCache.delete(runPath);
+}
+
+/**
+ * Build the lineage graph of a genome, breadth first, up to a depth
+ * @param {Object} db - Run database API from getRunDB
+ * @param {string} ulid - Genome to start from
+ * @param {Object} options
+ * @param {string} [options.direction] - 'ancestors' (default) or 'descendants'
+ * @param {number} [options.depth] - Number of generations to walk
+ * @param {number} [options.maxNodes] - Stop expanding once the graph has this many nodes
+ * @param {Object} [options.reverseIndex] - From getReverseParentIndex (required for descendants)
+ * @param {Map} [options.eliteInfo] - genomeId -> { eliteClass, score } of current elites, where known
+ * @returns {Promise<Object>} { nodes, edges, truncated }; nodes carry the cell and score of
+ *   the current elite map separately as currentEliteClass and currentScore
+ */
+async function buildLineageGraph(db, ulid, {
+  direction = 'ancestors',
+  depth = 10,
+  maxNodes = 5000,
+  reverseIndex = null,
+  eliteInfo = new Map()
+} = {}) {
+  const nodes = new Map(); // genomeId -> node
+  const edges = [];
+  let truncated = false;
+
+  const addNode = (genomeId, level, { eliteClass = null, score = null, found } = {}) => {
+    if (nodes.has(genomeId)) return false;
+    const elite = eliteInfo.get(genomeId);
+    const recordedClass = reverseIndex ? reverseIndex.classes.get(genomeId) : undefined;
+    const nodeClass = eliteClass !== null ? eliteClass : (elite ? elite.eliteClass : (recordedClass || null));
+    nodes.set(genomeId, {
+      id: genomeId,
+      depth: level,
+      eliteClass: nodeClass,
+      // A score from the current elite map only belongs to the class reported when it is that cell's
+      score: score !== null ? score : (elite && elite.eliteClass === nodeClass ? elite.score : null),
+      currentEliteClass: elite ? elite.eliteClass : null,
+      currentScore: elite ? elite.score : null,
+      found
+    });
+    return true;
+  };
+
+  const [root] = Object.values(await db.getBatch([ulid], { genomes: true, features: false }));
+  if (!root.genome) {
+    return null;
+  }
+  addNode(ulid, 0, { found: true });
+
+  let frontier = [{ genomeId: ulid, genome: root.genome }];
+  for (let level = 1; level <= depth && frontier.length > 0; level++) {
+    const next = [];
+
+    for (const { genomeId, genome } of frontier) {
+      const related = direction === 'descendants'
+        ? (reverseIndex.children.get(genomeId) || []).map(child => ({ ...child, score: null }))
+        : getParentRefs(genome);
+
+      for (const relative of related) {
+        if (direction === 'descendants') {
+          edges.push({ source: genomeId, target: relative.genomeId, eliteClass: relative.eliteClass });
+        } else {
+          edges.push({ source: relative.genomeId, target: genomeId, eliteClass: relative.eliteClass });
+        }
+        if (nodes.has(relative.genomeId)) continue;
+        if (nodes.size >= maxNodes) {
+          truncated = true;
+          continue;
+        }
+        // The class recorded on the ancestry edge is the class the parent was an elite in
+        addNode(relative.genomeId, level, {
+          eliteClass: direction === 'ancestors' ? relative.eliteClass : null,
+          score: relative.score
+        });
+        next.push(relative.genomeId);
+      }
+    }
+
+    // Read the next generation in one pass over the DB
+    const batch = next.length > 0 ? await db.getBatch(next, { genomes: true, features: false }) : {};
+    frontier = [];
+    for (const genomeId of next) {
+      const { genome } = batch[genomeId];
+      nodes.get(genomeId).found = !!genome;
+      if (genome || direction === 'descendants') {
+        frontier.push({ genomeId, genome });
+      }
+    }
+
+    if (level === depth && frontier.some(({ genomeId, genome }) => (
+      direction === 'descendants'
+        ? (reverseIndex.children.get(genomeId) || []).length > 0
+        : getParentRefs(genome).length > 0
+    ))) {
+      truncated = true;
+    }
+  }
+
+  // Edges to nodes left out by maxNodes are dropped
+  return {
+    nodes: Array.from(nodes.values()),
+    edges: edges.filter(edge => nodes.has(edge.source) && nodes.has(edge.target)),
+    truncated
+  };
+}
+
+/**
+ * Collect a set of genomes and all their ancestors
+ * @param {Object} index - Parent index from getReverseParentIndex
+ * @param {Iterable<string>} genomeIds - Genomes to start from
+ * @returns {Set<string>}
+ */
+function collectAncestors(index, genomeIds) {
+  const collected = new Set();
+  const stack = Array.from(genomeIds);
+  while (stack.length > 0) {
+    const genomeId = stack.pop();
+    if (collected.has(genomeId)) continue;
+    collected.add(genomeId);
+    for (const parent of index.parents.get(genomeId) || []) {
+      if (!collected.has(parent.genomeId)) stack.push(parent.genomeId);
+    }
+  }
+  return collected;
+}
+
+module.exports = {
+  getParentRefs,
+  collectAncestors,
+  getReverseParentIndex,
+  clearReverseParentIndex,
+  buildLineageGraph
+};
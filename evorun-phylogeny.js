@@ -0,0 +1,257 @@
+// evorun-phylogeny.js - Phylogeny export of evolutionary runs as Newick, GraphML or DOT
+// Built from the run's parent index (see evorun-lineage.js) and written in chunks with
+// backpressure, so that large runs stream instead of being assembled in memory
+
+const { writeWithBackpressure } = require('./evorun-streams');
+const { collectAncestors } = require('./evorun-lineage');
+
+const FORMATS = ['newick', 'graphml', 'dot'];
+
+const CONTENT_TYPES = {
+  newick: 'text/plain; charset=utf-8',
+  graphml: 'application/graphml+xml; charset=utf-8',
+  dot: 'text/vnd.graphviz; charset=utf-8'
+};
+
+const FILE_EXTENSIONS = {
+  newick: 'nwk',
+  graphml: 'graphml',
+  dot: 'dot'
+};
+
+// Output is buffered up to this many characters between writes
+const FLUSH_SIZE = 64 * 1024;
+
+function createChunkedWriter(writable) {
+  let buffer = '';
+
+  async function flush() {
+    if (buffer.length === 0) return;
+    const chunk = buffer;
+    buffer = '';
+    await writeWithBackpressure(writable, chunk);
+  }
+
+  return {
+    async write(text) {
+      buffer += text;
+      if (buffer.length >= FLUSH_SIZE) {
+        await flush();
+      }
+    },
+    flush
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeDot(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+// Newick labels containing anything other than plain word characters are quoted
+function newickLabel(value) {
+  const label = String(value);
+  return /^[A-Za-z0-9_.-]+$/.test(label) ? label : `'${label.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Select the genomes (nodes) of a phylogeny, in ID (creation) order
+ * @param {Object} index - Parent index from getReverseParentIndex
+ * @param {Object} [options]
+ * @param {Iterable<string>} [options.ancestryOf] - Restrict to these genomes and their ancestors
+ * @returns {string[]} Genome IDs, including referenced parents missing from the genomes DB
+ */
+function getPhylogenyNodeIds(index, { ancestryOf = null } = {}) {
+  let nodeIds;
+  if (ancestryOf) {
+    nodeIds = collectAncestors(index, ancestryOf);
+  } else {
+    nodeIds = new Set(index.genomeIds);
+    for (const parentId of index.children.keys()) {
+      nodeIds.add(parentId);
+    }
+  }
+  return Array.from(nodeIds).sort();
+}
+
+// Edges among the selected nodes: parent -> child, one per distinct parent
+function* iterateEdges(index, nodeIds, nodeSet) {
+  for (const genomeId of nodeIds) {
+    const seen = new Set();
+    for (const parent of index.parents.get(genomeId) || []) {
+      if (!nodeSet.has(parent.genomeId) || seen.has(parent.genomeId)) continue;
+      seen.add(parent.genomeId);
+      yield { source: parent.genomeId, target: genomeId, eliteClass: parent.eliteClass };
+    }
+  }
+}
+
+function describeNode(index, genomeId, eliteInfo, genomeSet) {
+  const elite = eliteInfo.get(genomeId);
+  const recordedClass = index.classes.get(genomeId);
+  return {
+    eliteClass: elite ? elite.eliteClass : (recordedClass !== undefined ? recordedClass : null),
+    score: elite && typeof elite.score === 'number' ? elite.score : null,
+    elite: !!elite,
+    found: genomeSet.has(genomeId)
+  };
+}
+
+async function writeGraphML(writer, index, nodeIds, nodeSet, { eliteInfo, graphName }) {
+  const genomeSet = new Set(index.genomeIds);
+  let edgeCount = 0;
+
+  await writer.write(
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">\n' +
+    '  <key id="eliteClass" for="node" attr.name="eliteClass" attr.type="string"/>\n' +
+    '  <key id="score" for="node" attr.name="score" attr.type="double"/>\n' +
+    '  <key id="elite" for="node" attr.name="elite" attr.type="boolean"/>\n' +
+    '  <key id="found" for="node" attr.name="found" attr.type="boolean"/>\n' +
+    '  <key id="parentEliteClass" for="edge" attr.name="eliteClass" attr.type="string"/>\n' +
+    `  <graph id="${escapeXml(graphName)}" edgedefault="directed">\n`
+  );
+
+  for (const genomeId of nodeIds) {
+    const node = describeNode(index, genomeId, eliteInfo, genomeSet);
+    let data = '';
+    if (node.eliteClass !== null) data += `<data key="eliteClass">${escapeXml(node.eliteClass)}</data>`;
+    if (node.score !== null) data += `<data key="score">${node.score}</data>`;
+    data += `<data key="elite">${node.elite}</data><data key="found">${node.found}</data>`;
+    await writer.write(`    <node id="${escapeXml(genomeId)}">${data}</node>\n`);
+  }
+
+  for (const edge of iterateEdges(index, nodeIds, nodeSet)) {
+    const data = edge.eliteClass !== null
+      ? `<data key="parentEliteClass">${escapeXml(edge.eliteClass)}</data>`
+      : '';
+    await writer.write(`    <edge source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">${data}</edge>\n`);
+    edgeCount++;
+  }
+
+  await writer.write('  </graph>\n</graphml>\n');
+  return edgeCount;
+}
+
+async function writeDot(writer, index, nodeIds, nodeSet, { eliteInfo, graphName }) {
+  const genomeSet = new Set(index.genomeIds);
+  let edgeCount = 0;
+
+  await writer.write(`digraph "${escapeDot(graphName)}" {\n  node [shape=point];\n`);
+
+  for (const genomeId of nodeIds) {
+    const node = describeNode(index, genomeId, eliteInfo, genomeSet);
+    const attributes = [];
+    if (node.eliteClass !== null) attributes.push(`eliteClass="${escapeDot(node.eliteClass)}"`);
+    if (node.score !== null) attributes.push(`score=${node.score}`);
+    if (node.elite) attributes.push('elite=true', 'shape=circle', `label="${escapeDot(node.eliteClass)}"`);
+    if (!node.found) attributes.push('found=false', 'style=dashed');
+    await writer.write(`  "${escapeDot(genomeId)}"${attributes.length ? ` [${attributes.join(', ')}]` : ''};\n`);
+  }
+
+  for (const edge of iterateEdges(index, nodeIds, nodeSet)) {
+    const attributes = edge.eliteClass !== null ? ` [eliteClass="${escapeDot(edge.eliteClass)}"]` : '';
+    await writer.write(`  "${escapeDot(edge.source)}" -> "${escapeDot(edge.target)}"${attributes};\n`);
+    edgeCount++;
+  }
+
+  await writer.write('}\n');
+  return edgeCount;
+}
+
+// Newick describes a tree, so each genome hangs under its first parent (within the
+// selection) only; genomes without one become roots under a common unnamed root
+async function writeNewick(writer, index, nodeIds, nodeSet) {
+  const treeChildren = new Map();
+  const roots = [];
+  let edgeCount = 0;
+
+  for (const genomeId of nodeIds) {
+    const parent = (index.parents.get(genomeId) || []).find(parentRef => nodeSet.has(parentRef.genomeId));
+    if (!parent) {
+      roots.push(genomeId);
+      continue;
+    }
+    if (!treeChildren.has(parent.genomeId)) {
+      treeChildren.set(parent.genomeId, []);
+    }
+    treeChildren.get(parent.genomeId).push(genomeId);
+    edgeCount++;
+  }
+
+  if (roots.length > 1) await writer.write('(');
+
+  for (let i = 0; i < roots.length; i++) {
+    if (i > 0) await writer.write(',');
+
+    // Iterative depth-first traversal, as lineages can be far deeper than the call stack
+    const stack = [{ genomeId: roots[i], next: 0 }];
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const children = treeChildren.get(frame.genomeId) || [];
+      if (frame.next < children.length) {
+        await writer.write(frame.next === 0 ? '(' : ',');
+        stack.push({ genomeId: children[frame.next++], next: 0 });
+      } else {
+        await writer.write((children.length > 0 ? ')' : '') + newickLabel(frame.genomeId));
+        stack.pop();
+      }
+    }
+  }
+
+  await writer.write(roots.length > 1 ? ');\n' : ';\n');
+  return edgeCount;
+}
+
+/**
+ * Write the phylogeny (parent-child genome graph) of a run to a writable stream
+ * @param {Writable} writable - Destination stream (e.g. an HTTP response)
+ * @param {Object} index - Parent index from getReverseParentIndex
+ * @param {Object} [options]
+ * @param {string} [options.format='newick'] - 'newick', 'graphml' or 'dot'
+ * @param {Iterable<string>} [options.ancestryOf] - Restrict to these genomes and their ancestors
+ * @param {Map} [options.eliteInfo] - genomeId -> { eliteClass, score } of current elites
+ * @param {string} [options.graphName='phylogeny'] - Graph ID (GraphML) or name (DOT)
+ * @returns {Promise<{ nodeCount: number, edgeCount: number }>}
+ */
+async function writePhylogeny(writable, index, {
+  format = 'newick',
+  ancestryOf = null,
+  eliteInfo = new Map(),
+  graphName = 'phylogeny'
+} = {}) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown phylogeny format: ${format}`);
+  }
+
+  const nodeIds = getPhylogenyNodeIds(index, { ancestryOf });
+  const nodeSet = new Set(nodeIds);
+  const writer = createChunkedWriter(writable);
+
+  let edgeCount;
+  if (format === 'graphml') {
+    edgeCount = await writeGraphML(writer, index, nodeIds, nodeSet, { eliteInfo, graphName });
+  } else if (format === 'dot') {
+    edgeCount = await writeDot(writer, index, nodeIds, nodeSet, { eliteInfo, graphName });
+  } else {
+    edgeCount = await writeNewick(writer, index, nodeIds, nodeSet);
+  }
+  await writer.flush();
+
+  return { nodeCount: nodeIds.length, edgeCount };
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  FILE_EXTENSIONS,
+  getPhylogenyNodeIds,
+  writePhylogeny
+};
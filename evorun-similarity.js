@@ -0,0 +1,184 @@
+// evorun-similarity.js - Nearest-neighbour search over the feature vectors of evolutionary runs
+// Builds an in-memory index of one feature key's vectors per run on first use, and caches it
+
+const { getDbMtimeMs } = require('./evorun-db');
+
+const MAX_CACHED_INDEXES = 16;
+const METRICS = ['euclidean', 'cosine'];
+
+// Cache of built (or building) indexes: `${runPath}\0${featureKey}` -> { promise, mtimeMs }
+const indexCache = new Map();
+
+/**
+ * Resolve the numeric feature vector for a key within a feature record.
+ * The key may be a dotted path (e.g. "mfcc-statistics" or "embeddings.vggish").
+ * A value that is an object with a `features` or `vector` array resolves to that array.
+ * Without a key, the record itself (if an array) or its first resolvable entry is used.
+ * @param {Object|Array} featureData - Decompressed feature record
+ * @param {string} [featureKey] - Key (path) of the vector within the record
+ * @returns {number[]|null} The vector, or null if none could be resolved
+ */
+function extractFeatureVector(featureData, featureKey) {
+  const asVector = value => {
+    if (Array.isArray(value)) {
+      return value.length > 0 && value.every(v => typeof v === 'number') ? value : null;
+    }
+    if (value && typeof value === 'object') {
+      return asVector(value.features) || asVector(value.vector);
+    }
+    return null;
+  };
+
+  if (!featureKey) {
+    const direct = asVector(featureData);
+    if (direct) return direct;
+    if (featureData && typeof featureData === 'object') {
+      for (const value of Object.values(featureData)) {
+        const vector = asVector(value);
+        if (vector) return vector;
+      }
+    }
+    return null;
+  }
+
+  let value = featureData;
+  for (const part of featureKey.split('.')) {
+    if (!value || typeof value !== 'object') return null;
+    value = value[part];
+  }
+  return asVector(value);
+}
+
+async function buildIndex(db, featureKey) {
+  const ids = [];
+  const vectors = [];
+  let dimensions = null;
+  let skipped = 0;
+
+  for await (const { id, features } of db.iterateFeatures()) {
+    const vector = extractFeatureVector(features, featureKey);
+    if (!vector || (dimensions !== null && vector.length !== dimensions)) {
+      skipped++;
+      continue;
+    }
+    dimensions = vector.length;
+    ids.push(id);
+    vectors.push(vector);
+  }
+
+  // Pack into one contiguous array, with norms precomputed for cosine distance
+  const dim = dimensions || 0;
+  const data = new Float32Array(ids.length * dim);
+  const norms = new Float32Array(ids.length);
+  vectors.forEach((vector, i) => {
+    let sum = 0;
+    for (let d = 0; d < dim; d++) {
+      data[i * dim + d] = vector[d];
+      sum += vector[d] * vector[d];
+    }
+    norms[i] = Math.sqrt(sum);
+  });
+
+  return { ids, data, norms, dimensions: dim, skipped, builtAt: new Date().toISOString() };
+}
+
+/**
+ * Get the feature vector index for a run, building it on first use.
+ * The index is rebuilt when features.sqlite (or its WAL) has been modified since it was built.
+ * @param {string} runPath - Path to the evolution run directory (cache key)
+ * @param {Object} db - Run database API from getRunDB
+ * @param {string} [featureKey] - Key of the vector within each feature record
+ * @returns {Promise<Object>} Index: { ids, data, norms, dimensions, skipped, builtAt }
+ */
+async function getFeatureIndex(runPath, db, featureKey) {
+  const cacheKey = `${runPath}\0${featureKey || ''}`;
+  // Without a database file to check, cache without invalidation
+  const mtimeMs = getDbMtimeMs(db.featuresDbPath) || 0;
+
+  const cached = indexCache.get(cacheKey);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    // Move to the end of the Map to keep it most recently used
+    indexCache.delete(cacheKey);
+    indexCache.set(cacheKey, cached);
+    return cached.promise;
+  }
+
+  const promise = buildIndex(db, featureKey);
+  indexCache.set(cacheKey, { promise, mtimeMs });
+  promise.then(index => {
+    console.log(`Built feature index for ${runPath} (${featureKey || 'default key'}): ${index.ids.length} vectors, ${index.dimensions} dimensions`);
+  }, () => {
+    indexCache.delete(cacheKey);
+  });
+
+  // Evict the least recently used indexes
+  while (indexCache.size > MAX_CACHED_INDEXES) {
+    indexCache.delete(indexCache.keys().next().value);
+  }
+
+  return promise;
+}
+
+/**
+ * Drop the cached feature indexes of a run, e.g. before its directory is moved or removed
+ * @param {string} runPath - Path to the evolution run directory (cache key)
+ */
+function clearFeatureIndexes(runPath) {
+  for (const cacheKey of indexCache.keys()) {
+    if (cacheKey.startsWith(`${runPath}\0`)) {
+      indexCache.delete(cacheKey);
+    }
+  }
+}
+
+/**
+ * Find the k nearest vectors in an index
+ * @param {Object} index - Index from getFeatureIndex
+ * @param {number[]} query - Query vector (same dimensions as the index)
+ * @param {Object} options - { k, metric: 'euclidean' | 'cosine', excludeId }
+ * @returns {Array} [{ ulid, distance }] sorted by increasing distance
+ */
+function findNearest(index, query, { k = 10, metric = 'euclidean', excludeId } = {}) {
+  const { ids, data, norms, dimensions } = index;
+  const best = []; // sorted ascending by distance, at most k entries
+
+  let queryNorm = 0;
+  for (let d = 0; d < dimensions; d++) queryNorm += query[d] * query[d];
+  queryNorm = Math.sqrt(queryNorm);
+
+  for (let i = 0; i < ids.length; i++) {
+    if (ids[i] === excludeId) continue;
+    const offset = i * dimensions;
+    let distance;
+    if (metric === 'cosine') {
+      let dot = 0;
+      for (let d = 0; d < dimensions; d++) dot += data[offset + d] * query[d];
+      const denominator = norms[i] * queryNorm;
+      distance = denominator > 0 ? 1 - dot / denominator : 1;
+    } else {
+      let sum = 0;
+      for (let d = 0; d < dimensions; d++) {
+        const diff = data[offset + d] - query[d];
+        sum += diff * diff;
+      }
+      distance = Math.sqrt(sum);
+    }
+
+    if (best.length < k || distance < best[best.length - 1].distance) {
+      let position = best.length;
+      while (position > 0 && best[position - 1].distance > distance) position--;
+      best.splice(position, 0, { ulid: ids[i], distance });
+      if (best.length > k) best.pop();
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  METRICS,
+  extractFeatureVector,
+  getFeatureIndex,
+  clearFeatureIndexes,
+  findNearest
+};
@@ -0,0 +1,34 @@
+// evorun-streams.js - Writing to streams (e.g. HTTP responses) with backpressure
+
+const { once } = require('events');
+
+/**
+ * Write a chunk to a stream, waiting for 'drain' when its buffer is full
+ * @param {Writable} writable
+ * @param {Buffer|string} chunk
+ * @throws {Error} If the stream is closed (e.g. the client went away) before it drains
+ */
+async function writeWithBackpressure(writable, chunk) {
+  if (writable.destroyed) {
+    throw new Error('Output stream closed');
+  }
+  if (writable.write(chunk)) return;
+
+  // Aborting afterwards removes the listeners of whichever event didn't happen,
+  // which would otherwise accumulate on the stream with every wait
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(writable, 'drain', { signal: controller.signal }),
+      once(writable, 'close', { signal: controller.signal }).then(() => {
+        throw new Error('Output stream closed');
+      })
+    ]);
+  } finally {
+    controller.abort();
+  }
+}
+
+module.exports = {
+  writeWithBackpressure
+};
@@ -0,0 +1,326 @@
+// evorun-sync-auth.js - Scoped API keys and audit log for the sync API
+// Keys come from SYNC_API_KEYS (full access, as before) and an optional JSON keys file
+// with per-key run ID patterns, read/write access and expiry. Every sync request,
+// accepted or rejected, is appended to an audit log (newline-delimited JSON), which is
+// rotated to <log>.1 once it reaches its size limit.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const ACCESS_LEVELS = ['read', 'write'];
+const DEFAULT_AUDIT_LOG_MAX_BYTES = 10 * 1024 * 1024;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Run ID pattern with * (any characters) and ? (one character) wildcards
+function patternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+// Run IDs name a directory under the sync root: one path segment, nothing that leaves it
+// (Express decodes %2F, so a :runId parameter can contain slashes)
+function isSafeRunId(runId) {
+  return typeof runId === 'string'
+    && runId !== '.' && runId !== '..'
+    && !/[\/\\\0]/.test(runId)
+    && runId === path.basename(runId);
+}
+
+function keyAllowsRun(key, runId) {
+  return key.runPatterns.some(pattern => pattern.test(runId));
+}
+
+function normalizeKey(definition, name) {
+  if (!definition.key && !definition.keySha256) {
+    throw new Error(`Key ${name} has neither key nor keySha256`);
+  }
+  const access = definition.access || 'read';
+  if (!ACCESS_LEVELS.includes(access)) {
+    throw new Error(`Key ${name} has invalid access: ${access}`);
+  }
+  const runs = definition.runs === undefined ? ['*'] : definition.runs;
+  if (!Array.isArray(runs) || runs.some(run => typeof run !== 'string')) {
+    throw new Error(`Key ${name} has invalid runs: must be an array of run ID patterns`);
+  }
+  let expiresAt = null;
+  if (definition.expiresAt) {
+    expiresAt = Date.parse(definition.expiresAt);
+    if (isNaN(expiresAt)) {
+      throw new Error(`Key ${name} has invalid expiresAt: ${definition.expiresAt}`);
+    }
+  }
+
+  return {
+    name,
+    hash: definition.keySha256 ? definition.keySha256.toLowerCase() : sha256(definition.key),
+    access,
+    runs,
+    runPatterns: runs.map(patternToRegExp),
+    expiresAt
+  };
+}
+
+/**
+ * Create the sync API key check and audit log
+ * @param {Object} options
+ * @param {Function} options.getEnvKeys - Returns the keys from SYNC_API_KEYS (full access)
+ * @param {Function} options.getKeysFile - Returns the path of the JSON keys file, or null
+ * @param {Function} options.getAuditLogPath - Returns the path of the audit log, or null to disable it
+ * @param {Function} [options.getAuditLogMaxBytes] - Returns the size at which the audit log is rotated
+ * @returns {Object} Sync auth API
+ */
+function createSyncAuth({
+  getEnvKeys,
+  getKeysFile,
+  getAuditLogPath,
+  getAuditLogMaxBytes = () => DEFAULT_AUDIT_LOG_MAX_BYTES
+}) {
+  let fileKeys = [];
+  let loadedKeysFile = null;
+  let loadedKeysFileMtime = null;
+
+  let auditStream = null;
+  let auditStreamPath = null;
+  let auditLogBytes = 0; // Size of the current audit log, including writes still buffered
+
+  // (Re)load the keys file when it changed; a broken file keeps the previously loaded keys
+  function refreshFileKeys() {
+    const keysFile = getKeysFile();
+    if (!keysFile) {
+      fileKeys = [];
+      loadedKeysFile = null;
+      return;
+    }
+
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(keysFile).mtimeMs;
+    } catch (error) {
+      if (loadedKeysFile !== keysFile || loadedKeysFileMtime !== null) {
+        console.warn(`Sync API keys file not found: ${keysFile}`);
+      }
+      fileKeys = [];
+      loadedKeysFile = keysFile;
+      loadedKeysFileMtime = null;
+      return;
+    }
+    if (loadedKeysFile === keysFile && loadedKeysFileMtime === mtimeMs) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+      const definitions = Array.isArray(data) ? data : data.keys;
+      if (!Array.isArray(definitions)) {
+        throw new Error('expected { "keys": [...] }');
+      }
+      fileKeys = definitions.map((definition, index) => normalizeKey(definition, definition.name || `file-${index + 1}`));
+      console.log(`Loaded ${fileKeys.length} sync API key(s) from ${keysFile}`);
+    } catch (error) {
+      console.error(`Could not load sync API keys file ${keysFile}:`, error.message);
+    }
+    loadedKeysFile = keysFile;
+    loadedKeysFileMtime = mtimeMs;
+  }
+
+  function getKeys() {
+    refreshFileKeys();
+    const envKeys = getEnvKeys().map((key, index) => normalizeKey(
+      { key, access: 'write', runs: ['*'] },
+      `env-${index + 1}`
+    ));
+    return envKeys.concat(fileKeys);
+  }
+
+  function findKey(keys, presented) {
+    const hash = Buffer.from(sha256(presented), 'hex');
+    return keys.find(key => {
+      const keyHash = Buffer.from(key.hash, 'hex');
+      return keyHash.length === hash.length && crypto.timingSafeEqual(keyHash, hash);
+    }) || null;
+  }
+
+  function openAuditStream(auditLogPath) {
+    if (auditStream) auditStream.end();
+    try {
+      fs.mkdirSync(path.dirname(auditLogPath), { recursive: true });
+    } catch (error) {
+      // Reported by the stream below
+    }
+    try {
+      auditLogBytes = fs.statSync(auditLogPath).size;
+    } catch (error) {
+      auditLogBytes = 0;
+    }
+    auditStream = fs.createWriteStream(auditLogPath, { flags: 'a' });
+    auditStream.on('error', error => console.warn(`Could not write sync audit log ${auditLogPath}:`, error.message));
+    auditStreamPath = auditLogPath;
+  }
+
+  // Replace <log>.1 with the current log and start a new one. Writes still buffered in the
+  // old stream go to the renamed file, as the stream keeps its file descriptor.
+  function rotateAuditLog(auditLogPath) {
+    try {
+      fs.renameSync(auditLogPath, `${auditLogPath}.1`);
+    } catch (error) {
+      console.warn(`Could not rotate sync audit log ${auditLogPath}:`, error.message);
+      return;
+    }
+    openAuditStream(auditLogPath);
+  }
+
+  function appendAuditEntry(entry) {
+    const auditLogPath = getAuditLogPath();
+    if (!auditLogPath) return;
+    if (auditStreamPath !== auditLogPath) {
+      openAuditStream(auditLogPath);
+    }
+    const line = JSON.stringify(entry) + '\n';
+    const lineBytes = Buffer.byteLength(line);
+    // Only once the stream has opened (created) the log file it writes to
+    if (auditLogBytes > 0 && auditLogBytes + lineBytes > getAuditLogMaxBytes() && !auditStream.pending) {
+      rotateAuditLog(auditLogPath);
+    }
+    auditStream.write(line);
+    auditLogBytes += lineBytes;
+  }
+
+  /**
+   * Express middleware requiring a sync API key with the given access to the route's :runId
+   * @param {string} access - 'read' or 'write'
+   */
+  function requireAccess(access) {
+    return (req, res, next) => {
+      const runId = req.params.runId || null;
+      const entry = {
+        timestamp: new Date().toISOString(),
+        method: req.method,
+        path: req.path,
+        runId,
+        access,
+        key: null,
+        ip: req.ip
+      };
+
+      // Audit once the response is done, with its status
+      res.on('close', () => {
+        appendAuditEntry({
+          ...entry,
+          outcome: entry.reason ? 'rejected' : 'accepted',
+          status: res.statusCode,
+          completed: res.writableFinished
+        });
+      });
+
+      const reject = (status, reason) => {
+        entry.reason = reason;
+        res.status(status).json({ error: reason });
+      };
+
+      const keys = getKeys();
+      if (keys.length === 0) {
+        // No keys configured = sync endpoints disabled
+        return reject(503, 'Sync API not configured (no API keys set)');
+      }
+
+      const presented = req.headers['x-sync-api-key'];
+      const key = presented ? findKey(keys, presented) : null;
+      if (!key) {
+        return reject(401, 'Invalid or missing API key');
+      }
+      entry.key = key.name;
+
+      if (key.expiresAt !== null && key.expiresAt <= Date.now()) {
+        return reject(401, 'API key expired');
+      }
+      if (access === 'write' && key.access !== 'write') {
+        return reject(403, 'API key is read-only');
+      }
+      if (runId && !isSafeRunId(runId)) {
+        return reject(400, 'Invalid run ID');
+      }
+      if (runId && !keyAllowsRun(key, runId)) {
+        return reject(403, `API key not allowed for run ${runId}`);
+      }
+
+      // Routes without a :runId (e.g. listings) scope their results to the key's runs
+      req.syncKey = key;
+      next();
+    };
+  }
+
+  /**
+   * Query the audit log (the rotated log, then the current one), most recent entries first
+   * @param {Object} [filters] - { runId, key, outcome, from, to (ms), limit }
+   * @returns {Promise<{ entries: Array, matched: number }>}
+   */
+  async function queryAuditLog({ runId, key, outcome, from, to, limit = 100 } = {}) {
+    const auditLogPath = getAuditLogPath();
+    if (!auditLogPath) {
+      return { entries: [], matched: 0 };
+    }
+
+    // Keep the last `limit` matches in a ring buffer while reading the logs front to back
+    const ring = new Array(limit);
+    let matched = 0;
+
+    for (const logPath of [`${auditLogPath}.1`, auditLogPath]) {
+      if (!fs.existsSync(logPath)) continue;
+      const lines = readline.createInterface({
+        input: fs.createReadStream(logPath, { encoding: 'utf8' }),
+        crlfDelay: Infinity
+      });
+
+      for await (const line of lines) {
+        if (!line) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          continue; // Partially written line
+        }
+        if (runId && entry.runId !== runId) continue;
+        if (key && entry.key !== key) continue;
+        if (outcome && entry.outcome !== outcome) continue;
+        const time = Date.parse(entry.timestamp);
+        if (from !== undefined && time < from) continue;
+        if (to !== undefined && time > to) continue;
+
+        ring[matched % limit] = entry;
+        matched++;
+      }
+    }
+
+    const entries = [];
+    for (let i = matched - 1; i >= Math.max(0, matched - limit); i--) {
+      entries.push(ring[i % limit]);
+    }
+    return { entries, matched };
+  }
+
+  return {
+    requireAccess,
+    queryAuditLog,
+
+    /**
+     * Key names and scopes (never the keys themselves)
+     */
+    listKeys() {
+      return getKeys().map(({ name, access, runs, expiresAt }) => ({
+        name,
+        access,
+        runs,
+        expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString(),
+        expired: expiresAt !== null && expiresAt <= Date.now()
+      }));
+    }
+  };
+}
+
+module.exports = {
+  createSyncAuth,
+  keyAllowsRun
+};
@@ -0,0 +1,186 @@
+// evorun-sync-status.js - Progress and liveness of runs on remote workers
+// Workers register runs and then send heartbeats with their progress; the latest state of
+// each run is kept in memory and persisted to a JSON file, so last-seen times survive restarts
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+
+const RUN_STATUSES = ['running', 'paused', 'finished', 'failed'];
+const FINAL_STATUSES = ['finished', 'failed'];
+
+const PERSIST_DEBOUNCE = 2000; // ms
+
+/**
+ * Create a store of remote run states
+ * @param {Object} options
+ * @param {Function} options.getPersistPath - Returns the JSON file to persist the states to
+ * @param {number} options.staleAfter - Milliseconds without a heartbeat after which an
+ *   unfinished run is reported as stale
+ * @returns {Object} Run status store API
+ */
+function createRunStatusStore({ getPersistPath, staleAfter }) {
+  const runs = new Map(); // runId -> state
+  let persistTimer = null;
+
+  function schedulePersist() {
+    if (persistTimer) return;
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      persist().catch(error => console.warn('Could not persist sync run status:', error.message));
+    }, PERSIST_DEBOUNCE);
+  }
+
+  function serialize() {
+    return JSON.stringify({
+      savedAt: new Date().toISOString(),
+      runs: Array.from(runs.values())
+    });
+  }
+
+  async function persist() {
+    const persistPath = getPersistPath();
+    // Write to a temporary file first so a crash never leaves a truncated file
+    const tmpPath = `${persistPath}.tmp`;
+    await fs.writeFile(tmpPath, serialize());
+    await fs.rename(tmpPath, persistPath);
+  }
+
+  function getOrCreate(runId) {
+    if (!runs.has(runId)) {
+      runs.set(runId, {
+        runId,
+        templateName: null,
+        ecosystemVariant: null,
+        registeredAt: null,
+        lastSeenAt: null,
+        heartbeatCount: 0,
+        progress: null
+      });
+    }
+    return runs.get(runId);
+  }
+
+  // Only runs that have sent heartbeats can go stale: workers without heartbeat support
+  // register runs and never report on them again
+  function describe(state, now) {
+    const status = state.progress ? state.progress.status : 'registered';
+    const lastSeen = Date.parse(state.lastSeenAt);
+    return {
+      ...state,
+      status,
+      stale: state.heartbeatCount > 0 && !FINAL_STATUSES.includes(status) && !isNaN(lastSeen) && now - lastSeen > staleAfter
+    };
+  }
+
+  return {
+    /**
+     * Load the persisted states (if any)
+     */
+    async load() {
+      try {
+        const data = JSON.parse(await fs.readFile(getPersistPath(), 'utf8'));
+        for (const state of data.runs || []) {
+          // Keep anything recorded since startup
+          if (!runs.has(state.runId)) runs.set(state.runId, state);
+        }
+        console.log(`Loaded status of ${runs.size} synced runs from ${getPersistPath()}`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`Could not load sync run status ${getPersistPath()}:`, error.message);
+        }
+      }
+    },
+
+    /**
+     * Record a run registration (or a run known from its sync-metadata.json)
+     * @param {string} runId
+     * @param {Object} metadata - { templateName, ecosystemVariant, registeredAt }
+     */
+    recordRegistration(runId, { templateName = null, ecosystemVariant = null, registeredAt = null } = {}) {
+      const state = getOrCreate(runId);
+      state.templateName = templateName;
+      state.ecosystemVariant = ecosystemVariant;
+      state.registeredAt = registeredAt || new Date().toISOString();
+      schedulePersist();
+    },
+
+    has(runId) {
+      return runs.has(runId);
+    },
+
+    /**
+     * Record a heartbeat of a run
+     * @param {string} runId
+     * @param {Object} progress - { status, generation, coverage, qdScore, host, ip }
+     * @returns {Object} The run's state
+     */
+    recordHeartbeat(runId, progress) {
+      const state = getOrCreate(runId);
+      state.lastSeenAt = new Date().toISOString();
+      state.heartbeatCount++;
+      state.progress = { ...progress, reportedAt: state.lastSeenAt };
+      schedulePersist();
+      return describe(state, Date.now());
+    },
+
+    /**
+     * List runs (most recently seen first) and the workers (hosts) running them
+     * @param {Function} [includeRun] - Predicate on runId, e.g. a key's run scope
+     * @returns {{ runs: Array, workers: Array }}
+     */
+    list(includeRun = () => true) {
+      const now = Date.now();
+      const listed = Array.from(runs.values())
+        .filter(state => includeRun(state.runId))
+        .map(state => describe(state, now))
+        .sort((a, b) => (b.lastSeenAt || b.registeredAt || '').localeCompare(a.lastSeenAt || a.registeredAt || ''));
+
+      const workers = new Map();
+      for (const run of listed) {
+        const host = run.progress && run.progress.host;
+        if (!host) continue;
+        if (!workers.has(host)) {
+          // Runs are sorted by last-seen, so the first one of a host is its latest
+          workers.set(host, { host, lastSeenAt: run.lastSeenAt, runs: [], activeRuns: 0, stale: true });
+        }
+        const worker = workers.get(host);
+        worker.runs.push(run.runId);
+        if (!FINAL_STATUSES.includes(run.status)) {
+          worker.activeRuns++;
+        }
+        if (!run.stale) {
+          worker.stale = false;
+        }
+      }
+
+      // A worker is stale when all its unfinished runs are
+      for (const worker of workers.values()) {
+        if (worker.activeRuns === 0) worker.stale = false;
+      }
+
+      return { runs: listed, workers: Array.from(workers.values()) };
+    },
+
+    /**
+     * Write changes still waiting for the persist debounce, synchronously so it can run in a
+     * process 'exit' handler (heartbeats of the last seconds would be lost otherwise)
+     */
+    stop() {
+      if (!persistTimer) return;
+      clearTimeout(persistTimer);
+      persistTimer = null;
+      const persistPath = getPersistPath();
+      try {
+        fsSync.writeFileSync(`${persistPath}.tmp`, serialize());
+        fsSync.renameSync(`${persistPath}.tmp`, persistPath);
+      } catch (error) {
+        console.warn('Could not persist sync run status:', error.message);
+      }
+    }
+  };
+}
+
+module.exports = {
+  RUN_STATUSES,
+  createRunStatusStore
+};
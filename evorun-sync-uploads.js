@@ -0,0 +1,256 @@
+// evorun-sync-uploads.js - Resumable chunked uploads for the sync API
+// Each upload session is a directory holding session.json and one file per received chunk,
+// so sessions survive a server restart and a worker can resume where its upload broke off
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const SESSION_FILE_NAME = 'session.json';
+const CHUNK_FILE_PATTERN = /^chunk-(\d+)$/;
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+// Most chunks a file may have (6.4 TB at 64 MB per chunk), and most missing indexes reported at once
+const MAX_CHUNK_COUNT = 100000;
+const MAX_REPORTED_MISSING = 1000;
+
+function isUploadId(value) {
+  return UPLOAD_ID_PATTERN.test(value);
+}
+
+/**
+ * Create a store of chunked upload sessions
+ * @param {Object} options
+ * @param {Function} options.getUploadDir - Returns the directory to keep upload sessions in
+ * @param {number} [options.sessionMaxAge] - Milliseconds after the last activity before a session is removed
+ * @returns {Object} Upload store API
+ */
+function createUploadStore({ getUploadDir, sessionMaxAge = 24 * 60 * 60 * 1000 }) {
+  const completing = new Set(); // uploadIds being assembled
+
+  function getSessionDir(uploadId) {
+    return path.join(getUploadDir(), uploadId);
+  }
+
+  async function writeSession(session) {
+    const sessionPath = path.join(getSessionDir(session.uploadId), SESSION_FILE_NAME);
+    const tmpPath = `${sessionPath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(session, null, 2));
+    await fs.rename(tmpPath, sessionPath);
+  }
+
+  async function readSession(uploadId) {
+    if (!isUploadId(uploadId)) return null;
+    try {
+      return JSON.parse(await fs.readFile(path.join(getSessionDir(uploadId), SESSION_FILE_NAME), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Received chunks, by index: [{ index, size, mtimeMs }]
+  async function listChunks(uploadId) {
+    const chunks = [];
+    for (const name of await fs.readdir(getSessionDir(uploadId))) {
+      const match = name.match(CHUNK_FILE_PATTERN);
+      if (match) {
+        const stats = await fs.stat(path.join(getSessionDir(uploadId), name));
+        chunks.push({ index: parseInt(match[1]), size: stats.size, mtimeMs: stats.mtimeMs });
+      }
+    }
+    return chunks.sort((a, b) => a.index - b.index);
+  }
+
+  // session.json is written once; activity is tracked by the chunk files
+  async function describeSession(session) {
+    const chunks = await listChunks(session.uploadId);
+    const lastActivity = chunks.reduce((latest, chunk) => Math.max(latest, chunk.mtimeMs), Date.parse(session.createdAt));
+    return {
+      ...session,
+      updatedAt: new Date(lastActivity).toISOString(),
+      receivedChunks: chunks.map(({ index, size }) => ({ index, size })),
+      receivedBytes: chunks.reduce((total, chunk) => total + chunk.size, 0)
+    };
+  }
+
+  return {
+    isUploadId,
+
+    /**
+     * Start an upload session
+     * @param {Object} details - { runId, subdir, fileName, size } (size in bytes, if known)
+     * @returns {Promise<Object>} The session
+     */
+    async createSession({ runId, subdir, fileName, size = null }) {
+      const session = {
+        uploadId: crypto.randomBytes(16).toString('hex'),
+        runId,
+        subdir,
+        fileName,
+        size,
+        createdAt: new Date().toISOString()
+      };
+      await fs.mkdir(getSessionDir(session.uploadId), { recursive: true });
+      await writeSession(session);
+      return describeSession(session);
+    },
+
+    /**
+     * Get a session with the chunks received so far (null if there is no such session)
+     */
+    async getSession(uploadId) {
+      const session = await readSession(uploadId);
+      return session ? describeSession(session) : null;
+    },
+
+    /**
+     * Store a chunk, replacing any earlier upload of the same index.
+     * The chunk is written to a temporary file first, so an interrupted write never counts as received.
+     * @returns {Promise<Object|null>} The updated session, or null if there is no such session
+     */
+    async writeChunk(uploadId, index, data) {
+      const session = await readSession(uploadId);
+      if (!session) return null;
+
+      const chunkPath = path.join(getSessionDir(uploadId), `chunk-${index}`);
+      const tmpPath = `${chunkPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.writeFile(tmpPath, data);
+      await fs.rename(tmpPath, chunkPath);
+      return describeSession(session);
+    },
+
+    /**
+     * Whether a session is being assembled (its chunks must not change meanwhile)
+     */
+    isCompleting(uploadId) {
+      return completing.has(uploadId);
+    },
+
+    /**
+     * Assemble the chunks into the target file, verifying size and SHA-256 before moving it
+     * into place with a rename. The session is removed on success and kept otherwise.
+     * @param {string} uploadId
+     * @param {Object} options
+     * @param {string} options.sha256 - Expected SHA-256 of the whole file (hex)
+     * @param {string} options.targetPath - Final path of the file
+     * @param {number} [options.chunkCount] - Expected number of chunks (default: highest index + 1),
+     *   at most MAX_CHUNK_COUNT
+     * @returns {Promise<Object|null>} { status: 'stored' | 'missing-chunks' | 'size-mismatch' |
+     *   'checksum-mismatch' | 'busy', ... }, or null if there is no such session. For missing chunks,
+     *   missing lists the first MAX_REPORTED_MISSING indexes and missingCount counts them all.
+     */
+    async complete(uploadId, { sha256, targetPath, chunkCount }) {
+      const session = await readSession(uploadId);
+      if (!session) return null;
+      if (completing.has(uploadId)) return { status: 'busy' };
+
+      completing.add(uploadId);
+      try {
+        const chunks = await listChunks(uploadId);
+        const expectedCount = chunkCount !== undefined
+          ? chunkCount
+          : (chunks.length > 0 ? chunks[chunks.length - 1].index + 1 : 0);
+        if (expectedCount > MAX_CHUNK_COUNT) {
+          throw new Error(`Too many chunks: at most ${MAX_CHUNK_COUNT}`);
+        }
+        const received = new Set(chunks.map(chunk => chunk.index));
+        const missing = [];
+        let missingCount = 0;
+        for (let index = 0; index < expectedCount; index++) {
+          if (received.has(index)) continue;
+          missingCount++;
+          if (missing.length < MAX_REPORTED_MISSING) missing.push(index);
+        }
+        if (expectedCount === 0 || missingCount > 0) {
+          return { status: 'missing-chunks', missing, missingCount, expectedCount };
+        }
+
+        const size = chunks
+          .filter(chunk => chunk.index < expectedCount)
+          .reduce((total, chunk) => total + chunk.size, 0);
+        if (session.size !== null && size !== session.size) {
+          return { status: 'size-mismatch', size, expectedSize: session.size };
+        }
+
+        // Assemble next to the target so the final rename stays on one filesystem
+        await fs.mkdir(path.dirname(targetPath), { recursive: true });
+        const tmpPath = path.join(path.dirname(targetPath), `.${path.basename(targetPath)}.upload-${uploadId}`);
+        const hash = crypto.createHash('sha256');
+        const handle = await fs.open(tmpPath, 'w');
+        try {
+          for (let index = 0; index < expectedCount; index++) {
+            const data = await fs.readFile(path.join(getSessionDir(uploadId), `chunk-${index}`));
+            hash.update(data);
+            await handle.write(data);
+          }
+          await handle.sync();
+        } finally {
+          await handle.close();
+        }
+
+        const actualSha256 = hash.digest('hex');
+        if (actualSha256 !== sha256.toLowerCase()) {
+          await fs.rm(tmpPath, { force: true });
+          return { status: 'checksum-mismatch', sha256: actualSha256, expectedSha256: sha256.toLowerCase() };
+        }
+
+        await fs.rename(tmpPath, targetPath);
+        await fs.rm(getSessionDir(uploadId), { recursive: true, force: true });
+        return { status: 'stored', size, sha256: actualSha256, session };
+      } finally {
+        completing.delete(uploadId);
+      }
+    },
+
+    /**
+     * Abort a session, removing its chunks
+     * @returns {Promise<boolean>} false if there was no such session
+     */
+    async abort(uploadId) {
+      const session = await readSession(uploadId);
+      if (!session) return false;
+      await fs.rm(getSessionDir(uploadId), { recursive: true, force: true });
+      return true;
+    },
+
+    /**
+     * Remove sessions without activity for longer than sessionMaxAge
+     * @returns {Promise<number>} Number of sessions removed
+     */
+    async removeExpired() {
+      let entries;
+      try {
+        entries = await fs.readdir(getUploadDir());
+      } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+      }
+
+      let removed = 0;
+      for (const uploadId of entries) {
+        if (!isUploadId(uploadId) || completing.has(uploadId)) continue;
+        let lastActivity;
+        try {
+          const session = await readSession(uploadId);
+          lastActivity = session
+            ? Date.parse((await describeSession(session)).updatedAt)
+            : (await fs.stat(getSessionDir(uploadId))).mtimeMs;
+        } catch (error) {
+          console.warn(`Could not read upload session ${uploadId}:`, error.message);
+          continue;
+        }
+        if (Date.now() - lastActivity > sessionMaxAge) {
+          await fs.rm(getSessionDir(uploadId), { recursive: true, force: true });
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+module.exports = {
+  MAX_CHUNK_COUNT,
+  createUploadStore
+};
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// Unit tests for comparing the elites of two elite maps cell by cell
+// Run with: node --test test/unit-elite-map-diff.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCellElites, diffEliteMaps } = require('../evorun-elites');
+
+// Elite map cell with elites as stored by kromosynth (g: genome ID, s: score, gN: generation)
+function cell(...elites) {
+  return { elts: elites.map(([g, s, gN]) => (gN === undefined ? { g, s } : { g, s, gN })) };
+}
+
+test('summarises the elites of a cell', () => {
+  assert.deepEqual(getCellElites(cell(['a', 0.5, 3], ['b', 0.25])), [
+    { genomeId: 'a', score: 0.5, generationNumber: 3 },
+    { genomeId: 'b', score: 0.25 }
+  ]);
+  assert.deepEqual(getCellElites(undefined), []);
+  assert.deepEqual(getCellElites({}), []);
+});
+
+test('classifies every cell by its top elite', () => {
+  const eliteMapA = {
+    cells: {
+      '0_0': cell(['a', 0.5]),
+      '0_1': cell(['b', 0.4]),
+      '0_2': cell(['c', 0.3]),
+      '0_3': cell(),
+      '0_4': cell()
+    }
+  };
+  const eliteMapB = {
+    cells: {
+      '0_0': cell(['a', 0.5]),
+      '0_1': cell(['d', 0.75], ['b', 0.4]),
+      '0_2': cell(),
+      '0_3': cell(['e', 0.2]),
+      '0_4': cell()
+    }
+  };
+
+  const { cells, summary } = diffEliteMaps(eliteMapA, eliteMapB);
+  assert.deepEqual(cells, {
+    '0_0': { status: 'unchanged', genomeId: 'a', score: 0.5 },
+    '0_1': { status: 'replaced', oldGenomeId: 'b', newGenomeId: 'd', oldScore: 0.4, newScore: 0.75, scoreDelta: 0.35 },
+    '0_2': { status: 'emptied', oldGenomeId: 'c', oldScore: 0.3 },
+    '0_3': { status: 'filled', newGenomeId: 'e', newScore: 0.2 },
+    '0_4': { status: 'empty' }
+  });
+  assert.deepEqual(summary, { filled: 1, replaced: 1, unchanged: 1, emptied: 1, empty: 1 });
+});
+
+test('compares cells that exist in only one of the maps, in cell key order', () => {
+  const { cells, summary } = diffEliteMaps(
+    { cells: { b: cell(['x', 1]) } },
+    { cells: { a: cell(['y', 2]) } }
+  );
+  assert.deepEqual(Object.keys(cells), ['a', 'b']);
+  assert.equal(cells.a.status, 'filled');
+  assert.equal(cells.b.status, 'emptied');
+  assert.deepEqual(summary, { filled: 1, replaced: 0, unchanged: 0, emptied: 1, empty: 0 });
+});
+
+test('treats maps without cells as empty', () => {
+  assert.deepEqual(diffEliteMaps({}, {}), {
+    cells: {},
+    summary: { filled: 0, replaced: 0, unchanged: 0, emptied: 0, empty: 0 }
+  });
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// Unit tests for cursor pagination and ULID time windows of genome/feature ID listings
+// Run with: node --test test/unit-list-ids.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { getRunDB, closeRunDB } = require('../evorun-db');
+
+const ULID_ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const BASE_TIME = Date.parse('2025-01-01T00:00:00.000Z');
+
+// ULID with the given timestamp and a fixed random part
+function makeULID(time, suffix) {
+  let timePart = '';
+  for (let i = 0, remaining = time; i < 10; i++) {
+    timePart = ULID_ENCODING[remaining % 32] + timePart;
+    remaining = Math.floor(remaining / 32);
+  }
+  return timePart + suffix.padStart(16, '0');
+}
+
+// Five genomes, one second apart
+const IDS = [0, 1, 2, 3, 4].map(second => makeULID(BASE_TIME + second * 1000, String(second)));
+
+let runPath;
+let db;
+
+test.before(() => {
+  runPath = fs.mkdtempSync(path.join(os.tmpdir(), 'evorun-ids-'));
+  const genomesDb = new Database(path.join(runPath, 'genomes.sqlite'));
+  // As written by kromosynth runs (read-only connections can't switch the journal mode)
+  genomesDb.pragma('journal_mode = WAL');
+  genomesDb.exec('CREATE TABLE genomes (id TEXT PRIMARY KEY, data BLOB)');
+  const insert = genomesDb.prepare('INSERT INTO genomes (id, data) VALUES (?, ?)');
+  // Inserted out of order, to check that listings are ordered by ID
+  for (const id of [...IDS].reverse()) insert.run(id, Buffer.alloc(0));
+  genomesDb.close();
+  db = getRunDB(runPath);
+});
+
+test.after(() => {
+  closeRunDB(runPath);
+  fs.rmSync(runPath, { recursive: true, force: true });
+});
+
+test('lists all IDs in ascending order without a limit', async () => {
+  assert.deepEqual(await db.listGenomeIds({}), { ids: IDS, total: 5, nextCursor: null });
+});
+
+test('pages with a cursor until the last page', async () => {
+  const pages = [];
+  let after;
+  do {
+    const page = await db.listGenomeIds({ after, limit: 2 });
+    assert.equal(page.total, 5);
+    pages.push(page.ids);
+    after = page.nextCursor;
+  } while (after);
+  assert.deepEqual(pages, [IDS.slice(0, 2), IDS.slice(2, 4), IDS.slice(4)]);
+});
+
+test('has no next cursor when the last page is exactly full', async () => {
+  const page = await db.listGenomeIds({ after: IDS[2], limit: 2 });
+  assert.deepEqual(page.ids, IDS.slice(3));
+  assert.equal(page.nextCursor, null);
+});
+
+test('pages in descending order', async () => {
+  const first = await db.listGenomeIds({ order: 'desc', limit: 3 });
+  assert.deepEqual(first.ids, [IDS[4], IDS[3], IDS[2]]);
+  assert.equal(first.nextCursor, IDS[2]);
+  const second = await db.listGenomeIds({ order: 'desc', limit: 3, after: first.nextCursor });
+  assert.deepEqual(second.ids, [IDS[1], IDS[0]]);
+  assert.equal(second.nextCursor, null);
+});
+
+test('limits to a time window, both ends inclusive to the millisecond', async () => {
+  const result = await db.listGenomeIds({ from: BASE_TIME + 1000, to: BASE_TIME + 3000 });
+  assert.deepEqual(result, { ids: IDS.slice(1, 4), total: 3, nextCursor: null });
+
+  const paged = await db.listGenomeIds({ from: BASE_TIME + 1000, to: BASE_TIME + 3000, limit: 2 });
+  assert.equal(paged.total, 3);
+  assert.deepEqual(paged.ids, IDS.slice(1, 3));
+
+  assert.deepEqual((await db.listGenomeIds({ to: BASE_TIME + 999 })).ids, IDS.slice(0, 1));
+});
+
+test('returns an empty listing for a missing features database', async () => {
+  assert.deepEqual(await db.listFeatureGenomeIds({ limit: 2 }), { ids: [], total: 0, nextCursor: null });
+});
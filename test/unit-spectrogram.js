@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+// Unit tests for the spectrogram STFT, its spectral features and PNG encoding
+// Run with: node --test test/unit-spectrogram.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { crc32 } = require('../evorender-zip');
+const {
+  isValidFftSize,
+  isValidHopSize,
+  countSpectrogramFrames,
+  computeSpectrogram,
+  encodeSpectrogramPng
+} = require('../evorender-spectrogram');
+
+const SAMPLE_RATE = 8000;
+const FFT_SIZE = 256;
+const BIN_HZ = SAMPLE_RATE / FFT_SIZE;
+
+function sine(frequency, length, amplitude = 1) {
+  return Float32Array.from({ length }, (_, index) => amplitude * Math.sin(2 * Math.PI * frequency * index / SAMPLE_RATE));
+}
+
+// Index of the largest value in a frame of the magnitude matrix
+function peakBin(magnitudes, frame, binCount) {
+  const row = Array.from(magnitudes.subarray(frame * binCount, (frame + 1) * binCount));
+  return row.indexOf(Math.max(...row));
+}
+
+test('accepts powers of two and hop sizes of a few fractions of the FFT size', () => {
+  assert.ok(isValidFftSize(256));
+  assert.ok(isValidFftSize(16384));
+  for (const fftSize of [128, 32768, 1000, 256.5, '256']) {
+    assert.ok(!isValidFftSize(fftSize), String(fftSize));
+  }
+  for (const hopSize of [1024, 512, 256, 128]) {
+    assert.ok(isValidHopSize(1024, hopSize), String(hopSize));
+  }
+  for (const hopSize of [2048, 300, 64, 0]) {
+    assert.ok(!isValidHopSize(1024, hopSize), String(hopSize));
+  }
+});
+
+test('counts frames, with one zero-padded frame for short files', () => {
+  assert.equal(countSpectrogramFrames(100, 256, 64), 1);
+  assert.equal(countSpectrogramFrames(256, 256, 64), 1);
+  assert.equal(countSpectrogramFrames(257, 256, 64), 1);
+  assert.equal(countSpectrogramFrames(320, 256, 64), 2);
+  assert.equal(countSpectrogramFrames(1024, 256, 64), 13);
+});
+
+test('finds a full-scale sine at its frequency bin at 0 dB', () => {
+  const frequency = 32 * BIN_HZ; // 1000 Hz, the center of bin 32
+  const spectrogram = computeSpectrogram([sine(frequency, 2048)], SAMPLE_RATE, { fftSize: FFT_SIZE, hopSize: 64 });
+  const { frameCount, binCount, binHz, magnitudes, centroid, rolloff, flatness } = spectrogram;
+
+  assert.equal(frameCount, countSpectrogramFrames(2048, FFT_SIZE, 64));
+  assert.equal(binCount, FFT_SIZE / 2 + 1);
+  assert.equal(binHz, BIN_HZ);
+  assert.equal(magnitudes.length, frameCount * binCount);
+  for (let frame = 0; frame < frameCount; frame++) {
+    assert.equal(peakBin(magnitudes, frame, binCount), 32);
+    assert.equal(magnitudes[frame * binCount + 32], 255);
+    // Far from the tone, the Hann window leaves nothing above the floor
+    assert.equal(magnitudes[frame * binCount + 100], 0);
+    // The Hann window spreads the tone over the neighbouring bins
+    assert.ok(Math.abs(centroid[frame] - frequency) < 2 * BIN_HZ, `centroid ${centroid[frame]}`);
+    assert.ok(Math.abs(rolloff[frame] - frequency) < 2 * BIN_HZ, `rolloff ${rolloff[frame]}`);
+    assert.ok(flatness[frame] < 0.01, `flatness ${flatness[frame]}`);
+  }
+});
+
+test('quantizes levels between the dB floor and full scale', () => {
+  const { magnitudes } = computeSpectrogram([sine(32 * BIN_HZ, FFT_SIZE, 0.1)], SAMPLE_RATE, { fftSize: FFT_SIZE, hopSize: FFT_SIZE });
+  // -20 dB on a -100..0 dB scale
+  assert.equal(magnitudes[32], Math.round(0.8 * 255));
+});
+
+test('rates noise as flatter than a tone', () => {
+  let seed = 1;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const noise = Float32Array.from({ length: FFT_SIZE }, () => random() * 2 - 1);
+  const { flatness } = computeSpectrogram([noise], SAMPLE_RATE, { fftSize: FFT_SIZE, hopSize: FFT_SIZE });
+  assert.ok(flatness[0] > 0.3, `flatness ${flatness[0]}`);
+});
+
+test('mixes channels to mono and has no features for silent frames', () => {
+  const left = sine(1000, FFT_SIZE);
+  const right = left.map(sample => -sample);
+  const { magnitudes, centroid, rolloff, flatness } = computeSpectrogram([left, right], SAMPLE_RATE, { fftSize: FFT_SIZE, hopSize: FFT_SIZE });
+  assert.ok(magnitudes.every(value => value === 0));
+  assert.deepEqual({ centroid, rolloff, flatness }, { centroid: [null], rolloff: [null], flatness: [null] });
+});
+
+// Read the chunks of a PNG file, checking their CRCs
+function readPngChunks(png) {
+  assert.ok(png.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])), 'PNG signature');
+  const chunks = [];
+  let position = 8;
+  while (position < png.length) {
+    const length = png.readUInt32BE(position);
+    const type = png.toString('ascii', position + 4, position + 8);
+    const data = png.subarray(position + 8, position + 8 + length);
+    assert.equal(png.readUInt32BE(position + 8 + length), crc32(0, png.subarray(position + 4, position + 8 + length)), `CRC of ${type}`);
+    chunks.push({ type, data });
+    position += 12 + length;
+  }
+  return chunks;
+}
+
+test('encodes the magnitudes as a palette PNG with low frequencies at the bottom', () => {
+  const frameCount = 3;
+  const binCount = 2;
+  // Frame by frame: [bin 0, bin 1]
+  const magnitudes = Uint8Array.from([0, 10, 20, 30, 40, 255]);
+  const chunks = readPngChunks(encodeSpectrogramPng(magnitudes, frameCount, binCount));
+  assert.deepEqual(chunks.map(chunk => chunk.type), ['IHDR', 'PLTE', 'IDAT', 'IEND']);
+
+  const header = chunks[0].data;
+  assert.equal(header.readUInt32BE(0), frameCount);
+  assert.equal(header.readUInt32BE(4), binCount);
+  assert.deepEqual(Array.from(header.subarray(8)), [8, 3, 0, 0, 0]);
+
+  const palette = chunks[1].data;
+  assert.equal(palette.length, 256 * 3);
+  // Dark for the floor, bright for full scale
+  assert.ok(palette[0] + palette[1] + palette[2] < palette[765] + palette[766] + palette[767]);
+
+  // Each row: filter type 0, then one palette index per frame; the top row is the highest bin
+  const pixels = zlib.inflateSync(chunks[2].data);
+  assert.deepEqual(Array.from(pixels), [0, 10, 30, 255, 0, 0, 20, 40]);
+  assert.equal(chunks[3].data.length, 0);
+});
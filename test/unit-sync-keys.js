@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+// Unit tests for sync API key scoping: access levels, run ID patterns, expiry and run ID checks
+// Run with: node --test test/unit-sync-keys.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { createSyncAuth } = require('../evorun-sync-auth');
+
+const KEYS = {
+  full: 'full-access-key',
+  reader: 'reader-key',
+  writer: 'writer-key',
+  hashed: 'hashed-key',
+  expired: 'expired-key'
+};
+
+let tmpDir;
+let syncAuth;
+
+test.before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evorun-sync-keys-'));
+  const keysFile = path.join(tmpDir, 'sync-keys.json');
+  fs.writeFileSync(keysFile, JSON.stringify({
+    keys: [
+      { name: 'reader', key: KEYS.reader, access: 'read', runs: ['01ABC*'] },
+      { name: 'writer', key: KEYS.writer, access: 'write', runs: ['01ABC*', 'worker-?'] },
+      {
+        name: 'hashed',
+        keySha256: crypto.createHash('sha256').update(KEYS.hashed).digest('hex').toUpperCase(),
+        access: 'write'
+      },
+      { name: 'expired', key: KEYS.expired, access: 'write', expiresAt: '2000-01-01T00:00:00Z' }
+    ]
+  }));
+  syncAuth = createSyncAuth({
+    getEnvKeys: () => [KEYS.full],
+    getKeysFile: () => keysFile,
+    getAuditLogPath: () => null
+  });
+});
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Run the middleware for a request; resolves to { status, error } (status 200 if it passed)
+function check(access, { key, runId }, auth = syncAuth) {
+  const req = {
+    method: 'POST',
+    path: runId ? `/api/sync/rows/${runId}` : '/api/sync/status',
+    params: runId === undefined ? {} : { runId },
+    headers: key ? { 'x-sync-api-key': key } : {},
+    ip: '127.0.0.1'
+  };
+  const res = new EventEmitter();
+  return new Promise(resolve => {
+    res.status = status => {
+      res.statusCode = status;
+      return res;
+    };
+    res.json = body => resolve({ status: res.statusCode, error: body.error });
+    auth.requireAccess(access)(req, res, () => resolve({ status: 200 }));
+  });
+}
+
+test('env keys have write access to every run', async () => {
+  assert.deepEqual(await check('write', { key: KEYS.full, runId: 'any-run' }), { status: 200 });
+  assert.deepEqual(await check('read', { key: KEYS.full }), { status: 200 });
+});
+
+test('read-only keys are refused write access', async () => {
+  assert.equal((await check('read', { key: KEYS.reader, runId: '01ABCDEF_run' })).status, 200);
+  assert.deepEqual(await check('write', { key: KEYS.reader, runId: '01ABCDEF_run' }), {
+    status: 403,
+    error: 'API key is read-only'
+  });
+});
+
+test('keys only reach runs matching their patterns', async () => {
+  assert.equal((await check('write', { key: KEYS.writer, runId: '01ABC_run' })).status, 200);
+  assert.equal((await check('write', { key: KEYS.writer, runId: 'worker-7' })).status, 200);
+  assert.deepEqual(await check('write', { key: KEYS.writer, runId: 'worker-17' }), {
+    status: 403,
+    error: 'API key not allowed for run worker-17'
+  });
+  // Patterns match the whole run ID, and only * and ? are wildcards
+  assert.equal((await check('read', { key: KEYS.reader, runId: 'x01ABC_run' })).status, 403);
+  assert.equal((await check('read', { key: KEYS.reader, runId: '01AB._run' })).status, 403);
+});
+
+test('keys can be given as SHA-256 hashes', async () => {
+  assert.deepEqual(await check('write', { key: KEYS.hashed, runId: 'any-run' }), { status: 200 });
+});
+
+test('unknown, missing and expired keys are rejected', async () => {
+  assert.deepEqual(await check('read', { key: 'unknown-key', runId: 'any-run' }), {
+    status: 401,
+    error: 'Invalid or missing API key'
+  });
+  assert.equal((await check('read', { runId: 'any-run' })).status, 401);
+  assert.deepEqual(await check('write', { key: KEYS.expired, runId: 'any-run' }), {
+    status: 401,
+    error: 'API key expired'
+  });
+});
+
+test('run IDs that are not a single path segment are rejected', async () => {
+  for (const runId of ['..', '.', '01ABC/../other', '01ABC\\other']) {
+    assert.deepEqual(await check('write', { key: KEYS.full, runId }), { status: 400, error: 'Invalid run ID' }, runId);
+  }
+});
+
+test('lists key scopes without the keys', () => {
+  const keys = syncAuth.listKeys();
+  assert.deepEqual(keys.map(key => key.name), ['env-1', 'reader', 'writer', 'hashed', 'expired']);
+  assert.deepEqual(keys.find(key => key.name === 'writer'), {
+    name: 'writer',
+    access: 'write',
+    runs: ['01ABC*', 'worker-?'],
+    expiresAt: null,
+    expired: false
+  });
+  assert.equal(keys.find(key => key.name === 'expired').expired, true);
+  assert.ok(!JSON.stringify(keys).includes(KEYS.reader));
+});
+
+test('the sync API is disabled without keys', async () => {
+  const syncAuthWithoutKeys = createSyncAuth({
+    getEnvKeys: () => [],
+    getKeysFile: () => null,
+    getAuditLogPath: () => null
+  });
+  assert.equal((await check('read', { key: KEYS.full, runId: 'any-run' }, syncAuthWithoutKeys)).status, 503);
+});
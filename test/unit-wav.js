@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+// Unit tests for WAV header parsing, sample decoding and waveform peaks
+// Run with: node --test test/unit-wav.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseWavHeader,
+  decodeWavChannels,
+  computePeaks,
+  downsamplePeaks,
+  getWavPeaks
+} = require('../evorender-wav');
+
+const FORMAT_TAGS = { pcm: 1, float: 3 };
+
+/**
+ * Build a WAV file
+ * @param {Object} options
+ * @param {number[][]} options.channels - Samples per channel, in [-1, 1]
+ * @param {string} [options.format] - 'pcm' or 'float'
+ * @param {number} [options.bitsPerSample]
+ * @param {number} [options.sampleRate]
+ * @param {boolean} [options.extensible] - Write a WAVE_FORMAT_EXTENSIBLE fmt chunk
+ * @param {number} [options.dataSize] - Size to record in the data chunk header (default: actual)
+ * @param {Buffer} [options.extraChunk] - Chunk to insert between fmt and data (e.g. LIST)
+ */
+function makeWav({ channels, format = 'pcm', bitsPerSample = 16, sampleRate = 8000, extensible = false, dataSize, extraChunk }) {
+  const bytesPerSample = bitsPerSample / 8;
+  const frameCount = channels[0].length;
+  const data = Buffer.alloc(frameCount * channels.length * bytesPerSample);
+  let position = 0;
+  for (let frame = 0; frame < frameCount; frame++) {
+    for (const samples of channels) {
+      const sample = samples[frame];
+      if (format === 'float') {
+        if (bitsPerSample === 32) data.writeFloatLE(sample, position);
+        else data.writeDoubleLE(sample, position);
+      } else if (bitsPerSample === 8) {
+        data[position] = Math.round(sample * 127) + 128;
+      } else {
+        const max = 2 ** (bitsPerSample - 1);
+        data.writeIntLE(Math.max(-max, Math.min(max - 1, Math.round(sample * max))), position, bytesPerSample);
+      }
+      position += bytesPerSample;
+    }
+  }
+
+  const fmt = Buffer.alloc(extensible ? 40 : 16);
+  fmt.writeUInt16LE(extensible ? 0xFFFE : FORMAT_TAGS[format], 0);
+  fmt.writeUInt16LE(channels.length, 2);
+  fmt.writeUInt32LE(sampleRate, 4);
+  fmt.writeUInt32LE(sampleRate * channels.length * bytesPerSample, 8);
+  fmt.writeUInt16LE(channels.length * bytesPerSample, 12);
+  fmt.writeUInt16LE(bitsPerSample, 14);
+  if (extensible) {
+    fmt.writeUInt16LE(22, 16); // Extension size
+    fmt.writeUInt16LE(FORMAT_TAGS[format], 24); // Sub-format GUID starts with the format tag
+  }
+
+  const chunk = (id, body, size = body.length) => {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'ascii');
+    header.writeUInt32LE(size, 4);
+    return Buffer.concat([header, body, Buffer.alloc(body.length % 2)]);
+  };
+  const body = Buffer.concat([
+    Buffer.from('WAVE', 'ascii'),
+    chunk('fmt ', fmt),
+    ...(extraChunk ? [extraChunk] : []),
+    chunk('data', data, dataSize === undefined ? data.length : dataSize)
+  ]);
+  return Buffer.concat([chunk('RIFF', Buffer.alloc(0), body.length).subarray(0, 8), body]);
+}
+
+// Compare decoded samples with the written ones, within the precision of the format
+function assertSamplesClose(actual, expected, tolerance) {
+  assert.equal(actual.length, expected.length);
+  for (let index = 0; index < expected.length; index++) {
+    assert.ok(Math.abs(actual[index] - expected[index]) <= tolerance, `sample ${index}: ${actual[index]} != ${expected[index]}`);
+  }
+}
+
+const LEFT = [0, 0.5, -0.5, 0.25, -1, 0.75];
+const RIGHT = [0.1, -0.1, 0.2, -0.2, 0.3, -0.3];
+
+test('parses the header of a PCM file', () => {
+  const info = parseWavHeader(makeWav({ channels: [LEFT, RIGHT], sampleRate: 48000 }));
+  assert.deepEqual(info, {
+    format: 'pcm',
+    sampleRate: 48000,
+    channels: 2,
+    bitsPerSample: 16,
+    frameCount: 6,
+    duration: 6 / 48000,
+    dataOffset: 44,
+    dataLength: 24
+  });
+});
+
+test('decodes 8, 16, 24 and 32-bit PCM and 32 and 64-bit float samples', () => {
+  const cases = [
+    { format: 'pcm', bitsPerSample: 8, tolerance: 1 / 64 },
+    { format: 'pcm', bitsPerSample: 16, tolerance: 1e-4 },
+    { format: 'pcm', bitsPerSample: 24, tolerance: 1e-6 },
+    { format: 'pcm', bitsPerSample: 32, tolerance: 1e-6 },
+    { format: 'float', bitsPerSample: 32, tolerance: 1e-7 },
+    { format: 'float', bitsPerSample: 64, tolerance: 1e-7 }
+  ];
+  for (const { format, bitsPerSample, tolerance } of cases) {
+    const buffer = makeWav({ channels: [LEFT, RIGHT], format, bitsPerSample });
+    const info = parseWavHeader(buffer);
+    assert.equal(info.format, format);
+    assert.equal(info.bitsPerSample, bitsPerSample);
+    const [left, right] = decodeWavChannels(buffer, info);
+    assertSamplesClose(left, LEFT, tolerance);
+    assertSamplesClose(right, RIGHT, tolerance);
+  }
+});
+
+test('reads the format of WAVE_FORMAT_EXTENSIBLE files from the sub-format', () => {
+  const buffer = makeWav({ channels: [LEFT], format: 'float', bitsPerSample: 32, extensible: true });
+  assert.equal(parseWavHeader(buffer).format, 'float');
+  assertSamplesClose(decodeWavChannels(buffer)[0], LEFT, 1e-7);
+});
+
+test('skips other chunks before the data chunk', () => {
+  const list = Buffer.concat([Buffer.from('LIST', 'ascii'), Buffer.from([3, 0, 0, 0]), Buffer.from('abc\0', 'ascii')]);
+  const buffer = makeWav({ channels: [LEFT], extraChunk: list });
+  assert.equal(parseWavHeader(buffer).frameCount, LEFT.length);
+  assertSamplesClose(decodeWavChannels(buffer)[0], LEFT, 1e-4);
+});
+
+test('reads to the end of the file when the data size was never written', () => {
+  for (const dataSize of [0, 0xFFFFFFFF]) {
+    const info = parseWavHeader(makeWav({ channels: [LEFT], dataSize }));
+    assert.equal(info.frameCount, LEFT.length);
+  }
+});
+
+test('rejects files that are not supported WAV files', () => {
+  assert.throws(() => parseWavHeader(Buffer.from('not a wav file at all')), /Not a WAV file/);
+  const adpcm = makeWav({ channels: [LEFT] });
+  adpcm.writeUInt16LE(2, 20); // Format tag of the fmt chunk
+  assert.throws(() => parseWavHeader(adpcm), /Unsupported WAV format: format tag 2/);
+  const noData = makeWav({ channels: [LEFT] }).subarray(0, 36);
+  assert.throws(() => parseWavHeader(noData), /no data chunk/);
+});
+
+test('computes min/max peaks, mixed or per channel', () => {
+  const channels = [Float32Array.from(LEFT), Float32Array.from(RIGHT)];
+  assert.deepEqual(computePeaks(channels, 3), [[-0.1, 0.5, -0.5, 0.25, -1, 0.75]]);
+  assert.deepEqual(computePeaks(channels, 3, { mix: false }), [
+    [0, 0.5, -0.5, 0.25, -1, 0.75],
+    [-0.1, 0.1, -0.2, 0.2, -0.3, 0.3]
+  ]);
+  // More peaks than frames repeat frames rather than leaving empty windows
+  assert.deepEqual(computePeaks([Float32Array.from([0.5, -0.5])], 4), [[0, 0.5, 0, 0.5, -0.5, 0, -0.5, 0]]);
+});
+
+test('downsamples peaks by taking the extremes of the pairs they cover', () => {
+  assert.deepEqual(downsamplePeaks([-0.1, 0.2, -0.4, 0.1, -0.2, 0.6, 0, 0.3], 2), [-0.4, 0.2, -0.2, 0.6]);
+});
+
+test('caches peaks next to the file and downsamples other resolutions', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evorender-wav-'));
+  try {
+    const samples = Array.from({ length: 1000 }, (_, index) => Math.sin(index / 10) * (index < 500 ? 0.5 : 0.25));
+    const wavPath = path.join(tmpDir, 'render.wav');
+    fs.writeFileSync(wavPath, makeWav({ channels: [samples] }));
+
+    const first = await getWavPeaks(wavPath, { resolution: 100 });
+    assert.equal(first.cached, false);
+    assert.equal(first.result.resolution, 100);
+    assert.equal(first.result.peaks[0].length, 200);
+    assert.ok(fs.existsSync(path.join(tmpDir, '.render.wav.peaks-100.json')));
+
+    const second = await getWavPeaks(wavPath, { resolution: 100 });
+    assert.equal(second.cached, true);
+    assert.deepEqual(second.result, first.result);
+
+    const lower = await getWavPeaks(wavPath, { resolution: 50 });
+    assert.equal(lower.cached, true);
+    assert.equal(lower.result.resolution, 50);
+    assert.deepEqual(lower.result.peaks[0], downsamplePeaks(first.result.peaks[0], 50));
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+// Unit tests for the streaming zip writer
+// Run with: node --test test/unit-zip.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { crc32, createZipWriter } = require('../evorender-zip');
+
+// Write an archive and collect its bytes
+async function buildZip(addEntries) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const ended = new Promise(resolve => output.on('end', resolve));
+
+  const zip = createZipWriter(output);
+  await addEntries(zip);
+  await zip.finish();
+  await ended;
+  return Buffer.concat(chunks);
+}
+
+// Read the entries of a stored (uncompressed) archive through its central directory
+function readZip(archive) {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50, 'end of central directory signature');
+  const entryCount = archive.readUInt16LE(end + 10);
+  const directorySize = archive.readUInt32LE(end + 12);
+  const directoryOffset = archive.readUInt32LE(end + 16);
+  assert.equal(directoryOffset + directorySize, end, 'central directory ends where the end record starts');
+
+  const entries = [];
+  let position = directoryOffset;
+  for (let index = 0; index < entryCount; index++) {
+    assert.equal(archive.readUInt32LE(position), 0x02014b50, 'central directory signature');
+    const flags = archive.readUInt16LE(position + 8);
+    const method = archive.readUInt16LE(position + 10);
+    const crc = archive.readUInt32LE(position + 16);
+    const size = archive.readUInt32LE(position + 20);
+    assert.equal(archive.readUInt32LE(position + 24), size, 'stored entries are not compressed');
+    const nameLength = archive.readUInt16LE(position + 28);
+    const localOffset = archive.readUInt32LE(position + 42);
+    const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength;
+
+    assert.equal(archive.readUInt32LE(localOffset), 0x04034b50, 'local file header signature');
+    assert.equal(archive.readUInt16LE(localOffset + 26), nameLength);
+    const dataStart = localOffset + 30 + nameLength + archive.readUInt16LE(localOffset + 28);
+    const data = archive.subarray(dataStart, dataStart + size);
+    assert.equal(crc32(0, data), crc, `CRC of ${name}`);
+
+    if (flags & 0x0008) {
+      // The data descriptor repeats CRC and sizes after the data
+      assert.equal(archive.readUInt32LE(dataStart + size), 0x08074b50, 'data descriptor signature');
+      assert.equal(archive.readUInt32LE(dataStart + size + 4), crc);
+      assert.equal(archive.readUInt32LE(dataStart + size + 8), size);
+    } else {
+      assert.equal(archive.readUInt32LE(localOffset + 14), crc);
+      assert.equal(archive.readUInt32LE(localOffset + 18), size);
+    }
+    entries.push({ name, method, utf8: Boolean(flags & 0x0800), data });
+  }
+  return entries;
+}
+
+test('computes standard CRC-32 values, also across chunks', () => {
+  assert.equal(crc32(0, Buffer.alloc(0)), 0);
+  assert.equal(crc32(0, Buffer.from('123456789')), 0xCBF43926);
+  assert.equal(crc32(crc32(0, Buffer.from('1234')), Buffer.from('56789')), 0xCBF43926);
+});
+
+test('writes a readable archive of buffers and streamed files', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evorender-zip-'));
+  try {
+    // Larger than a read stream chunk, so the file's CRC is computed over several chunks
+    const fileContent = Buffer.alloc(200 * 1024);
+    for (let index = 0; index < fileContent.length; index++) fileContent[index] = (index * 31) % 251;
+    const filePath = path.join(tmpDir, 'render.wav');
+    fs.writeFileSync(filePath, fileContent);
+
+    let added;
+    const archive = await buildZip(async zip => {
+      await zip.addBuffer('manifest.json', '{"renders":[]}');
+      added = await zip.addFile('folder/render.wav', filePath, new Date(2024, 0, 15, 10, 30, 44));
+      await zip.addBuffer('folder/åäö.txt', Buffer.from('utf-8 name'));
+      assert.equal(zip.entryCount, 3);
+    });
+
+    assert.deepEqual(added, { size: fileContent.length, crc: crc32(0, fileContent) });
+    const entries = readZip(archive);
+    assert.deepEqual(entries.map(entry => entry.name), ['manifest.json', 'folder/render.wav', 'folder/åäö.txt']);
+    assert.ok(entries.every(entry => entry.method === 0 && entry.utf8));
+    assert.equal(entries[0].data.toString(), '{"renders":[]}');
+    assert.ok(entries[1].data.equals(fileContent));
+    assert.equal(entries[2].data.toString(), 'utf-8 name');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('records modification times as MS-DOS date and time', async () => {
+  const archive = await buildZip(zip => zip.addBuffer('a.txt', 'a', new Date(2024, 0, 15, 10, 30, 44)));
+  const directoryOffset = archive.readUInt32LE(archive.length - 22 + 16);
+  assert.equal(archive.readUInt16LE(directoryOffset + 12), (10 << 11) | (30 << 5) | 22);
+  assert.equal(archive.readUInt16LE(directoryOffset + 14), ((2024 - 1980) << 9) | (1 << 5) | 15);
+});
+
+test('writes an empty archive', async () => {
+  const archive = await buildZip(async () => {});
+  assert.equal(archive.length, 22);
+  assert.deepEqual(readZip(archive), []);
+});
+
+test('fails when the output stream is closed', async () => {
+  const output = new PassThrough();
+  const zip = createZipWriter(output);
+  output.destroy();
+  await assert.rejects(zip.addBuffer('a.txt', 'a'), /Output stream closed/);
+});